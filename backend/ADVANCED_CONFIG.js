@@ -16,6 +16,28 @@ LOG_LEVEL=info
 HEALING_TIMEOUT=60000
 HEALING_MAX_RETRIES=3
 HEALING_PARALLEL_LIMIT=5
+HEALING_BACKOFF_MS=1000
+HEALING_MAX_REPAIRS=1
+LLM_STRUCTURED_OUTPUT=true
+HEALING_TAXONOMY_FILE=config/taxonomy.json
+HEALING_RULE_CONFIDENCE=0.85
+HEALING_RUNS_DIR=logs/runs
+HEALING_REQUIRE_APPROVAL=false
+HEALING_PRICING_FILE=config/pricing.json
+HEALING_MAX_COST_USD=0.50
+HEALING_CACHE=true
+HEALING_CACHE_DIR=logs/prompt-cache
+HEALING_CACHE_TTL_MS=86400000
+HEALING_CACHE_MAX_MB=50
+HEALING_PROMPTS_DIR=prompts
+HEALING_PROMPT_VERSION=v1
+HEALING_INSTALL_TIMEOUT=300000
+HEALING_APPLY_POLICY_FILE=config/apply-policy.json
+HEALING_TEST_GUARDRAILS_FILE=config/test-guardrails.json
+HEALING_PLUGINS_DIR=plugins
+HEALING_PLUGINS_FILE=config/plugins.json
+HEALING_TYPECHECK_COMMAND=npx tsc --noEmit
+OLLAMA_PARALLEL_LIMIT=1
 OPENAI_MODEL_EXTRACT=gpt-4o-mini
 OPENAI_MODEL_CLASSIFY=gpt-4o-mini
 OPENAI_MODEL_PATCH=gpt-4
@@ -87,6 +109,12 @@ function getModelConfig(environment = process.env.NODE_ENV) {
 // 3. CUSTOMIZE PROMPTS
 // ===========================
 
+// The agents read their prompts from prompts/<version>/*.txt (or
+// HEALING_PROMPTS_DIR). To try prompts like these, copy prompts/v1 to a
+// new version directory, edit the files (placeholders are {{name}}, see
+// TEMPLATE_VARIABLES in services/promptTemplates.js) and select it with
+// HEALING_PROMPT_VERSION or options.promptVersion.
+
 const customPrompts = {
   // Override extraction prompt for your domain
   extract: `You are a Custom Error Extractor for Node.js applications.
@@ -133,8 +161,7 @@ Type: {type}
 
 Return JSON:
 {
-  "patch_instructions": "exact fix",
-  "code_change": "{old_code} → {new_code}",
+  "diff": "unified diff against {file}",
   "explanation": "why this fixes it"
 }`,
 
@@ -156,38 +183,50 @@ Return: APPROVED or REJECTED`,
 // 4. CUSTOMIZE ERROR CATEGORIES
 // ===========================
 
-const errorCategories = {
-  // Add your custom categories
-  DATABASE: {
-    keywords: ["connection", "query", "database"],
-    priority: "high",
-    template: "Database issue",
-  },
-  API: {
-    keywords: ["http", "fetch", "request", "endpoint"],
-    priority: "high",
-    template: "API error",
-  },
-  VALIDATION: {
-    keywords: ["validate", "invalid", "required field"],
-    priority: "medium",
-    template: "Validation error",
-  },
-  AUTH: {
-    keywords: ["auth", "permission", "forbidden", "unauthorized"],
-    priority: "critical",
-    template: "Auth error",
-  },
-  ASYNC: {
-    keywords: ["promise", "async", "await", "callback"],
-    priority: "high",
-    template: "Async error",
-  },
-  DEPENDENCY: {
-    keywords: ["module", "require", "import", "not found"],
-    priority: "high",
-    template: "Dependency error",
-  },
+// Categories, priorities and pre-classifier patterns are read from
+// config/taxonomy.json (or HEALING_TAXONOMY_FILE). A request can pass
+// its own taxonomy in options.taxonomy, inline or as the name of a file
+// in config/ (e.g. "taxonomy-strict.json"):
+//
+//   POST /api/healing/heal
+//   { "testLogs": "...", "options": { "taxonomy": customTaxonomy } }
+//
+// Model answers outside the list are mapped to the nearest category.
+
+const customTaxonomy = {
+  defaultPriority: "MEDIUM",
+  categories: [
+    {
+      name: "DATABASE",
+      description: "database connection/query errors",
+      priority: "HIGH",
+      patterns: ["SequelizeConnectionError", "ER_\\w+", "MongoServerError"],
+    },
+    {
+      name: "API",
+      description: "HTTP/REST API errors",
+      priority: "HIGH",
+      aliases: ["HTTP"],
+      patterns: ["status code [45]\\d\\d", "fetch failed"],
+    },
+    {
+      name: "AUTH",
+      description: "authentication/authorization errors",
+      priority: "CRITICAL",
+      patterns: ["\\b(401|403)\\b", "unauthorized", "forbidden"],
+    },
+    {
+      name: "ASYNC",
+      description: "promise, async/await, callback errors",
+      priority: "HIGH",
+      patterns: ["UnhandledPromiseRejection"],
+    },
+    {
+      name: "LOGIC",
+      description: "incorrect algorithm, wrong implementation",
+      priority: "HIGH",
+    },
+  ],
 };
 
 // ===========================
@@ -211,6 +250,10 @@ function calculateCustomPriority(error) {
 // 6. RATE LIMITING & RETRY
 // ===========================
 
+// Individual agent calls are already limited and retried by
+// services/llmExecutor.js (HEALING_PARALLEL_LIMIT, HEALING_MAX_RETRIES,
+// HEALING_TIMEOUT). This wrapper retries a whole healing run.
+
 class HealingServiceWithRetry {
   constructor(maxRetries = 3, delayMs = 1000) {
     this.maxRetries = maxRetries;
@@ -246,48 +289,17 @@ class HealingServiceWithRetry {
 // 7. CACHING CONFIGURATION
 // ===========================
 
-// In-memory cache for common errors
-class HealingCache {
-  constructor(ttl = 3600000) {
-    // 1 hour default
-    this.cache = new Map();
-    this.ttl = ttl;
-  }
-
-  hash(testLogs) {
-    const crypto = require("crypto");
-    return crypto.createHash("md5").update(testLogs).digest("hex");
-  }
-
-  get(testLogs) {
-    const key = this.hash(testLogs);
-    const entry = this.cache.get(key);
-
-    if (!entry) return null;
-    if (Date.now() > entry.expiry) {
-      this.cache.delete(key);
-      return null;
-    }
-
-    return entry.value;
-  }
-
-  set(testLogs, result) {
-    const key = this.hash(testLogs);
-    this.cache.set(key, {
-      value: result,
-      expiry: Date.now() + this.ttl,
-    });
-  }
-}
+// Model replies are cached on disk by services/promptCache.js, keyed by
+// prompt, provider, model and temperature (settings: HEALING_CACHE_* in
+// section 1). Inspect or reset it with:
+const { cacheStats, clearCache } = require("./services/promptCache");
 
 // Usage:
-// const cache = new HealingCache();
-// let result = cache.get(logs);
-// if (!result) {
-//   result = await healTestErrors(logs);
-//   cache.set(logs, result);
-// }
+// console.log(cacheStats()); // { entries, bytes, maxBytes, ttlMs }
+// clearCache();
+//
+// Bypass it for one run:
+// await healTestErrors(logs, { cache: false });
 
 // ===========================
 // 8. MONITORING & METRICS
@@ -366,17 +378,26 @@ class HealingMetrics {
 // 9. CUSTOM AGENT NODES
 // ===========================
 
+// Custom nodes are added as plugins: save a module like this one in
+// plugins/ (or HEALING_PLUGINS_DIR) and it is added to every run. Each
+// node runs before or after extract, classify, patch or verify, only
+// sees the state fields it reads and may only change the ones it
+// writes. config/plugins.json can turn a plugin off or change its
+// config:
+//
+//   { "plugins": { "team-hooks": { "config": { "marker": "no-heal" } } } }
+
 // Add a custom filter before healing
-async function filterNode(state) {
+async function filterNode(state, { config }) {
   // Skip healing for certain errors
   const filtered = state.failures.filter(
-    (f) => !f.error_message.includes("skip-healing"),
+    (f) => !f.error_message.includes(config.marker),
   );
 
   return { ...state, failures: filtered };
 }
 
-// Add notification after completion
+// Add notification after verification
 async function notifyNode(state) {
   if (state.finalFixes.length > 0) {
     console.log("📧 Sending notification about approved fixes...");
@@ -385,6 +406,26 @@ async function notifyNode(state) {
   return state;
 }
 
+const teamHooksPlugin = {
+  name: "team-hooks",
+  config: { marker: "skip-healing" },
+  nodes: [
+    {
+      name: "filter_failures",
+      after: "extract",
+      reads: ["failures"],
+      writes: ["failures"],
+      run: filterNode,
+    },
+    {
+      name: "notify",
+      after: "verify",
+      reads: ["finalFixes"],
+      run: notifyNode,
+    },
+  ],
+};
+
 // ===========================
 // 10. DATABASE INTEGRATION
 // ===========================
@@ -443,9 +484,8 @@ class HealingRepository {
 // ===========================
 
 const performanceConfig = {
-  // Reduce API calls
-  cacheSimilarErrors: true,
-  cacheExpiry: 3600000, // 1 hour
+  // Reduce API calls (prompt cache, see section 7)
+  cacheExpiry: 86400000, // HEALING_CACHE_TTL_MS
 
   // Parallel limits
   maxParallelClassify: 5,
@@ -471,10 +511,12 @@ const performanceConfig = {
 module.exports = {
   getModelConfig,
   customPrompts,
-  errorCategories,
+  customTaxonomy,
   calculateCustomPriority,
+  teamHooksPlugin,
   HealingServiceWithRetry,
-  HealingCache,
+  cacheStats,
+  clearCache,
   HealingMetrics,
   HealingRepository,
   performanceConfig,
@@ -485,16 +527,11 @@ module.exports = {
  *
  * const config = require('./advancedConfig');
  * const metrics = new config.HealingMetrics();
- * const cache = new config.HealingCache();
  *
  * const start = Date.now();
- * let result = cache.get(logs);
- *
- * if (!result) {
- *   result = await healTestErrors(logs);
- *   cache.set(logs, result);
- * }
+ * const result = await healTestErrors(logs); // agent replies are cached
  *
  * metrics.recordRun(result, Date.now() - start);
+ * console.log(config.cacheStats());
  * console.log(metrics.getStatistics());
  */
@@ -1,18 +1,164 @@
-const { ChatGoogleGenerativeAI } = require("@langchain/google-genai");
-const { StateGraph } = require("@langchain/langgraph");
+const {
+  StateGraph,
+  END,
+  interrupt,
+  isGraphInterrupt,
+  Command,
+} = require("@langchain/langgraph");
 const { z } = require("zod");
+const { summarizeAgentCalls } = require("./services/llmExecutor");
+const { invokeValidated } = require("./services/agentOutput");
+const { scorePatch } = require("./services/fixScoring");
+const {
+  FileEditSchema,
+  EDIT_ACTIONS,
+  editsFromDiff,
+  diffFromEdits,
+  describeEdits,
+  describePatch,
+  summarizeChanges,
+  patchFixActions,
+  hasChanges,
+} = require("./services/changeSet");
+const {
+  collectSourceContext,
+  createFileReader,
+  formatSourceContext,
+  estimateTokens,
+  DEFAULT_TOKEN_BUDGET,
+} = require("./services/sourceContext");
+const {
+  createOutliner,
+  collectSymbolContext,
+  SYMBOL_BUG_TYPES,
+} = require("./services/codeIntelligence");
+const { verifyPatchesByExecution } = require("./services/executionVerifier");
+const { DEFAULT_TYPECHECK_COMMAND } = require("./services/syntaxCheck");
+const {
+  loadTestGuardrails,
+  resolveTestGuardrails,
+  loadRepositoryGuardrails,
+  checkTestGuardrails,
+  guardrailRejections,
+} = require("./services/testGuardrails");
+const { parseTestLog } = require("./services/logParsers");
+const {
+  preprocessLog,
+  chunkLog,
+  mergeFailures,
+  DEFAULT_CHUNK_TOKENS,
+} = require("./services/logPreprocessor");
+const { groupFailures } = require("./services/failureGrouping");
+const {
+  resolveTaxonomy,
+  categoryNames,
+  formatCategories,
+  normalizeCategory,
+} = require("./services/taxonomy");
+const {
+  classifyByRules,
+  detectLanguage,
+  DEFAULT_RULE_CONFIDENCE,
+} = require("./services/ruleClassifier");
+const {
+  renderPrompt,
+  resolvePromptVersion,
+} = require("./services/promptTemplates");
+const {
+  checkpointer,
+  createRun,
+  getRun,
+  updateRun,
+} = require("./services/runStore");
+const { emitRunEvent, runIdOf } = require("./services/runEvents");
+const {
+  loadPlugins,
+  checkPlugins,
+  placePluginNodes,
+  pluginState,
+  pluginNode,
+} = require("./services/plugins");
+
+// Pause for a human review before the run ends (see reviewNode)
+const REQUIRE_APPROVAL = process.env.HEALING_REQUIRE_APPROVAL === "true";
+
+// Per-run spending cap in USD (unset: no cap)
+const DEFAULT_MAX_COST_USD =
+  parseFloat(process.env.HEALING_MAX_COST_USD) || null;
+
+const DEFAULT_MAX_PATCH_ATTEMPTS = parseInt(
+  process.env.HEALING_MAX_PATCH_ATTEMPTS || "3",
+  10,
+);
 
 // ===========================
 // 🧠 STEP 1: Define Shared State Schema using Zod
 // ===========================
+const SourceContextSchema = z.object({
+  file: z.string(),
+  line: z.number(),
+  startLine: z.number(),
+  endLine: z.number(),
+  totalLines: z.number(),
+  snippet: z.string(),
+  symbol: z.string().optional(),
+  reason: z.string().optional(),
+});
+
+const GuardrailFindingSchema = z.object({
+  check: z.string(),
+  action: z.enum(["reject", "flag"]),
+  file: z.string(),
+  detail: z.string(),
+});
+
 const StateSchema = z.object({
   logs: z.string().default(""),
+  runOptions: z
+    .object({
+      containerName: z.string().nullable().default(null),
+      workDir: z.string().nullable().default(null),
+      contextTokenBudget: z.number().optional(),
+      testCommand: z.string().nullable().optional(),
+      workspaceStrategy: z.enum(["copy", "worktree"]).optional(),
+      typeCheckCommand: z.string().nullable().optional(),
+      llmPreVerify: z.boolean().optional(),
+      maxPatchAttempts: z.number().int().min(1).optional(),
+      extractChunkTokens: z.number().optional(),
+      taxonomy: z.any().optional(),
+      testGuardrails: z.any().optional(),
+      ruleConfidence: z.number().min(0).max(1).optional(),
+      requireApproval: z.boolean().optional(),
+      maxCostUsd: z.number().positive().nullable().optional(),
+      promptVersion: z.string().optional(),
+    })
+    .default({}),
   failures: z
     .array(
       z.object({
         file: z.string(),
         line: z.number(),
         error_message: z.string(),
+        test_name: z.string().nullable().optional(),
+        stack: z.string().optional(),
+      }),
+    )
+    .default([]),
+  failureGroups: z
+    .array(
+      z.object({
+        group_id: z.number(),
+        size: z.number(),
+        keys: z.array(z.string()),
+        representative: z.any(),
+        members: z.array(
+          z.object({
+            file: z.string(),
+            line: z.number(),
+            test_name: z.string().nullable(),
+            error_message: z.string(),
+          }),
+        ),
       }),
     )
     .default([]),
@@ -22,7 +168,16 @@ const StateSchema = z.object({
         file: z.string(),
         line: z.number(),
         error_message: z.string(),
+        test_name: z.string().nullable().optional(),
+        stack: z.string().optional(),
         bug_type: z.string(),
+        classification_source: z.enum(["rule", "model", "fallback"]),
+        classification_confidence: z.number().nullable(),
+        classification_rule: z.string().nullable(),
+        source_context: z.array(SourceContextSchema).optional(),
+        failure_index: z.number().optional(),
+        group_id: z.number().optional(),
+        expected_resolved_tests: z.array(z.string()).optional(),
       }),
     )
     .default([]),
@@ -33,8 +188,13 @@ const StateSchema = z.object({
         line: z.number(),
         error_message: z.string(),
         bug_type: z.string(),
-        patch_instructions: z.string(),
+        patch_diff: z.string(),
+        edits: z.array(FileEditSchema).optional(),
         required_dashboard_output: z.string(),
+        failure_index: z.number().optional(),
+        attempt: z.number().optional(),
+        prompt_template: z.string().optional(),
+        guardrail_findings: z.array(GuardrailFindingSchema).optional(),
       }),
     )
     .default([]),
@@ -45,175 +205,719 @@ const StateSchema = z.object({
         line: z.number(),
         error_message: z.string(),
         bug_type: z.string(),
-        patch_instructions: z.string(),
+        patch_diff: z.string(),
+        edits: z.array(FileEditSchema).optional(),
         required_dashboard_output: z.string(),
+        failure_index: z.number().optional(),
+        attempt: z.number().optional(),
+        prompt_template: z.string().optional(),
+        guardrail_findings: z.array(GuardrailFindingSchema).optional(),
         verification_status: z.string(),
+        verification_method: z
+          .enum(["guardrail", "llm", "execution", "human"])
+          .optional(),
+        verification_reasons: z.array(z.string()).optional(),
+        review_status: z.enum(["approved", "rejected", "edited"]).optional(),
+        review_comment: z.string().nullable().optional(),
+        confidence: z.number().min(0).max(1).optional(),
+        risk: z
+          .object({
+            level: z.enum(["low", "medium", "high"]),
+            score: z.number(),
+            lines_changed: z.number(),
+            files_touched: z.number(),
+            edits_tests: z.boolean(),
+            factors: z.array(z.string()),
+          })
+          .optional(),
+        execution: z
+          .object({
+            testCommand: z.string(),
+            strategy: z.string(),
+            exitCode: z.number(),
+            durationMs: z.number(),
+            baselineFailed: z.number(),
+            failed: z.number(),
+            passed: z.number().nullable(),
+            resolved: z.boolean(),
+            newFailures: z.array(z.string()),
+            resolvedTests: z.array(z.string()).optional(),
+          })
+          .optional(),
       }),
     )
     .default([]),
   finalFixes: z.array(z.any()).default([]),
+  reviews: z
+    .array(
+      z.object({
+        failure_index: z.number(),
+        file: z.string(),
+        line: z.number(),
+        attempt: z.number(),
+        action: z.enum(["approve", "reject", "edit"]),
+        comment: z.string().nullable(),
+        reviewedAt: z.string(),
+      }),
+    )
+    .default([]),
+  validationErrors: z
+    .array(
+      z.object({
+        agent: z.string(),
+        target: z.string(),
+        attempt: z.number(),
+        error: z.string(),
+        response: z.string(),
+        repaired: z.boolean(),
+      }),
+    )
+    .default([]),
+  agentCalls: z
+    .array(
+      z.object({
+        agent: z.string(),
+        node: z.string().optional(),
+        provider: z.string(),
+        model: z.string().optional(),
+        attempts: z.number(),
+        retries: z.number(),
+        durationMs: z.number(),
+        inputTokens: z.number(),
+        outputTokens: z.number(),
+        tokensEstimated: z.boolean(),
+        costUsd: z.number(),
+        priced: z.boolean(),
+        cache: z.enum(["hit", "miss", "off"]),
+        status: z.enum(["ok", "failed"]),
+        error: z.string().optional(),
+      }),
+    )
+    .default([]),
+  patchAttempts: z
+    .array(
+      z.object({
+        failure_index: z.number(),
+        attempt: z.number(),
+        file: z.string(),
+        line: z.number(),
+        patch_diff: z.string(),
+        edits: z.array(FileEditSchema).optional(),
+        verification_status: z.string(),
+        verification_method: z.string().optional(),
+        verification_reasons: z.array(z.string()).default([]),
+      }),
+    )
+    .default([]),
+  budgetExceeded: z
+    .object({
+      limitUsd: z.number(),
+      spentUsd: z.number(),
+      stoppedAfter: z.string().nullable(),
+    })
+    .nullable()
+    .default(null),
   processedCount: z.number().default(0),
 });
 
-// ===========================
-// 🧩 STEP 2: Initialize Multi-Model Agents (Distributed Load)
-// ===========================
-// Using different models per agent to distribute API load
-// - Extractor & Classifier: Fast models (flash) for simple parsing
-// - Patcher: Powerful model (pro) for quality fixes
-// - Verifier: Fast model (flash) for validation
-
-const extractorModel = new ChatGoogleGenerativeAI({
-  model: process.env.EXTRACTOR_MODEL || "gemini-1.5-flash",
-  apiKey: process.env.GOOGLE_API_KEY,
-  temperature: 0,
-  maxOutputTokens: 2000,
-});
-
-const classifierModel = new ChatGoogleGenerativeAI({
-  model: process.env.CLASSIFIER_MODEL || "gemini-1.5-flash",
-  apiKey: process.env.GOOGLE_API_KEY,
-  temperature: 0,
-  maxOutputTokens: 1000,
-});
+// Shape the patch agent must return: a list of file edits (see
+// services/changeSet.js), or one unified diff as before. Either way the
+// reply is turned into { edits, diff } with diff covering every edit.
+const PatchResponseSchema = z
+  .object({
+    edits: z.array(z.unknown()).min(1).optional(),
+    diff: z.string().min(1).optional(),
+    required_dashboard_output: z.string().default(""),
+  })
+  .transform((reply, ctx) => {
+    if (!reply.edits && !reply.diff) {
+      ctx.addIssue({ code: "custom", message: "edits is required" });
+      return z.NEVER;
+    }
+    try {
+      // diffFromEdits validates the edits with readable errors first
+      const diff = reply.edits ? diffFromEdits(reply.edits) : null;
+      const edits = reply.edits
+        ? reply.edits.map((edit) => FileEditSchema.parse(edit))
+        : editsFromDiff(reply.diff);
+      return {
+        edits,
+        diff: diff || diffFromEdits(edits),
+        required_dashboard_output: reply.required_dashboard_output,
+      };
+    } catch (error) {
+      ctx.addIssue({
+        code: "custom",
+        path: [reply.edits ? "edits" : "diff"],
+        message: error.message,
+      });
+      return z.NEVER;
+    }
+  });
 
-const patchModel = new ChatGoogleGenerativeAI({
-  model: process.env.PATCHER_MODEL || "gemini-1.5-pro",
-  apiKey: process.env.GOOGLE_API_KEY,
-  temperature: 0,
-  maxOutputTokens: 3000,
+// Flat edit shape for providers' structured output
+const PatchProviderSchema = z.object({
+  edits: z.array(
+    z.object({
+      action: z.enum(EDIT_ACTIONS),
+      file: z.string().optional(),
+      new_file: z.string().optional(),
+      diff: z.string().optional(),
+      content: z.string().optional(),
+      manifest: z.string().optional(),
+      package: z.string().optional(),
+      version: z.string().optional(),
+      dev: z.boolean().optional(),
+      key: z.string().optional(),
+      value: z.unknown().optional(),
+      name: z.string().optional(),
+    }),
+  ),
+  required_dashboard_output: z.string(),
 });
 
-const verifierModel = new ChatGoogleGenerativeAI({
-  model: process.env.VERIFIER_MODEL || "gemini-1.5-flash",
-  apiKey: process.env.GOOGLE_API_KEY,
-  temperature: 0,
-  maxOutputTokens: 500,
+// Shape of one failure returned by the extractor
+const ExtractedFailureSchema = z.object({
+  file: z.string().min(1),
+  line: z.coerce.number().int().min(0).catch(0),
+  error_message: z.string().min(1),
 });
 
-// ===========================
-// 🔹 STEP 3: Create Agent Nodes
-// ===========================
+// Models asked for a bare array sometimes wrap it, structured output
+// always does (providers require an object at the root)
+const ExtractResponseSchema = z.preprocess(
+  (value) => (Array.isArray(value) ? { failures: value } : value),
+  z.object({ failures: z.array(ExtractedFailureSchema) }),
+);
 
 /**
- * Node 1: Extract Failures from Logs
- * Parses test logs and identifies individual failures
+ * Classifier reply spec for a taxonomy: any non-empty answer is mapped
+ * to the nearest configured category
  */
-async function extractNode(state) {
-  console.log("\n📍 [EXTRACT NODE] Processing logs...");
+function classifierOutput(taxonomy) {
+  return {
+    format: "text",
+    schema: z
+      .string()
+      .transform((text) => normalizeCategory(text, taxonomy))
+      .pipe(z.string({ message: "expected a category name" })),
+    instructions: `Return exactly one of: ${categoryNames(taxonomy).join(", ")}.`,
+  };
+}
+
+const VerifyResponseSchema = z
+  .string()
+  .trim()
+  .regex(/^\W*(APPROVED|REJECTED)\b/i, {
+    message: "must start with APPROVED or REJECTED",
+  })
+  .transform((text) => {
+    const approved = /^\W*APPROVED\b/i.test(text);
+    const reason = text.match(/REJECTED\W*(.*)/is)?.[1]?.trim();
+    return { approved, reason: approved ? null : reason || null };
+  });
 
-  const prompt = `You are a DevOps Error Extraction Agent.
+// Output spec per agent (see services/agentOutput.js)
+const AGENT_OUTPUTS = {
+  extractor: {
+    format: "json",
+    schema: ExtractResponseSchema,
+    providerSchema: z.object({ failures: z.array(ExtractedFailureSchema) }),
+    instructions:
+      'Return a JSON object {"failures": [{"file": string, "line": number, "error_message": string}]}.',
+  },
+  patcher: {
+    format: "json",
+    schema: PatchResponseSchema,
+    providerSchema: PatchProviderSchema,
+    instructions:
+      'Return a JSON object {"edits": [{"action": "modify|create|delete|rename|add_dependency|upgrade_dependency|set_config|set_env", ...}], "required_dashboard_output": string}. A modify edit needs "file" and a valid unified diff of that one file, create needs "file" and the full "content", rename needs "file" and "new_file". add_dependency/upgrade_dependency need "manifest" (package.json or requirements.txt), "package" and "version"; set_config needs a JSON "file", a dotted "key" and "value"; set_env needs "name" and "value".',
+  },
+  verifier: {
+    format: "text",
+    schema: VerifyResponseSchema,
+    instructions: "Return APPROVED, or REJECTED: <one-line reason>.",
+  },
+};
 
-Extract structured test failures from the provided logs.
+// ===========================
+// 🧩 STEP 2: Resolve Multi-Model Agents (Distributed Load)
+// ===========================
+// Each agent gets its own provider/model from services/llmProviders.js
+// - Extractor & Classifier: Fast models (flash) for simple parsing
+// - Patcher: Powerful model (pro) for quality fixes
+// - Verifier: Fast model (flash) for validation
+// Models are resolved lazily so nothing needs a Google key at module load.
+// Per-run overrides arrive via config.configurable.llm.
+// Calls go through services/llmExecutor.js (concurrency caps, retries,
+// timeouts); each node collects its call records into state.agentCalls.
+// Replies are validated against AGENT_OUTPUTS and repaired once when
+// invalid; validation failures are kept in state.validationErrors.
+// With runOptions.maxCostUsd set, calls stop once the run has spent it.
+
+const costOf = (calls) => calls.reduce((sum, c) => sum + c.costUsd, 0);
+
+function newRecords(state) {
+  const limit = state.runOptions?.maxCostUsd;
+  return {
+    calls: [],
+    validationErrors: [],
+    budgetUsd: limit ? limit - costOf(state.agentCalls) : Infinity,
+  };
+}
 
-Return a JSON array with this exact format:
-[
-  {
-    "file": "path/to/file.js",
-    "line": 42,
-    "error_message": "exact error message"
+function callAgent(
+  agent,
+  prompt,
+  config,
+  records,
+  target,
+  spec = AGENT_OUTPUTS[agent],
+) {
+  if (costOf(records.calls) >= records.budgetUsd) {
+    const error = new Error(`Run budget exhausted, skipping ${agent} call`);
+    error.budgetExceeded = true;
+    return Promise.reject(error);
   }
-]
+  return invokeValidated(agent, prompt, spec, {
+    config,
+    calls: records.calls,
+    validationErrors: records.validationErrors,
+    target,
+  });
+}
+
+function appendRecords(state, records) {
+  return {
+    agentCalls: [...state.agentCalls, ...records.calls],
+    validationErrors: [...state.validationErrors, ...records.validationErrors],
+  };
+}
 
-Rules:
-- Extract EVERY error you find
-- Use exact file paths from logs
-- Include line numbers if available
-- Keep error messages concise but complete
-- If no line number, use 0
-- Return ONLY valid JSON, no markdown or explanation
+// ===========================
+// 🔹 STEP 3: Create Agent Nodes
+// ===========================
 
-Test Logs:
-${state.logs}`;
+/**
+ * Ask the extractor model for the failures in one log chunk. If the
+ * answer does not parse (typically a response cut off at the output
+ * cap), the chunk is split in half and retried.
+ */
+async function extractChunk(chunk, config, records, version, depth = 0) {
+  const { prompt } = renderPrompt("extractor", { logs: chunk }, { version });
 
   try {
-    const response = await extractorModel.invoke([
-      { role: "user", content: prompt },
-    ]);
-
-    let content = response.content;
-    if (typeof content === "string") {
-      // Clean up markdown code blocks if present
-      content = content.replace(/```json\n?/g, "").replace(/```\n?/g, "");
+    const { failures } = await callAgent(
+      "extractor",
+      prompt,
+      config,
+      records,
+      `log chunk (${estimateTokens(chunk)} tokens)`,
+    );
+    return failures;
+  } catch (error) {
+    const halves = chunkLog(chunk, {
+      maxTokens: Math.ceil(estimateTokens(chunk) / 2),
+    });
+    if (!error.budgetExceeded && depth < 2 && halves.length > 1) {
+      console.warn(
+        `   ⚠️  Chunk extraction failed (${error.message}), retrying in ${halves.length} parts`,
+      );
+      const results = await Promise.all(
+        halves.map((half) =>
+          extractChunk(half, config, records, version, depth + 1),
+        ),
+      );
+      return results.flat();
     }
+    console.error("❌ Extraction error:", error.message);
+    return [];
+  }
+}
+
+/**
+ * Node 1: Extract Failures from Logs
+ * Cleans the log, parses it with the rule-based framework parsers and
+ * only asks the extractor model (chunk by chunk) when no parser
+ * recognizes the output
+ */
+async function extractNode(state, config) {
+  console.log("\n📍 [EXTRACT NODE] Processing logs...");
 
-    const failures = JSON.parse(content);
-    console.log(`✅ Extracted ${failures.length} failures`);
+  const logs = preprocessLog(state.logs);
+  console.log(
+    `   Preprocessed log: ${state.logs.length} → ${logs.length} characters`,
+  );
 
+  const parsed = parseTestLog(logs);
+  if (parsed && parsed.failures.length > 0) {
+    console.log(
+      `✅ Extracted ${parsed.failures.length} failures (${parsed.frameworks.join(", ")} parser)`,
+    );
+    emitFailures(config, parsed.failures);
     return {
       ...state,
-      failures: failures || [],
-      processedCount: failures?.length || 0,
+      failures: parsed.failures,
+      processedCount: parsed.failures.length,
     };
-  } catch (error) {
-    console.error("❌ Extraction error:", error.message);
-    return { ...state, failures: [] };
   }
+
+  const maxTokens =
+    state.runOptions?.extractChunkTokens || DEFAULT_CHUNK_TOKENS;
+  const chunks = chunkLog(logs, { maxTokens });
+  console.log(
+    `   No known test framework output, asking the extractor model (${chunks.length} chunks)`,
+  );
+
+  const records = newRecords(state);
+  const perChunk = await Promise.all(
+    chunks.map((chunk) =>
+      extractChunk(chunk, config, records, state.runOptions?.promptVersion),
+    ),
+  );
+  const failures = mergeFailures(perChunk);
+  console.log(`✅ Extracted ${failures.length} failures`);
+  emitFailures(config, failures);
+
+  return {
+    ...state,
+    failures,
+    processedCount: failures.length,
+    ...appendRecords(state, records),
+  };
+}
+
+function emitFailures(config, failures) {
+  failures.forEach((failure) =>
+    emitRunEvent(runIdOf(config), "failure_extracted", {
+      file: failure.file,
+      line: failure.line,
+      error_message: failure.error_message,
+    }),
+  );
 }
 
 /**
- * Node 2: Classify Failures (Parallel Processing)
- * Categorizes each failure by error type
+ * Node 2: Group Failures by Root Cause
+ * Clusters failures sharing a source line, non-test stack frame or
+ * specific error message; later nodes only see one representative
+ * per group
  */
-async function classifyNode(state) {
+async function groupNode(state) {
+  console.log(
+    `\n📍 [GROUP NODE] Grouping ${state.failures.length} failures...`,
+  );
+
+  const groups = groupFailures(state.failures);
   console.log(
-    `\n📍 [CLASSIFY NODE] Processing ${state.failures.length} failures...`,
+    `✅ ${state.failures.length} failures → ${groups.length} root-cause groups`,
   );
+  groups
+    .filter((g) => g.size > 1)
+    .forEach((g) =>
+      console.log(
+        `   • ${g.representative.file}:${g.representative.line} covers ${g.size} failures`,
+      ),
+    );
+
+  return { ...state, failureGroups: groups };
+}
+
+function countBy(items, key) {
+  const counts = {};
+  for (const item of items) counts[item[key]] = (counts[item[key]] || 0) + 1;
+  return counts;
+}
 
-  if (state.failures.length === 0) {
+/**
+ * Node 3: Classify Failures (Parallel Processing)
+ * Categorizes each failure group's representative by error type.
+ * Failures with a confident rule match (services/ruleClassifier.js) are
+ * classified without a model call; model answers are normalized onto
+ * the taxonomy. Each failure records its classification_source.
+ */
+async function classifyNode(state, config) {
+  const targets =
+    state.failureGroups.length > 0
+      ? state.failureGroups.map((g) => g.representative)
+      : state.failures;
+
+  console.log(`\n📍 [CLASSIFY NODE] Processing ${targets.length} failures...`);
+
+  if (targets.length === 0) {
     console.log("⏭️  No failures to classify");
     return state;
   }
 
-  // Parallel classification
-  const classificationPromises = state.failures.map(async (failure) => {
-    const prompt = `Classify this error into ONE category only:
-- LINTING (code style, formatting)
-- SYNTAX (parsing, invalid code structure)
-- LOGIC (incorrect algorithm, wrong implementation)
-- TYPE_ERROR (type mismatch, undefined variable)
-- IMPORT (missing module, wrong import path)
-- INDENTATION (whitespace, tab issues)
-- RUNTIME (execution error)
-- CONFIG (configuration, environment issue)
-
-Error Message:
-${failure.error_message}
-
-File: ${failure.file}
-Line: ${failure.line}
+  const taxonomy = state.runOptions?.taxonomy || resolveTaxonomy();
+  const output = classifierOutput(taxonomy);
+
+  // Parallel classification (bounded by the executor's provider limit)
+  const threshold = state.runOptions?.ruleConfidence ?? DEFAULT_RULE_CONFIDENCE;
+  const records = newRecords(state);
+  const classificationPromises = targets.map(async (failure) => {
+    const rule = classifyByRules(failure, taxonomy);
+    const fromRule = (source) => ({
+      ...failure,
+      bug_type: rule.bug_type,
+      classification_source: source,
+      classification_confidence: rule.confidence,
+      classification_rule: rule.rule,
+    });
+    if (rule && rule.confidence >= threshold) {
+      return fromRule("rule");
+    }
 
-Return ONLY the category name, nothing else.`;
+    const promptOptions = {
+      version: state.runOptions?.promptVersion,
+      language: detectLanguage(failure.file),
+    };
+    const hint = rule
+      ? `\n${renderPrompt("classifier-hint", { bug_type: rule.bug_type, rule: rule.rule }, promptOptions).prompt}\n`
+      : "";
+    const { prompt } = renderPrompt(
+      "classifier",
+      {
+        categories: formatCategories(taxonomy),
+        hint,
+        error_message: failure.error_message,
+        file: failure.file,
+        line: failure.line,
+      },
+      promptOptions,
+    );
 
     try {
-      const response = await classifierModel.invoke([
-        { role: "user", content: prompt },
-      ]);
+      const bugType = await callAgent(
+        "classifier",
+        prompt,
+        config,
+        records,
+        `${failure.file}:${failure.line}`,
+        output,
+      );
 
       return {
         ...failure,
-        bug_type: response.content.trim(),
+        bug_type: bugType,
+        classification_source: "model",
+        classification_confidence: null,
+        classification_rule: null,
       };
     } catch (error) {
       console.error(`Cannot classify ${failure.file}:`, error.message);
+      // A low-confidence rule beats no classification at all
+      if (rule) return fromRule("fallback");
       return {
         ...failure,
         bug_type: "UNKNOWN",
+        classification_source: "fallback",
+        classification_confidence: null,
+        classification_rule: null,
       };
     }
   });
 
   const classified = await Promise.all(classificationPromises);
-  console.log(`✅ Classified ${classified.length} failures`);
+  const sources = countBy(classified, "classification_source");
+  console.log(
+    `✅ Classified ${classified.length} failures (${sources.rule || 0} by rule, ${sources.model || 0} by model, ${sources.fallback || 0} fallback)`,
+  );
+
+  return {
+    ...state,
+    classifiedFailures: classified,
+    ...appendRecords(state, records),
+  };
+}
+
+/**
+ * Node 4: Gather Source Context
+ * Reads the failing file and stack-trace files from the sandbox container
+ * and attaches token-budgeted, line-numbered windows to each failure.
+ * TYPE_ERROR and LOGIC failures also get the functions on their stack
+ * and the definitions those use (see services/codeIntelligence.js).
+ */
+async function contextNode(state) {
+  const { containerName, workDir, contextTokenBudget } = state.runOptions || {};
+
+  console.log(
+    `\n📍 [CONTEXT NODE] Fetching source for ${state.classifiedFailures.length} failures...`,
+  );
+
+  if (!containerName || !workDir) {
+    console.log("⏭️  No sandbox container configured, skipping source context");
+    return state;
+  }
+
+  const readFile = createFileReader(containerName);
+  const outlineFile = createOutliner({ containerName, workDir, readFile });
+
+  const withContext = await Promise.all(
+    state.classifiedFailures.map(async (failure) => {
+      const windows = await collectSourceContext(failure, {
+        workDir,
+        readFile,
+        tokenBudget: contextTokenBudget,
+      });
+      const symbols = SYMBOL_BUG_TYPES.includes(failure.bug_type)
+        ? await collectSymbolContext(failure, {
+            outlineFile,
+            workDir,
+            existing: windows,
+          })
+        : [];
+      return { ...failure, source_context: [...windows, ...symbols] };
+    }),
+  );
+
+  const snippets = withContext.reduce(
+    (sum, f) => sum + f.source_context.length,
+    0,
+  );
+  const symbols = withContext.reduce(
+    (sum, f) => sum + f.source_context.filter((c) => c.symbol).length,
+    0,
+  );
+  console.log(
+    `✅ Attached ${snippets} source snippets (${symbols} symbol definitions)`,
+  );
+
+  return { ...state, classifiedFailures: withContext };
+}
+
+/**
+ * A patch's fix actions and diff for prompts
+ */
+function formatChangeSet(patch) {
+  const actions = describeEdits(patchFixActions(patch)).map(
+    (action) => `- ${action}`,
+  );
+  const diff = patch.patch_diff || (actions.length ? "" : "(no diff produced)");
+  return [...actions, diff].filter(Boolean).join("\n");
+}
+
+/**
+ * Prompt section describing the rejected previous attempt
+ */
+function formatPreviousAttempt(previous, promptOptions) {
+  if (!previous) return "";
+  const reasons = (previous.verification_reasons || []).length
+    ? previous.verification_reasons.map((r) => `- ${r}`).join("\n")
+    : "- (no reason given)";
+  const { prompt } = renderPrompt(
+    "patcher-retry",
+    {
+      attempt: previous.attempt,
+      reasons,
+      previous_diff: formatChangeSet(previous),
+    },
+    promptOptions,
+  );
+  return `\n${prompt}\n`;
+}
+
+/**
+ * Ask the patch agent for one fix; `previous` is the rejected attempt
+ * being retried, if any
+ */
+async function generatePatch(failure, previous, config, records, version) {
+  const attempt = previous ? (previous.attempt || 1) + 1 : 1;
+
+  const promptOptions = { version, language: detectLanguage(failure.file) };
+  const { prompt, template } = renderPrompt(
+    "patcher",
+    {
+      file: failure.file,
+      line: failure.line,
+      error_message: failure.error_message,
+      bug_type: failure.bug_type,
+      source: formatSourceContext(failure.source_context),
+      previous_attempt: formatPreviousAttempt(previous, promptOptions),
+    },
+    promptOptions,
+  );
+
+  let patch;
+  try {
+    const parsed = await callAgent(
+      "patcher",
+      prompt,
+      config,
+      records,
+      `${failure.file}:${failure.line}`,
+    );
+    patch = {
+      ...failure,
+      attempt,
+      patch_diff: parsed.diff,
+      edits: parsed.edits,
+      required_dashboard_output: parsed.required_dashboard_output,
+      prompt_template: template,
+    };
+  } catch (error) {
+    console.error(`Cannot patch ${failure.file}:`, error.message);
+    patch = {
+      ...failure,
+      attempt,
+      patch_diff: "",
+      edits: [],
+      required_dashboard_output: "Manual review needed",
+      prompt_template: template,
+    };
+  }
 
-  return { ...state, classifiedFailures: classified };
+  emitRunEvent(runIdOf(config), "patch_generated", {
+    failure_index: patch.failure_index,
+    file: patch.file,
+    line: patch.line,
+    bug_type: patch.bug_type,
+    attempt,
+    has_diff: Boolean(patch.patch_diff),
+    changes: describeEdits(patch.edits),
+  });
+  return patch;
 }
 
 /**
- * Node 3: Generate Patches (Parallel Processing)
- * Creates fixes for each classified failure
+ * Node 5: Generate Patches (Parallel Processing)
+ * Creates fixes for each classified failure. When routed back after a
+ * rejection, only the rejected failures are re-patched, with the
+ * verifier's reasons and the previous diff in the prompt.
  */
-async function patchNode(state) {
+async function patchNode(state, config) {
+  const retrying = retryablePatches(state);
+  const records = newRecords(state);
+
+  if (retrying.length > 0) {
+    console.log(
+      `\n📍 [PATCH NODE] Retrying ${retrying.length} rejected patches...`,
+    );
+
+    const retried = await Promise.all(
+      retrying.map((previous) =>
+        generatePatch(
+          state.classifiedFailures[previous.failure_index],
+          previous,
+          config,
+          records,
+          state.runOptions?.promptVersion,
+        ),
+      ),
+    );
+    console.log(`✅ Generated ${retried.length} replacement patches`);
+
+    const patches = state.generatedPatches.map(
+      (patch) =>
+        retried.find((r) => r.failure_index === patch.failure_index) || patch,
+    );
+    return {
+      ...state,
+      generatedPatches: patches,
+      ...appendRecords(state, records),
+    };
+  }
+
   console.log(
     `\n📍 [PATCH NODE] Generating fixes for ${state.classifiedFailures.length} failures...`,
   );
@@ -223,67 +927,127 @@ async function patchNode(state) {
     return state;
   }
 
-  // Parallel patch generation
-  const patchPromises = state.classifiedFailures.map(async (failure) => {
-    const prompt = `You are an autonomous DevOps Patch Generation Agent.
-
-Generate a MINIMAL, DIRECT fix for this error.
+  const indexed = state.classifiedFailures.map((failure, index) => ({
+    ...failure,
+    failure_index: index,
+  }));
 
-File: ${failure.file}
-Line: ${failure.line}
-Error: ${failure.error_message}
-Bug Type: ${failure.bug_type}
+  // Parallel patch generation
+  const patches = await Promise.all(
+    indexed.map((failure) =>
+      generatePatch(
+        failure,
+        null,
+        config,
+        records,
+        state.runOptions?.promptVersion,
+      ),
+    ),
+  );
+  console.log(`✅ Generated ${patches.length} patches`);
 
-Return a JSON object:
-{
-  "patch_instructions": "Exact code fix or command to run",
-  "required_dashboard_output": "Expected output after fix"
+  return {
+    ...state,
+    classifiedFailures: indexed,
+    generatedPatches: patches,
+    ...appendRecords(state, records),
+  };
 }
 
-Rules:
-- Fix ONLY what's broken, nothing else
-- Be specific and minimal
-- If it's a code fix, provide exact code
-- If it's a command, provide the exact command
-- Return ONLY valid JSON`;
+/**
+ * Test guardrails for a run: the run's own, the repository's
+ * (.healing/test-guardrails.json) or the default ones
+ */
+async function guardrailsFor(runOptions = {}) {
+  if (runOptions.testGuardrails) return runOptions.testGuardrails;
 
+  const { containerName, workDir } = runOptions;
+  if (containerName && workDir) {
     try {
-      const response = await patchModel.invoke([
-        { role: "user", content: prompt },
-      ]);
+      const repository = await loadRepositoryGuardrails(
+        createFileReader(containerName),
+        workDir,
+      );
+      if (repository) return repository;
+    } catch (error) {
+      console.warn(`⚠️  Ignoring repository test guardrails: ${error.message}`);
+    }
+  }
+  return loadTestGuardrails();
+}
 
-      let content = response.content;
-      if (typeof content === "string") {
-        content = content.replace(/```json\n?/g, "").replace(/```\n?/g, "");
-      }
+/**
+ * Node 6: Test Guardrails
+ * Checks each new patch for weakened tests: removed assertions, changed
+ * expectations, skip markers, snapshot rewrites and test file edits
+ * (see services/testGuardrails.js). Findings are kept on the patch;
+ * the verify node rejects patches with a finding set to "reject".
+ */
+async function guardNode(state, config) {
+  const unchecked = state.generatedPatches.filter(
+    (patch) => !patch.guardrail_findings,
+  );
+  console.log(
+    `\n📍 [GUARD NODE] Checking ${unchecked.length} patches for weakened tests...`,
+  );
 
-      const parsed = JSON.parse(content);
-      return {
-        ...failure,
-        patch_instructions: parsed.patch_instructions,
-        required_dashboard_output: parsed.required_dashboard_output,
-      };
-    } catch (error) {
-      console.error(`Cannot patch ${failure.file}:`, error.message);
-      return {
-        ...failure,
-        patch_instructions: `Review ${failure.file}:${failure.line}`,
-        required_dashboard_output: "Manual review needed",
-      };
+  if (unchecked.length === 0) {
+    console.log("⏭️  No new patches to check");
+    return state;
+  }
+
+  const guardrails = await guardrailsFor(state.runOptions);
+  const checked = state.generatedPatches.map((patch) => {
+    if (patch.guardrail_findings) return patch;
+
+    // Reviewers may change tests on purpose: their edits are only flagged
+    const findings = checkTestGuardrails(patch, guardrails, {
+      reviewed: patch.review_status === "edited",
+    });
+    if (findings.length > 0) {
+      emitRunEvent(runIdOf(config), "guardrail", {
+        failure_index: patch.failure_index,
+        file: patch.file,
+        line: patch.line,
+        attempt: patch.attempt || 1,
+        findings,
+      });
     }
+    return { ...patch, guardrail_findings: findings };
   });
 
-  const patches = await Promise.all(patchPromises);
-  console.log(`✅ Generated ${patches.length} patches`);
+  const findings = checked
+    .filter((patch, i) => !state.generatedPatches[i].guardrail_findings)
+    .flatMap((patch) => patch.guardrail_findings);
+  const rejected = findings.filter((f) => f.action === "reject").length;
+  console.log(
+    `✅ ${findings.length} guardrail findings (${rejected} rejecting, ${findings.length - rejected} flagged)`,
+  );
 
-  return { ...state, generatedPatches: patches };
+  return { ...state, generatedPatches: checked };
 }
 
 /**
- * Node 4: Verify Patches (Parallel Processing)
- * Validates that each patch fixes the issue without side effects
+ * Verdict for a patch the test guardrails reject; null when they don't
  */
-async function verifyNode(state) {
+function guardrailVerdict(config, patch) {
+  const rejections = guardrailRejections(patch);
+  if (rejections.length === 0) return null;
+  return emitVerdict(config, {
+    ...patch,
+    verification_status: "REJECTED",
+    verification_method: "guardrail",
+    verification_reasons: rejections,
+  });
+}
+
+/**
+ * Node 7: Verify Patches (Parallel Processing)
+ * Asks the verifier model whether each patch looks minimal, correct and
+ * safe. With a sandbox configured this is only a pre-filter in front of
+ * the execution node and can be switched off (llmPreVerify: false).
+ */
+async function verifyNode(state, config) {
   console.log(
     `\n📍 [VERIFY NODE] Verifying ${state.generatedPatches.length} patches...`,
   );
@@ -293,38 +1057,94 @@ async function verifyNode(state) {
     return state;
   }
 
+  // Verdicts from earlier rounds stand; only new attempts (including
+  // reviewer edits) are verified
+  const previousVerdict = (patch) =>
+    state.verifiedPatches.find(
+      (v) =>
+        v.failure_index === patch.failure_index &&
+        v.attempt === patch.attempt &&
+        v.verification_status !== "PENDING_REVERIFY",
+    );
+
+  const { containerName, workDir, llmPreVerify } = state.runOptions || {};
+  if (containerName && workDir && llmPreVerify === false) {
+    console.log("⏭️  LLM pre-filter disabled, deferring to execution");
+    const pending = state.generatedPatches.map(
+      (patch) =>
+        previousVerdict(patch) ||
+        guardrailVerdict(config, patch) || {
+          ...patch,
+          verification_status: hasChanges(patch)
+            ? "PENDING_EXECUTION"
+            : "PENDING_REVIEW",
+        },
+    );
+    return {
+      ...state,
+      verifiedPatches: pending,
+      finalFixes: pending.filter((v) => v.verification_status === "APPROVED"),
+    };
+  }
+
   // Parallel verification
+  const records = newRecords(state);
   const verificationPromises = state.generatedPatches.map(async (patch) => {
-    const prompt = `You are a Patch Verification Agent.
-
-Verify this fix is:
-1. Minimal (only fixes the identified issue)
-2. Correct (actually solves the problem)
-3. Safe (doesn't introduce new issues)
+    const verdict = previousVerdict(patch) || guardrailVerdict(config, patch);
+    if (verdict) return verdict;
 
-Error: ${patch.error_message}
-Patch: ${patch.patch_instructions}
+    if (!hasChanges(patch)) {
+      return emitVerdict(config, {
+        ...patch,
+        verification_status: "PENDING_REVIEW",
+      });
+    }
 
-Return only: APPROVED or REJECTED`;
+    const { prompt } = renderPrompt(
+      "verifier",
+      {
+        error_message: patch.error_message,
+        file: patch.file,
+        source: formatSourceContext(patch.source_context),
+        changes: describePatch(patch)
+          .map((change) => `- ${change}`)
+          .join("\n"),
+        patch_diff: patch.patch_diff || "(no file changes)",
+      },
+      {
+        version: state.runOptions?.promptVersion,
+        language: detectLanguage(patch.file),
+      },
+    );
 
     try {
-      const response = await verifierModel.invoke([
-        { role: "user", content: prompt },
-      ]);
-
-      const verificationResult = response.content.trim().toUpperCase();
-      const isApproved = verificationResult.includes("APPROVED");
-
-      return {
+      const { approved: isApproved, reason } = await callAgent(
+        "verifier",
+        prompt,
+        config,
+        records,
+        `${patch.file}:${patch.line}`,
+      );
+
+      return emitVerdict(config, {
         ...patch,
         verification_status: isApproved ? "APPROVED" : "REJECTED",
-      };
+        verification_method: "llm",
+        verification_reasons: isApproved
+          ? []
+          : [reason || "Verifier model rejected the patch"],
+      });
     } catch (error) {
+      // With a sandbox the test run still decides; without one a
+      // reviewer has to
       console.error(`Cannot verify ${patch.file}:`, error.message);
-      return {
+      if (containerName && workDir) {
+        return { ...patch, verification_status: "PENDING_EXECUTION" };
+      }
+      return emitVerdict(config, {
         ...patch,
         verification_status: "PENDING_REVIEW",
-      };
+      });
     }
   });
 
@@ -339,62 +1159,507 @@ Return only: APPROVED or REJECTED`;
     ...state,
     verifiedPatches: verified,
     finalFixes: approved,
+    ...appendRecords(state, records),
   };
 }
 
+/**
+ * Score a patch's verdict (see services/fixScoring.js) and publish it;
+ * returns the scored patch
+ */
+function emitVerdict(config, verdict) {
+  const patch = { ...verdict, ...scorePatch(verdict) };
+  emitRunEvent(runIdOf(config), "verdict", {
+    failure_index: patch.failure_index,
+    file: patch.file,
+    line: patch.line,
+    attempt: patch.attempt || 1,
+    status: patch.verification_status,
+    method: patch.verification_method || "llm",
+    reasons: patch.verification_reasons || [],
+    confidence: patch.confidence,
+    risk: patch.risk.level,
+  });
+  return patch;
+}
+
+/**
+ * Node 8: Verify by Execution
+ * Applies each surviving patch to an isolated copy of the workspace,
+ * reruns the tests and approves only when the failing test now passes
+ * and nothing that passed before broke. Patches that no longer parse
+ * are rejected before the tests run, with the errors as reasons.
+ */
+async function executionVerifyNode(state, config) {
+  const {
+    containerName,
+    workDir,
+    testCommand,
+    workspaceStrategy,
+    typeCheckCommand,
+  } = state.runOptions || {};
+
+  // Patches already executed in an earlier round keep their verdict
+  const candidates = state.verifiedPatches.filter(
+    (p) =>
+      ["APPROVED", "PENDING_EXECUTION"].includes(p.verification_status) &&
+      p.verification_method !== "execution",
+  );
+
+  console.log(
+    `\n📍 [EXECUTE NODE] Running tests for ${candidates.length} candidate patches...`,
+  );
+
+  if (!containerName || !workDir) {
+    console.log("⏭️  No sandbox container configured, keeping LLM verdicts");
+    return { ...state, patchAttempts: recordAttempts(state) };
+  }
+
+  if (candidates.length === 0) {
+    console.log("⏭️  No candidate patches to execute");
+    return { ...state, patchAttempts: recordAttempts(state) };
+  }
+
+  let executed;
+  try {
+    executed = await verifyPatchesByExecution(
+      containerName,
+      workDir,
+      candidates,
+      { testCommand, strategy: workspaceStrategy, typeCheckCommand },
+    );
+  } catch (error) {
+    console.error("❌ Execution verification error:", error.message);
+    executed = candidates.map((patch) => ({
+      ...patch,
+      verification_status: "PENDING_REVIEW",
+      verification_method: "execution",
+      verification_reasons: [`Could not run tests: ${error.message}`],
+    }));
+  }
+
+  executed = executed.map((patch) => emitVerdict(config, patch));
+
+  const verified = state.verifiedPatches.map(
+    (patch) => executed[candidates.indexOf(patch)] || patch,
+  );
+  const approved = verified.filter((v) => v.verification_status === "APPROVED");
+  console.log(
+    `✅ Execution approved ${approved.length}/${candidates.length} patches`,
+  );
+
+  const next = { ...state, verifiedPatches: verified, finalFixes: approved };
+  return { ...next, patchAttempts: recordAttempts(next) };
+}
+
+/**
+ * Patches waiting on a reviewer: verifier-approved ones not reviewed
+ * yet, and reviewer edits that failed re-verification
+ */
+function pendingReview(state) {
+  return state.verifiedPatches.filter(
+    (p) =>
+      p.failure_index !== undefined &&
+      ((p.verification_status === "APPROVED" && !p.review_status) ||
+        (p.review_status === "edited" &&
+          !["APPROVED", "PENDING_REVERIFY"].includes(p.verification_status))),
+  );
+}
+
+function describeForReview(patch) {
+  return {
+    id: patch.failure_index,
+    file: patch.file,
+    line: patch.line,
+    bug_type: patch.bug_type,
+    error_message: patch.error_message,
+    attempt: patch.attempt || 1,
+    patch_diff: patch.patch_diff,
+    changes: describePatch(patch),
+    verification_status: patch.verification_status,
+    verification_method: patch.verification_method || null,
+    verification_reasons: patch.verification_reasons || [],
+    execution: patch.execution || null,
+    confidence: patch.confidence ?? null,
+    risk: patch.risk || null,
+    guardrail_findings: patch.guardrail_findings || [],
+    expected_resolved_tests: patch.expected_resolved_tests || [],
+    review_status: patch.review_status || null,
+  };
+}
+
+/**
+ * Apply one reviewer decision to a patch (from generatedPatches or
+ * verifiedPatches). Edits become a new attempt that is verified again.
+ */
+function applyDecision(patch, decision) {
+  const comment = decision.comment || null;
+  switch (decision.action) {
+    case "approve":
+      return { ...patch, review_status: "approved", review_comment: comment };
+    case "reject":
+      return {
+        ...patch,
+        review_status: "rejected",
+        review_comment: comment,
+        verification_status: "REJECTED",
+        verification_method: "human",
+        verification_reasons: [comment || "Rejected by reviewer"],
+      };
+    case "edit":
+      return {
+        ...patch,
+        patch_diff: decision.patch_diff,
+        // The reviewer's diff replaces the file edits; fix actions stay
+        edits: [
+          ...editsFromDiff(decision.patch_diff),
+          ...patchFixActions(patch),
+        ],
+        attempt: (patch.attempt || 1) + 1,
+        review_status: "edited",
+        review_comment: comment,
+        verification_status: "PENDING_REVERIFY",
+        verification_method: undefined,
+        verification_reasons: [],
+        execution: undefined,
+        guardrail_findings: undefined,
+      };
+    default:
+      return patch;
+  }
+}
+
+/**
+ * Node 9: Human Review (only with runOptions.requireApproval)
+ * Pauses the graph with the proposed fixes until a reviewer approves,
+ * rejects or edits them (see reviewAgentGraph). Edited patches go back
+ * through guard → verify → execute before they count as approved.
+ */
+async function reviewNode(state) {
+  const pending = pendingReview(state);
+  console.log(`
+📍 [REVIEW NODE] ${pending.length} fixes awaiting review...`);
+
+  if (pending.length === 0) {
+    return state;
+  }
+
+  // Everything above re-runs on resume, so it must stay side-effect free
+  const { decisions = [] } =
+    interrupt({ type: "review", fixes: pending.map(describeForReview) }) || {};
+
+  const pendingIds = new Set(pending.map((p) => p.failure_index));
+  const decisionFor = (patch) =>
+    pendingIds.has(patch.failure_index)
+      ? decisions.find((d) => d.id === patch.failure_index)
+      : null;
+
+  const reviewedAt = new Date().toISOString();
+  const reviews = pending
+    .filter((patch) => decisionFor(patch))
+    .map((patch) => ({
+      failure_index: patch.failure_index,
+      file: patch.file,
+      line: patch.line,
+      attempt: patch.attempt || 1,
+      action: decisionFor(patch).action,
+      comment: decisionFor(patch).comment || null,
+      reviewedAt,
+    }));
+
+  const review = (patch) => {
+    const decision = decisionFor(patch);
+    return decision ? applyDecision(patch, decision) : patch;
+  };
+  const verified = state.verifiedPatches.map(review);
+
+  console.log(
+    `✅ Recorded ${reviews.length} review decisions (${reviews.map((r) => `${r.file}: ${r.action}`).join(", ") || "none"})`,
+  );
+
+  return {
+    ...state,
+    // verifyNode re-verifies the new attempt; verdicts live on
+    // verifiedPatches, so only edits change generatedPatches
+    generatedPatches: state.generatedPatches.map((patch) => {
+      const decision = decisionFor(patch);
+      if (decision?.action !== "edit") return patch;
+      const { verification_status, verification_reasons, ...edited } =
+        applyDecision(patch, decision);
+      return edited;
+    }),
+    verifiedPatches: verified,
+    finalFixes: verified.filter((v) => v.verification_status === "APPROVED"),
+    reviews: [...state.reviews, ...reviews],
+  };
+}
+
+/**
+ * Node 10: Budget Stop
+ * Ends the run once its LLM spend reaches runOptions.maxCostUsd; the
+ * state keeps everything produced so far
+ */
+async function budgetNode(state) {
+  const stoppedAfter = state.agentCalls.at(-1)?.node || null;
+  const budgetExceeded = {
+    limitUsd: state.runOptions.maxCostUsd,
+    spentUsd: costOf(state.agentCalls),
+    stoppedAfter,
+  };
+  console.log(
+    `\n💸 [BUDGET] Spent $${budgetExceeded.spentUsd.toFixed(4)} of $${budgetExceeded.limitUsd} after ${stoppedAfter || "start"}, stopping the run`,
+  );
+  return { ...state, budgetExceeded };
+}
+
 // ===========================
 // 🧠 STEP 4: Define Conditional Routing
 // ===========================
 
+function overBudget(state) {
+  const limit = state.runOptions?.maxCostUsd;
+  return Boolean(limit) && costOf(state.agentCalls) >= limit;
+}
+
+/**
+ * Routing between LLM nodes: continue to `next`, or stop when the run
+ * is over budget
+ */
+function budgetGate(next) {
+  return (state) => (overBudget(state) ? "budget" : next);
+}
+
+/**
+ * Rejected patches whose failure still has attempts left
+ */
+function retryablePatches(state) {
+  const maxAttempts =
+    state.runOptions?.maxPatchAttempts || DEFAULT_MAX_PATCH_ATTEMPTS;
+  return state.verifiedPatches.filter(
+    (p) =>
+      p.verification_status === "REJECTED" &&
+      p.failure_index !== undefined &&
+      !p.review_status &&
+      (p.attempt || 1) < maxAttempts,
+  );
+}
+
+/**
+ * Append this round's final verdicts to the attempt history
+ * (one entry per failure and attempt number)
+ */
+function recordAttempts(state) {
+  const history = state.patchAttempts || [];
+  const recorded = new Set(
+    history.map((a) => `${a.failure_index}:${a.attempt}`),
+  );
+
+  const additions = state.verifiedPatches
+    .filter(
+      (p) =>
+        p.failure_index !== undefined &&
+        !recorded.has(`${p.failure_index}:${p.attempt}`),
+    )
+    .map((p) => ({
+      failure_index: p.failure_index,
+      attempt: p.attempt || 1,
+      file: p.file,
+      line: p.line,
+      patch_diff: p.patch_diff,
+      edits: p.edits,
+      verification_status: p.verification_status,
+      verification_method: p.verification_method,
+      verification_reasons: p.verification_reasons || [],
+    }));
+
+  return [...history, ...additions];
+}
+
 /**
  * Conditional routing after verification
- * Routes approved patches to final output
+ * Sends rejected patches back to the patch agent until they run out of
+ * attempts or the run's budget; then pauses for review when approval is
+ * required, or ends the run
  */
-function shouldApplyFixes(state) {
+function routeAfterVerification(state) {
   const approvedCount = state.finalFixes.length;
   const totalPatches = state.generatedPatches.length;
+  const retrying = retryablePatches(state);
 
-  console.log(`\n🔀 [ROUTING] Approved: ${approvedCount}/${totalPatches}`);
+  console.log(
+    `\n🔀 [ROUTING] Approved: ${approvedCount}/${totalPatches}, retrying: ${retrying.length}`,
+  );
 
-  if (approvedCount > 0) {
-    return "apply";
+  if (retrying.length > 0) {
+    return overBudget(state) ? "budget" : "retry";
+  }
+  if (state.runOptions?.requireApproval && pendingReview(state).length > 0) {
+    return "review";
   }
-  return "reject";
+  return "done";
+}
+
+/**
+ * Conditional routing after a review round
+ * Edited patches are verified again; undecided fixes stay in review
+ */
+function routeAfterReview(state) {
+  if (
+    state.verifiedPatches.some(
+      (p) => p.verification_status === "PENDING_REVERIFY",
+    )
+  ) {
+    return "reverify";
+  }
+  if (pendingReview(state).length > 0) {
+    return "review";
+  }
+  return "done";
 }
 
 // ===========================
 // 🧠 STEP 5: Build the Graph
 // ===========================
 
-async function buildAgentGraph() {
-  const workflow = new StateGraph({
-    channels: {
-      logs: { value: null, default: "" },
-      failures: { value: null, default: [] },
-      classifiedFailures: { value: null, default: [] },
-      generatedPatches: { value: null, default: [] },
-      verifiedPatches: { value: null, default: [] },
-      finalFixes: { value: null, default: [] },
-      processedCount: { value: null, default: 0 },
-    },
-  });
+// Built-in nodes from log to verdict, in order, and the LLM nodes
+// among them that are followed by a budget check
+const LINEAR_NODES = [
+  "extract",
+  "group",
+  "classify",
+  "context",
+  "patch",
+  "guard",
+  "verify",
+  "execute",
+];
+const BUDGET_GATED_NODES = ["extract", "classify", "patch"];
+
+/**
+ * Wrap a node so it publishes node_started / node_finished events
+ */
+function withNodeEvents(name, node) {
+  return async (state, config) => {
+    const runId = runIdOf(config);
+    const startedAt = Date.now();
+    emitRunEvent(runId, "node_started", { node: name });
+    try {
+      const result = await node(state, config);
+      emitRunEvent(runId, "node_finished", {
+        node: name,
+        durationMs: Date.now() - startedAt,
+      });
+      return result;
+    } catch (error) {
+      // interrupt() pauses the run by throwing; run_paused reports it
+      if (!isGraphInterrupt(error)) {
+        emitRunEvent(runId, "node_failed", {
+          node: name,
+          durationMs: Date.now() - startedAt,
+          error: error.message,
+        });
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * Options:
+ * - checkpointer: LangGraph checkpoint saver (runs are then keyed by
+ *   configurable.thread_id)
+ * - plugins: plugins to add (default: loadPlugins(), the plugins
+ *   directory)
+ */
+async function buildAgentGraph(options = {}) {
+  const plugins = options.plugins || loadPlugins();
+  const channels = {
+    logs: { value: null, default: "" },
+    runOptions: { value: null, default: {} },
+    failures: { value: null, default: [] },
+    failureGroups: { value: null, default: [] },
+    classifiedFailures: { value: null, default: [] },
+    generatedPatches: { value: null, default: [] },
+    verifiedPatches: { value: null, default: [] },
+    finalFixes: { value: null, default: [] },
+    patchAttempts: { value: null, default: [] },
+    reviews: { value: null, default: [] },
+    agentCalls: { value: null, default: [] },
+    validationErrors: { value: null, default: [] },
+    budgetExceeded: { value: null, default: null },
+    processedCount: { value: null, default: 0 },
+  };
 
   // Add nodes
-  workflow.addNode("extract", extractNode);
-  workflow.addNode("classify", classifyNode);
-  workflow.addNode("patch", patchNode);
-  workflow.addNode("verify", verifyNode);
+  const nodes = {
+    extract: extractNode,
+    group: groupNode,
+    classify: classifyNode,
+    context: contextNode,
+    patch: patchNode,
+    guard: guardNode,
+    verify: verifyNode,
+    execute: executionVerifyNode,
+    review: reviewNode,
+    budget: budgetNode,
+  };
+
+  // Plugin nodes and the state fields they add (see services/plugins.js)
+  checkPlugins(plugins, {
+    nodes: Object.keys(nodes),
+    fields: Object.keys(channels),
+  });
+  const pluginDefaults = pluginState(plugins);
+  for (const field of Object.keys(pluginDefaults)) {
+    channels[field] = { value: null, default: pluginDefaults[field] };
+  }
+  for (const plugin of plugins) {
+    for (const node of plugin.nodes) {
+      nodes[node.name] = pluginNode(plugin, node, pluginDefaults);
+    }
+  }
 
-  // Set entry point
-  workflow.setEntryPoint("extract");
+  const workflow = new StateGraph({ channels });
+  for (const [name, node] of Object.entries(nodes)) {
+    workflow.addNode(name, withNodeEvents(name, node));
+  }
+
+  // Linear flow up to execution, with plugin nodes next to their
+  // anchors; LLM nodes stop the run when it is over budget
+  const order = placePluginNodes(LINEAR_NODES, plugins);
+  workflow.setEntryPoint(order[0]);
+  order.slice(0, -1).forEach((name, i) => {
+    const next = order[i + 1];
+    if (BUDGET_GATED_NODES.includes(name)) {
+      workflow.addConditionalEdges(name, budgetGate(next), {
+        [next]: next,
+        budget: "budget",
+      });
+    } else {
+      workflow.addEdge(name, next);
+    }
+  });
+  workflow.addEdge("budget", END);
+
+  // Rejected patches loop back to the patch agent (through the plugin
+  // nodes placed before it)
+  const patchEntry = order[order.indexOf("context") + 1];
+  workflow.addConditionalEdges("execute", routeAfterVerification, {
+    retry: patchEntry,
+    review: "review",
+    budget: "budget",
+    done: END,
+  });
 
-  // Add edges (linear flow)
-  workflow.addEdge("extract", "classify");
-  workflow.addEdge("classify", "patch");
-  workflow.addEdge("patch", "verify");
+  // Reviewer edits are re-verified before they count as approved
+  workflow.addConditionalEdges("review", routeAfterReview, {
+    reverify: "guard",
+    review: "review",
+    done: END,
+  });
 
   // Compile graph
-  const graph = workflow.compile();
+  const graph = workflow.compile({ checkpointer: options.checkpointer });
   console.log("✅ Agent Graph compiled successfully");
 
   return graph;
@@ -404,61 +1669,495 @@ async function buildAgentGraph() {
 // 🚀 STEP 6: Execute Graph
 // ===========================
 
-async function runAgentGraph(testLogs) {
+/**
+ * Run the full workflow on raw test logs
+ *
+ * Options:
+ * - llm: per-run provider overrides, e.g.
+ *   { provider: "fixture", fixtureFile: "fixtures/llm/sample-run.json" }
+ *   { patcher: { provider: "openai", model: "gpt-4o" } }
+ * - containerName / workDir: sandbox to read source context from
+ * - contextTokenBudget: max tokens of source per failure
+ *   (default HEALING_CONTEXT_TOKENS or 3000)
+ * - testCommand: command used to rerun tests (default npm test / pytest)
+ * - workspaceStrategy: "copy" (default) or "worktree" isolation
+ * - typeCheckCommand: type check run after a patch touching TypeScript
+ *   is applied, e.g. "npx tsc --noEmit" (default
+ *   HEALING_TYPECHECK_COMMAND, unset: syntax check only)
+ * - llmPreVerify: set false to skip the LLM verifier before execution
+ * - maxPatchAttempts: patch attempts per failure before giving up
+ *   (default HEALING_MAX_PATCH_ATTEMPTS or 3)
+ * - extractChunkTokens: log chunk size for model extraction
+ *   (default HEALING_EXTRACT_CHUNK_TOKENS or 4000)
+ * - testGuardrails: test guardrail settings, inline or the name of a
+ *   file in config/
+ *   (default: the repository's .healing/test-guardrails.json, else
+ *   config/test-guardrails.json; see services/testGuardrails.js)
+ * - runId: id to checkpoint the run under (default: a new UUID); must
+ *   not belong to an existing run
+ * - requireApproval: pause for a reviewer before the run ends
+ *   (default HEALING_REQUIRE_APPROVAL=true); the result then carries
+ *   `pendingReview` and the run continues via reviewAgentGraph
+ * - cache: false to bypass the prompt cache for this run (saved with
+ *   the run's llm overrides, so resumes bypass it too)
+ * - promptVersion: prompt template version under prompts/ (default
+ *   HEALING_PROMPT_VERSION or v1); recorded in runOptions
+ * - maxCostUsd: stop the run once its LLM calls cost this much
+ *   (default HEALING_MAX_COST_USD, unset: no cap); the result then
+ *   carries `budgetExceeded`
+ *
+ * Every node's result is checkpointed to logs/runs/<runId>/ (see
+ * services/runStore.js); the returned state carries `runId`. Progress
+ * is published as run events (see services/runEvents.js).
+ */
+async function runAgentGraph(testLogs, options = {}) {
   console.log("\n🚀 Starting Agent Graph Workflow...\n");
   console.log("=".repeat(60));
 
+  const llm =
+    options.cache === false ? { ...options.llm, cache: false } : options.llm;
+  // Bad configuration fails before a run is recorded
+  const taxonomy = resolveTaxonomy(options.taxonomy);
+  const testGuardrails = resolveTestGuardrails(options.testGuardrails);
+  const promptVersion = resolvePromptVersion(options.promptVersion);
+  if (options.runId && getRun(options.runId)) {
+    const error = new Error(`Run already exists: ${options.runId}`);
+    error.status = 409;
+    throw error;
+  }
+
+  const { runId } = createRun({
+    runId: options.runId,
+    options: { llm: llm || null },
+  });
+  console.log(`🆔 Run ID: ${runId}`);
+
   try {
-    const graph = await buildAgentGraph();
+    const plugins = loadPlugins();
+    const graph = await buildAgentGraph({ checkpointer, plugins });
+    const maxAttempts = options.maxPatchAttempts || DEFAULT_MAX_PATCH_ATTEMPTS;
 
     const initialState = {
       logs: testLogs,
+      runOptions: {
+        containerName: options.containerName || null,
+        workDir: options.workDir || null,
+        contextTokenBudget: options.contextTokenBudget || DEFAULT_TOKEN_BUDGET,
+        testCommand: options.testCommand || null,
+        workspaceStrategy: options.workspaceStrategy || "copy",
+        typeCheckCommand: options.typeCheckCommand || DEFAULT_TYPECHECK_COMMAND,
+        llmPreVerify: options.llmPreVerify !== false,
+        maxPatchAttempts: maxAttempts,
+        extractChunkTokens: options.extractChunkTokens || DEFAULT_CHUNK_TOKENS,
+        taxonomy,
+        testGuardrails,
+        ruleConfidence: options.ruleConfidence ?? DEFAULT_RULE_CONFIDENCE,
+        requireApproval: options.requireApproval ?? REQUIRE_APPROVAL,
+        maxCostUsd: options.maxCostUsd ?? DEFAULT_MAX_COST_USD,
+        promptVersion,
+      },
       failures: [],
+      failureGroups: [],
       classifiedFailures: [],
       generatedPatches: [],
       verifiedPatches: [],
       finalFixes: [],
+      patchAttempts: [],
+      reviews: [],
+      agentCalls: [],
+      validationErrors: [],
+      budgetExceeded: null,
       processedCount: 0,
+      ...pluginState(plugins),
     };
 
-    const result = await graph.invoke(initialState);
-
-    console.log("\n" + "=".repeat(60));
-    console.log("\n✅ WORKFLOW COMPLETE\n");
-    console.log("📊 SUMMARY:");
-    console.log(`  - Extracted Failures: ${result.failures.length}`);
-    console.log(`  - Classified: ${result.classifiedFailures.length}`);
-    console.log(`  - Patches Generated: ${result.generatedPatches.length}`);
-    console.log(`  - Patches Verified: ${result.verifiedPatches.length}`);
-    console.log(`  - Approved Fixes: ${result.finalFixes.length}`);
-
-    if (result.finalFixes.length > 0) {
-      console.log("\n🎯 APPROVED FIXES:");
-      result.finalFixes.forEach((fix, idx) => {
-        console.log(`\n  ${idx + 1}. ${fix.file}:${fix.line}`);
-        console.log(`     Bug Type: ${fix.bug_type}`);
-        console.log(`     Error: ${fix.error_message}`);
-        console.log(`     Fix: ${fix.patch_instructions}`);
+    return await executeRun(graph, initialState, runId, llm);
+  } catch (error) {
+    console.error("\n❌ Workflow Error:", error.message);
+    error.runId = runId;
+    throw error;
+  }
+}
+
+/**
+ * Invoke the graph for a run (input null resumes from the last
+ * checkpoint, a Command answers a review) and keep run.json's status
+ * in step
+ */
+async function executeRun(graph, input, runId, llm) {
+  const values = input?.runOptions
+    ? input
+    : (await graph.getState(runConfig(runId))).values;
+  const maxAttempts =
+    values.runOptions?.maxPatchAttempts || DEFAULT_MAX_PATCH_ATTEMPTS;
+
+  emitRunEvent(runId, "run_started", {
+    resumed: !input?.runOptions,
+    promptVersion: values.runOptions?.promptVersion,
+  });
+
+  try {
+    // Each retry round runs patch → guard → verify → execute (and any
+    // plugin nodes among them) again; no round runs a node twice
+    const { __interrupt__: interrupts, ...result } = await graph.invoke(input, {
+      configurable: { thread_id: runId, llm },
+      recursionLimit: 10 + Object.keys(graph.nodes).length * maxAttempts,
+    });
+
+    if (interrupts?.length > 0) {
+      const pending = interrupts.flatMap((i) => i.value?.fixes || []);
+      updateRun(runId, {
+        status: "awaiting_review",
+        error: null,
+        totals: runTotals(result),
       });
+      console.log(
+        `\n⏸️  Run ${runId} paused: ${pending.length} fixes awaiting review`,
+      );
+      emitRunEvent(runId, "run_paused", { pendingReview: pending.length });
+      return { ...result, runId, pendingReview: pending };
     }
 
-    return result;
+    const status = result.budgetExceeded ? "budget_exceeded" : "completed";
+    const totals = runTotals(result);
+    updateRun(runId, { status, error: null, totals });
+    printSummary(result);
+    emitRunEvent(runId, "run_finished", {
+      status,
+      failures: totals.failures,
+      patches: totals.patches,
+      approved: totals.approved,
+      costUsd: totals.llm.costUsd,
+    });
+    return { ...result, runId };
+  } catch (error) {
+    updateRun(runId, { status: "failed", error: error.message });
+    emitRunEvent(runId, "run_failed", { error: error.message });
+    throw error;
+  } finally {
+    checkpointer.release(runId);
+  }
+}
+
+function runConfig(runId, checkpointId) {
+  return {
+    configurable: checkpointId
+      ? { thread_id: runId, checkpoint_id: checkpointId }
+      : { thread_id: runId },
+  };
+}
+
+/**
+ * Counts and LLM usage kept in run.json for /api/healing/stats
+ */
+function runTotals(result) {
+  return {
+    failures: result.failures.length,
+    patches: result.generatedPatches.length,
+    approved: result.finalFixes.length,
+    bugTypes: countBy(result.classifiedFailures, "bug_type"),
+    promptVersion: result.runOptions.promptVersion,
+    llm: summarizeAgentCalls(result.agentCalls),
+  };
+}
+
+function printSummary(result) {
+  console.log("\n" + "=".repeat(60));
+  console.log("\n✅ WORKFLOW COMPLETE\n");
+  console.log("📊 SUMMARY:");
+  console.log(`  - Prompt Version: ${result.runOptions.promptVersion}`);
+  console.log(`  - Extracted Failures: ${result.failures.length}`);
+  console.log(`  - Root-Cause Groups: ${result.failureGroups.length}`);
+  console.log(`  - Classified: ${result.classifiedFailures.length}`);
+  console.log(`  - Patches Generated: ${result.generatedPatches.length}`);
+  console.log(`  - Patches Verified: ${result.verifiedPatches.length}`);
+  console.log(`  - Patch Attempts: ${result.patchAttempts.length}`);
+  console.log(`  - Approved Fixes: ${result.finalFixes.length}`);
+  if (result.reviews.length > 0) {
+    console.log(`  - Review Decisions: ${result.reviews.length}`);
+  }
+
+  const llm = summarizeAgentCalls(result.agentCalls);
+  console.log(
+    `  - LLM Calls: ${llm.calls} (${llm.retries} retries, ${llm.failed} failed)`,
+  );
+  console.log(
+    `  - Tokens: ${llm.inputTokens} in / ${llm.outputTokens} out, cost $${llm.costUsd.toFixed(4)}`,
+  );
+  if (llm.cacheHits + llm.cacheMisses > 0) {
+    console.log(
+      `  - Prompt Cache: ${llm.cacheHits} hits, ${llm.cacheMisses} misses (${llm.cacheHitRate})`,
+    );
+  }
+  if (result.budgetExceeded) {
+    console.log(
+      `  - Budget: $${result.budgetExceeded.limitUsd} exceeded, stopped after ${result.budgetExceeded.stoppedAfter || "start"}`,
+    );
+  }
+  const repaired = result.validationErrors.filter((e) => e.repaired).length;
+  console.log(
+    `  - Invalid Replies: ${result.validationErrors.length} (${repaired} repaired)`,
+  );
+
+  if (result.finalFixes.length > 0) {
+    console.log("\n🎯 APPROVED FIXES:");
+    result.finalFixes.forEach((fix, idx) => {
+      console.log(`\n  ${idx + 1}. ${fix.file}:${fix.line}`);
+      console.log(`     Bug Type: ${fix.bug_type}`);
+      console.log(`     Error: ${fix.error_message}`);
+      if (fix.expected_resolved_tests?.length > 1) {
+        console.log(
+          `     Expected to resolve: ${fix.expected_resolved_tests.join(", ")}`,
+        );
+      }
+      const { files, actions } = summarizeChanges(fix);
+      if (files.length > 1) {
+        console.log(`     Files: ${files.join(", ")}`);
+      }
+      if (actions.length > 0) {
+        console.log(`     Actions: ${actions.join(", ")}`);
+      }
+      (fix.guardrail_findings || []).forEach((finding) => {
+        console.log(`     ⚠️  Test guardrail: ${finding.detail}`);
+      });
+      if (fix.patch_diff) console.log(`     Fix:\n${fix.patch_diff}`);
+    });
+  }
+}
+
+// ===========================
+// ⏯️ STEP 7: Resume & Inspect Runs
+// ===========================
+
+function requireRun(runId) {
+  const run = getRun(runId);
+  if (!run) {
+    const error = new Error(`Run not found: ${runId}`);
+    error.status = 404;
+    throw error;
+  }
+  return run;
+}
+
+/**
+ * Continue a checkpointed run from its last completed node
+ *
+ * Options:
+ * - llm: provider overrides, merged over the ones saved with the run
+ *   (API keys are not saved and must be passed again)
+ */
+async function resumeAgentGraph(runId, options = {}) {
+  const run = requireRun(runId);
+  const graph = await buildAgentGraph({ checkpointer });
+  const snapshot = await graph.getState(runConfig(runId));
+
+  if (!snapshot.values?.runOptions) {
+    throw new Error(`Run ${runId} has no checkpoints to resume from`);
+  }
+
+  const llm = { ...(run.options?.llm || {}), ...(options.llm || {}) };
+
+  const pending = pendingFixes(snapshot);
+  if (pending.length > 0) {
+    console.log(
+      `\n⏸️  Run ${runId} is awaiting review of ${pending.length} fixes`,
+    );
+    checkpointer.release(runId);
+    return { ...snapshot.values, runId, pendingReview: pending };
+  }
+
+  if (snapshot.next.length === 0) {
+    console.log(`\n⏭️  Run ${runId} already completed, nothing to resume`);
+    checkpointer.release(runId);
+    return { ...snapshot.values, runId };
+  }
+
+  console.log(
+    `\n⏯️  Resuming run ${runId} at ${snapshot.next.join(", ")} (step ${snapshot.metadata?.step})`,
+  );
+  updateRun(runId, { status: "running", error: null });
+  try {
+    return await executeRun(graph, null, runId, llm);
   } catch (error) {
     console.error("\n❌ Workflow Error:", error.message);
+    error.runId = runId;
     throw error;
   }
 }
 
+function pendingFixes(snapshot) {
+  return snapshot.tasks
+    .flatMap((task) => task.interrupts || [])
+    .flatMap((i) => (i.value?.type === "review" ? i.value.fixes : []));
+}
+
+/**
+ * Fixes a paused run is waiting on (empty when not paused for review)
+ */
+async function getPendingReview(runId) {
+  const run = requireRun(runId);
+  const graph = await buildAgentGraph({ checkpointer });
+  const snapshot = await graph.getState(runConfig(runId));
+  checkpointer.release(runId);
+  return { runId, status: run.status, fixes: pendingFixes(snapshot) };
+}
+
+const ReviewDecisionSchema = z.object({
+  id: z.number().int(),
+  action: z.enum(["approve", "reject", "edit"]),
+  patch_diff: z.string().optional(),
+  comment: z.string().optional(),
+});
+
+function reviewError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Answer a paused run's review and continue it
+ *
+ * decisions: [{ id, action: "approve" | "reject" | "edit",
+ *               patch_diff (edit only), comment }]
+ * Fixes without a decision stay pending; the run pauses again until
+ * every fix is decided. Edited patches are verified (LLM and execution)
+ * before they are approved.
+ */
+async function reviewAgentGraph(runId, decisions, options = {}) {
+  const run = requireRun(runId);
+  const { fixes } = await getPendingReview(runId);
+  if (fixes.length === 0) {
+    throw reviewError(`Run ${runId} is not awaiting review`, 409);
+  }
+
+  const parsed = z.array(ReviewDecisionSchema).min(1).safeParse(decisions);
+  if (!parsed.success) {
+    throw reviewError(
+      `Invalid decisions: ${parsed.error.issues.map((i) => `${i.path.join(".")}: ${i.message}`).join("; ")}`,
+    );
+  }
+  for (const decision of parsed.data) {
+    const fix = fixes.find((f) => f.id === decision.id);
+    if (!fix) {
+      throw reviewError(`Fix ${decision.id} is not awaiting review`);
+    }
+    if (
+      decision.action === "approve" &&
+      fix.verification_status !== "APPROVED"
+    ) {
+      throw reviewError(
+        `Fix ${decision.id} failed verification (${fix.verification_status}); edit or reject it`,
+      );
+    }
+    if (decision.action === "edit") {
+      try {
+        editsFromDiff(decision.patch_diff || "");
+      } catch (error) {
+        throw reviewError(
+          `Fix ${decision.id}: patch_diff is not a valid change set (${error.message})`,
+        );
+      }
+    }
+  }
+
+  const llm = { ...(run.options?.llm || {}), ...(options.llm || {}) };
+  console.log(
+    `\n📝 Applying ${parsed.data.length} review decisions to run ${runId}`,
+  );
+  updateRun(runId, { status: "running", error: null });
+  try {
+    const graph = await buildAgentGraph({ checkpointer });
+    return await executeRun(
+      graph,
+      new Command({ resume: { decisions: parsed.data } }),
+      runId,
+      llm,
+    );
+  } catch (error) {
+    console.error("\n❌ Workflow Error:", error.message);
+    error.runId = runId;
+    throw error;
+  }
+}
+
+/**
+ * A run's record and its checkpoint history, oldest first. Each entry
+ * names the node(s) that produced it and the node(s) due next.
+ */
+async function inspectRun(runId) {
+  const run = requireRun(runId);
+  const graph = await buildAgentGraph({ checkpointer });
+
+  const snapshots = [];
+  for await (const snapshot of graph.getStateHistory(runConfig(runId))) {
+    snapshots.unshift(snapshot);
+  }
+  checkpointer.release(runId);
+
+  const checkpoints = snapshots.map((snapshot, i) => ({
+    checkpointId: snapshot.config.configurable.checkpoint_id,
+    step: snapshot.metadata?.step,
+    createdAt: snapshot.createdAt,
+    completed: i > 0 ? snapshots[i - 1].next : [],
+    next: snapshot.next,
+    errors: snapshot.tasks
+      .filter((task) => task.error)
+      .map((task) => ({ node: task.name, message: task.error.message })),
+  }));
+
+  return { ...run, checkpoints };
+}
+
+/**
+ * Full graph state at one checkpoint
+ */
+async function getRunCheckpoint(runId, checkpointId) {
+  requireRun(runId);
+  const graph = await buildAgentGraph({ checkpointer });
+  const snapshot = await graph.getState(runConfig(runId, checkpointId));
+  checkpointer.release(runId);
+
+  if (!snapshot.metadata) {
+    const error = new Error(`Checkpoint not found: ${checkpointId}`);
+    error.status = 404;
+    throw error;
+  }
+  return {
+    runId,
+    checkpointId: snapshot.config.configurable.checkpoint_id,
+    step: snapshot.metadata?.step,
+    createdAt: snapshot.createdAt,
+    next: snapshot.next,
+    values: snapshot.values,
+  };
+}
+
 // ===========================
 // 📤 Export Functions
 // ===========================
 
 module.exports = {
   runAgentGraph,
+  resumeAgentGraph,
+  reviewAgentGraph,
+  getPendingReview,
+  inspectRun,
+  getRunCheckpoint,
   buildAgentGraph,
   extractNode,
+  groupNode,
   classifyNode,
+  contextNode,
   patchNode,
   verifyNode,
+  executionVerifyNode,
+  reviewNode,
+  budgetNode,
+  routeAfterVerification,
+  routeAfterReview,
   StateSchema,
+  PatchResponseSchema,
+  AGENT_OUTPUTS,
+  classifierOutput,
 };
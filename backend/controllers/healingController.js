@@ -9,7 +9,88 @@ const {
   healTestErrors,
   processTestResults,
   formatReport,
+  resumeHealing,
+  reviewHealing,
+  getPendingFixes,
+  getRuns,
+  getHealingStats,
+  getRunHistory,
+  getRunState,
 } = require("../services/healingService");
+const { describeAgentModels, AGENTS } = require("../services/llmProviders");
+const { loadTaxonomy } = require("../services/taxonomy");
+const {
+  listPromptVersions,
+  DEFAULT_PROMPT_VERSION,
+} = require("../services/promptTemplates");
+const { getRun } = require("../services/runStore");
+const { diffFromEdits, describePatch } = require("../services/changeSet");
+const {
+  getRunEvents,
+  subscribeToRun,
+  isTerminalEvent,
+} = require("../services/runEvents");
+
+// Comment line sent to keep idle event streams open through proxies
+const SSE_HEARTBEAT_MS = 15000;
+
+// Run statuses that may still produce events
+const LIVE_RUN_STATUSES = ["running", "awaiting_review"];
+
+// LLM settings a request may pass, top level and per agent. Providers,
+// hosts and fixture/record files only come from the server's env.
+const REQUEST_LLM_KEYS = ["apiKey"];
+const REQUEST_AGENT_LLM_KEYS = ["model", "apiKey"];
+
+// A model name or API key; never a path or URL
+const LLM_SETTING_PATTERN = /^(?!.*(\.\.|:\/\/))[\w][\w.:/+=-]{0,199}$/;
+
+// ===========================
+// 🔐 Request Options
+// ===========================
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * The `options.llm` a request may pass on: API keys (top level or per
+ * agent) and per-agent models. Anything else, or a value that looks
+ * like a path or URL, is a 400.
+ */
+function requestLlmOptions(llm) {
+  if (llm === undefined || llm === null) return null;
+  const isObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+  if (!isObject(llm)) throw badRequest("options.llm must be an object");
+
+  const checkSettings = (settings, allowed, where) => {
+    for (const [key, value] of Object.entries(settings)) {
+      if (!allowed.includes(key)) {
+        throw badRequest(
+          `${where}.${key} cannot be set per request (allowed: ${allowed.join(", ")})`,
+        );
+      }
+      if (typeof value !== "string" || !LLM_SETTING_PATTERN.test(value)) {
+        throw badRequest(`${where}.${key} must be a model name or key`);
+      }
+    }
+  };
+
+  const topLevel = Object.fromEntries(
+    Object.entries(llm).filter(([key]) => !AGENTS.includes(key)),
+  );
+  checkSettings(topLevel, REQUEST_LLM_KEYS, "options.llm");
+  for (const agent of AGENTS.filter((a) => llm[a] !== undefined)) {
+    if (!isObject(llm[agent])) {
+      throw badRequest(`options.llm.${agent} must be an object`);
+    }
+    checkSettings(llm[agent], REQUEST_AGENT_LLM_KEYS, `options.llm.${agent}`);
+  }
+  return llm;
+}
 
 // ===========================
 // 🏃 Healing Workflow Controller
@@ -27,7 +108,23 @@ const {
  *     "autoApply": false,
  *     "containerName": "container-id",
  *     "workDir": "/app",
- *     "commitMessage": "Fix test errors"
+ *     "commitMessage": "Fix test errors",
+ *     "contextTokenBudget": 3000,
+ *     "testCommand": "npm test",
+ *     "workspaceStrategy": "copy|worktree",
+ *     "typeCheckCommand": "npx tsc --noEmit",
+ *     "llmPreVerify": true,
+ *     "maxPatchAttempts": 3,
+ *     "taxonomy": { "categories": [...] } | "name of a file in config/",
+ *     "testGuardrails": { "checks": { "test_file_edit": "reject" } } | "name of a file in config/",
+ *     "ruleConfidence": 0.85,
+ *     "requireApproval": false,
+ *     "policyReview": false,
+ *     "maxCostUsd": 0.5,
+ *     "cache": true,
+ *     "promptVersion": "v1",
+ *     "runId": "client-chosen id, to open the event stream first",
+ *     "applyPolicy": { "default": "review", "rules": [...] } | "name of a file in config/"
  *   }
  * }
  */
@@ -51,14 +148,37 @@ async function healTestErrors_Controller(req, res) {
       containerName: options.containerName || null,
       workDir: options.workDir || null,
       commitMessage: options.commitMessage || null,
+      contextTokenBudget: options.contextTokenBudget,
+      testCommand: options.testCommand || null,
+      workspaceStrategy: options.workspaceStrategy || "copy",
+      typeCheckCommand: options.typeCheckCommand || null,
+      llmPreVerify: options.llmPreVerify !== false,
+      maxPatchAttempts: options.maxPatchAttempts,
+      taxonomy: options.taxonomy || null,
+      testGuardrails: options.testGuardrails || null,
+      ruleConfidence: options.ruleConfidence ?? null,
+      requireApproval: options.requireApproval,
+      policyReview: options.policyReview,
+      maxCostUsd: options.maxCostUsd ?? null,
+      cache: options.cache !== false,
+      promptVersion: options.promptVersion || null,
+      runId: options.runId || null,
+      applyPolicy: options.applyPolicy || null,
     });
 
     return res.status(200).json({
       success: result.success,
       message: result.message,
+      runId: result.runId || null,
+      promptVersion: result.promptVersion || null,
+      status: result.status || null,
+      pendingReview: result.pendingReview || null,
+      budgetExceeded: result.budgetExceeded || null,
       statistics: result.statistics,
       approvedFixesCount: result.results?.finalFixes?.length || 0,
       fixesApplied: result.fixesApplied || false,
+      applyDecisions: result.applyDecisions || null,
+      queuedForReview: result.queuedForReview || null,
       autoApplyResult: result.autoApplyResult || null,
       commitResult: result.commitResult || null,
       report: result.report,
@@ -66,7 +186,7 @@ async function healTestErrors_Controller(req, res) {
     });
   } catch (error) {
     console.error("❌ [HEALING ERROR]", error);
-    return res.status(500).json({
+    return res.status(error.status || 500).json({
       success: false,
       message: "Error in healing service",
       error: error.message,
@@ -75,23 +195,14 @@ async function healTestErrors_Controller(req, res) {
 }
 
 /**
- * Get healing history and statistics
- * GET /api/test-runner/healing/stats
+ * Get healing history and statistics (from the recorded runs)
+ * GET /api/healing/stats
  */
 async function getHealingStats_Controller(req, res) {
   try {
-    // In production, this would query a database
-    // For now, return empty stats
     return res.status(200).json({
       success: true,
-      stats: {
-        totalHealingAttempts: 0,
-        totalErrorsFound: 0,
-        totalFixesApproved: 0,
-        averageApprovalRate: "0%",
-        errorTypeBreakdown: {},
-        lastHealing: null,
-      },
+      stats: getHealingStats(),
     });
   } catch (error) {
     return res.status(500).json({
@@ -264,7 +375,7 @@ async function getRecommendations_Controller(req, res) {
           line: fix.line,
           issue: fix.error_message,
           type: fix.bug_type,
-          fix: fix.patch_instructions,
+          fix: fix.patch_diff,
           expectedOutcome: fix.required_dashboard_output,
         })) || [],
     });
@@ -283,7 +394,8 @@ async function getRecommendations_Controller(req, res) {
  * Body:
  * {
  *   "fixes": [
- *     { "file": "path/file.js", "patch_instructions": "..." }
+ *     { "file": "path/file.js", "patch_diff": "--- a/path/file.js\n+++ b/path/file.js\n@@ ..." },
+ *     { "file": "src/a.js", "edits": [{ "action": "rename", "file": "src/a.js", "new_file": "src/b.js" }] }
  *   ]
  * }
  */
@@ -301,30 +413,43 @@ async function applyFixes_Controller(req, res) {
     console.log(`\n🔧 [APPLY FIXES] Applying ${fixes.length} fixes...`);
 
     // In production, this would:
-    // 1. Parse fix instructions
+    // 1. Parse fix diffs
     // 2. Apply to actual files
     // 3. Run tests again
     // 4. Verify improvements
 
-    const applied = fixes.map((fix, idx) => ({
-      id: idx + 1,
-      file: fix.file,
-      status: "PENDING",
-      instructions: fix.patch_instructions,
-    }));
+    const applied = fixes.map((fix, idx) => {
+      let diff = fix.patch_diff;
+      if (fix.edits) {
+        try {
+          diff = diffFromEdits(fix.edits);
+        } catch (error) {
+          error.status = 400;
+          error.message = `Fix ${idx + 1}: ${error.message}`;
+          throw error;
+        }
+      }
+      return {
+        id: idx + 1,
+        file: fix.file,
+        status: "PENDING",
+        diff,
+        changes: describePatch(fix),
+      };
+    });
 
     return res.status(200).json({
       success: true,
       message: `${fixes.length} fixes prepared for application`,
       appliedFixes: applied,
       nextSteps: [
-        "Review fix instructions",
+        "Review fix diffs",
         "Run tests to verify",
         "Commit changes if successful",
       ],
     });
   } catch (error) {
-    return res.status(500).json({
+    return res.status(error.status || 500).json({
       success: false,
       error: error.message,
     });
@@ -337,6 +462,9 @@ async function applyFixes_Controller(req, res) {
  */
 async function getDashboard_Controller(req, res) {
   try {
+    const models = describeAgentModels();
+    const taxonomy = loadTaxonomy();
+
     return res.status(200).json({
       success: true,
       dashboard: {
@@ -344,22 +472,26 @@ async function getDashboard_Controller(req, res) {
         agents: {
           extractor: {
             status: "ready",
-            model: "gpt-4o-mini",
+            provider: models.extractor.provider,
+            model: models.extractor.model,
             purpose: "Extract failures from logs",
           },
           classifier: {
             status: "ready",
-            model: "gpt-4o-mini",
+            provider: models.classifier.provider,
+            model: models.classifier.model,
             purpose: "Categorize error types",
           },
           patcher: {
             status: "ready",
-            model: "gpt-4",
+            provider: models.patcher.provider,
+            model: models.patcher.model,
             purpose: "Generate fixes",
           },
           verifier: {
             status: "ready",
-            model: "gpt-4o-mini",
+            provider: models.verifier.provider,
+            model: models.verifier.model,
             purpose: "Validate patches",
           },
         },
@@ -368,6 +500,15 @@ async function getDashboard_Controller(req, res) {
           parallelization: "Classify, Patch, and Verify run in parallel",
           successRate: "Determines approval rate of fixes",
         },
+        taxonomy: taxonomy.categories.map((category) => ({
+          name: category.name,
+          description: category.description,
+          priority: category.priority || taxonomy.defaultPriority,
+        })),
+        prompts: {
+          defaultVersion: DEFAULT_PROMPT_VERSION,
+          versions: listPromptVersions(),
+        },
         lastRun: {
           timestamp: null,
           failuresFound: 0,
@@ -383,6 +524,296 @@ async function getDashboard_Controller(req, res) {
   }
 }
 
+// ===========================
+// ⏯️ Run Controllers
+// ===========================
+
+/**
+ * List checkpointed healing runs
+ * GET /api/healing/runs
+ */
+async function listRuns_Controller(req, res) {
+  try {
+    return res.status(200).json({
+      success: true,
+      runs: getRuns(),
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Run status and checkpoint history
+ * GET /api/healing/runs/:runId
+ */
+async function getRun_Controller(req, res) {
+  try {
+    const run = await getRunHistory(req.params.runId);
+    return res.status(200).json({
+      success: true,
+      run,
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Graph state at one checkpoint
+ * GET /api/healing/runs/:runId/checkpoints/:checkpointId
+ */
+async function getRunCheckpoint_Controller(req, res) {
+  try {
+    const checkpoint = await getRunState(
+      req.params.runId,
+      req.params.checkpointId,
+    );
+    return res.status(200).json({
+      success: true,
+      checkpoint,
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Resume a run from its last completed node
+ * POST /api/healing/runs/:runId/resume
+ *
+ * Body:
+ * {
+ *   "options": {
+ *     "reportFormat": "json|markdown|summary",
+ *     "llm": { "apiKey": "...", "patcher": { "model": "..." } }
+ *   }
+ * }
+ *
+ * `llm` only takes API keys and per-agent models (see
+ * requestLlmOptions).
+ */
+async function resumeRun_Controller(req, res) {
+  try {
+    const { options = {} } = req.body || {};
+
+    console.log(`\n⏯️  [HEALING] Resuming run ${req.params.runId}...`);
+
+    const result = await resumeHealing(req.params.runId, {
+      reportFormat: options.reportFormat || "json",
+      llm: requestLlmOptions(options.llm),
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        runId: result.runId,
+        message: result.message,
+        error: result.error,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      runId: result.runId,
+      status: result.status || null,
+      pendingReview: result.pendingReview || null,
+      statistics: result.statistics,
+      approvedFixesCount: result.results.finalFixes.length,
+      report: result.report,
+      timestamp: result.timestamp,
+    });
+  } catch (error) {
+    console.error("❌ [HEALING ERROR]", error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: "Error resuming healing run",
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Fixes a paused run is waiting on a reviewer for
+ * GET /api/healing/runs/:runId/pending
+ */
+async function getPendingReview_Controller(req, res) {
+  try {
+    const pending = await getPendingFixes(req.params.runId);
+    return res.status(200).json({
+      success: true,
+      ...pending,
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Approve, edit or reject a paused run's fixes and continue the run
+ * POST /api/healing/runs/:runId/review
+ *
+ * Body:
+ * {
+ *   "decisions": [
+ *     { "id": 0, "action": "approve|reject|edit",
+ *       "patch_diff": "unified diff (edit only)", "comment": "..." }
+ *   ],
+ *   "options": {
+ *     "reportFormat": "json|markdown|summary",
+ *     "llm": { "apiKey": "...", "patcher": { "model": "..." } }
+ *   }
+ * }
+ *
+ * `llm` takes the same settings as on resume (see requestLlmOptions).
+ */
+async function reviewRun_Controller(req, res) {
+  try {
+    const { decisions, options = {} } = req.body || {};
+
+    if (!Array.isArray(decisions)) {
+      return res.status(400).json({
+        success: false,
+        message: "decisions must be an array",
+      });
+    }
+
+    console.log(
+      `\n📝 [HEALING] Reviewing ${decisions.length} fixes of run ${req.params.runId}...`,
+    );
+
+    const result = await reviewHealing(req.params.runId, decisions, {
+      reportFormat: options.reportFormat || "json",
+      llm: requestLlmOptions(options.llm),
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        runId: result.runId,
+        message: result.message,
+        error: result.error,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      runId: result.runId,
+      status: result.status || null,
+      pendingReview: result.pendingReview || null,
+      statistics: result.statistics,
+      approvedFixesCount: result.results.finalFixes.length,
+      fixesApplied: result.fixesApplied || false,
+      applyDecisions: result.applyDecisions || null,
+      queuedForReview: result.queuedForReview || null,
+      autoApplyResult: result.autoApplyResult || null,
+      commitResult: result.commitResult || null,
+      report: result.report,
+      timestamp: result.timestamp,
+    });
+  } catch (error) {
+    console.error("❌ [HEALING ERROR]", error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: "Error reviewing healing run",
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Stream a run's progress as Server-Sent Events
+ * GET /api/healing/runs/:runId/events
+ *
+ * Replays the buffered events after Last-Event-ID (or ?after=seq),
+ * then sends new ones live. The stream ends once the run finishes or
+ * fails; a run paused for review is followed through the review. An id
+ * with no events yet is waited on, so a client can subscribe before
+ * starting a run with that runId.
+ */
+async function streamRunEvents_Controller(req, res) {
+  const { runId } = req.params;
+  let run;
+  try {
+    run = getRun(runId);
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  const afterSeq =
+    parseInt(req.get("Last-Event-ID") || req.query.after || "0", 10) || 0;
+  const replay = getRunEvents(runId, afterSeq);
+  const latest = getRunEvents(runId).at(-1);
+
+  if (!latest && run && afterSeq === 0) {
+    // Run started before this server buffered its events
+    replay.push({
+      runId,
+      seq: 0,
+      type: "run_status",
+      timestamp: run.updatedAt,
+      data: { status: run.status },
+    });
+  }
+
+  const done = latest
+    ? isTerminalEvent(latest)
+    : Boolean(run) && !LIVE_RUN_STATUSES.includes(run.status);
+
+  // Nothing new; 204 also stops EventSource from reconnecting
+  if (done && replay.length === 0) return res.status(204).end();
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  const send = (event) =>
+    res.write(
+      `id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`,
+    );
+
+  replay.forEach(send);
+  if (done) return res.end();
+
+  const heartbeat = setInterval(
+    () => res.write(": keepalive\n\n"),
+    SSE_HEARTBEAT_MS,
+  );
+  const unsubscribe = subscribeToRun(runId, (event) => {
+    send(event);
+    if (isTerminalEvent(event)) close();
+  });
+  let closed = false;
+  const close = () => {
+    if (closed) return; // Both the run's end and the client may close
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+  req.on("close", close);
+}
+
 // ===========================
 // 📤 Export Controllers
 // ===========================
@@ -394,4 +825,11 @@ module.exports = {
   getRecommendations_Controller,
   applyFixes_Controller,
   getDashboard_Controller,
+  listRuns_Controller,
+  getRun_Controller,
+  getRunCheckpoint_Controller,
+  resumeRun_Controller,
+  getPendingReview_Controller,
+  reviewRun_Controller,
+  streamRunEvents_Controller,
 };
@@ -670,4 +670,6 @@ module.exports = {
   runTestsInSandbox,
   getTestLog,
   listTestLogs,
+  readFileFromContainer,
+  sanitize,
 };
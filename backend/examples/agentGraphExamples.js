@@ -13,6 +13,8 @@ const {
   processTestResults,
   formatReport,
 } = require("../services/healingService");
+const { runEvents } = require("../services/runEvents");
+const { parseTestLog } = require("../services/logParsers");
 
 // ===========================
 // 📝 Example 1: Simple Usage
@@ -129,7 +131,7 @@ async function example3_DirectGraphUsage() {
       console.log("\n🎯 Final Approved Fixes:");
       result.finalFixes.forEach((fix, i) => {
         console.log(`${i + 1}. ${fix.file}:${fix.line} [${fix.bug_type}]`);
-        console.log(`   Fix: ${fix.patch_instructions}`);
+        console.log(`   Fix:\n${fix.patch_diff}`);
       });
     }
 
@@ -270,6 +272,110 @@ FAIL src/services/auth.test.js
   }
 }
 
+// ===========================
+// 📝 Example 7: Offline Fixture Replay
+// ===========================
+
+async function example7_OfflineFixtureReplay() {
+  console.log("\n🎯 Example 7: Offline Fixture Replay (no API key needed)\n");
+
+  const sampleTestLogs = `
+[FAIL] tests/userController.test.js
+  ✗ POST /api/users - TypeError: Cannot read properties of undefined (reading 'email')
+    at userController.js:42:15
+[FAIL] tests/dockerController.test.js
+  ✗ POST /api/docker/clone - SyntaxError: Unexpected token } in JSON at position 156
+    at dockerController.js:78:3
+`;
+
+  const result = await runAgentGraph(sampleTestLogs, {
+    llm: {
+      provider: "fixture",
+      fixtureFile: require("path").join(
+        __dirname,
+        "..",
+        "fixtures",
+        "llm",
+        "sample-run.json",
+      ),
+    },
+  });
+
+  console.log(`\nApproved: ${result.finalFixes.length}`);
+  return result;
+}
+
+// ===========================
+// 📝 Example 8: Live Progress Events
+// ===========================
+
+async function example8_LiveProgress() {
+  console.log("\n🎯 Example 8: Live Progress Events\n");
+
+  // Same events as GET /api/healing/runs/:runId/events
+  const printEvent = ({ seq, type, data }) => {
+    if (type === "node_finished") return;
+    console.log(`📡 #${seq} ${type} ${JSON.stringify(data)}`);
+  };
+  runEvents.on("event", printEvent);
+
+  try {
+    return await example7_OfflineFixtureReplay();
+  } finally {
+    runEvents.off("event", printEvent);
+  }
+}
+
+// ===========================
+// 📝 Example 9: Log Parser Fixtures
+// ===========================
+
+async function example9_LogParserFixtures() {
+  console.log("\n🎯 Example 9: Log Parser Fixtures\n");
+
+  const fs = require("fs");
+  const path = require("path");
+  const assert = require("assert");
+  const dir = path.join(__dirname, "..", "fixtures", "logs");
+  // Expected frameworks and records per sample log (stacks left out)
+  const expected = JSON.parse(
+    fs.readFileSync(path.join(dir, "expected.json"), "utf8"),
+  );
+
+  let failed = 0;
+  for (const [name, want] of Object.entries(expected)) {
+    try {
+      const parsed = parseTestLog(
+        fs.readFileSync(path.join(dir, name), "utf8"),
+      );
+      assert.ok(parsed, "no parser recognized the log");
+      assert.deepStrictEqual(
+        {
+          frameworks: parsed.frameworks,
+          failures: parsed.failures.map(
+            ({ file, line, test_name, error_message }) => ({
+              file,
+              line,
+              test_name,
+              error_message,
+            }),
+          ),
+        },
+        want,
+      );
+      console.log(`✅ ${name} (${want.frameworks.join(", ")})`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  if (failed > 0) process.exitCode = 1;
+  console.log(
+    `\nParsed: ${Object.keys(expected).length - failed} ok, ${failed} wrong`,
+  );
+}
+
 // ===========================
 // 🚀 Run Examples
 // ===========================
@@ -288,6 +394,9 @@ async function runAllExamples() {
     // await example4_TestResultsIntegration();
     // await example5_BatchProcessing();
     // await example6_AutoApplyFixes();
+    // await example7_OfflineFixtureReplay();
+    // await example8_LiveProgress();
+    // await example9_LogParserFixtures();
 
     console.log("\n✅ All examples completed!\n");
   } catch (error) {
@@ -306,6 +415,9 @@ module.exports = {
   example4_TestResultsIntegration,
   example5_BatchProcessing,
   example6_AutoApplyFixes,
+  example7_OfflineFixtureReplay,
+  example8_LiveProgress,
+  example9_LogParserFixtures,
   runAllExamples,
 };
 
@@ -0,0 +1,223 @@
+/**
+ * Healing Checks
+ *
+ * Runnable checks for verdict logic that must not regress, in the same
+ * spirit as the log parser fixtures (npm run heal:parsers). Each check
+ * builds its inputs inline, runs the real service code and asserts the
+ * outcome; `npm run heal:checks` runs them all and exits non-zero when
+ * one fails.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { summarizeTestRun, compareRuns } = require("../services/testOutcome");
+const {
+  checkTestGuardrails,
+  parseTestGuardrails,
+} = require("../services/testGuardrails");
+const { emitRunEvent, getRunEvents } = require("../services/runEvents");
+
+const LOGS_DIR = path.join(__dirname, "..", "fixtures", "logs");
+
+const checks = [];
+
+/**
+ * Register a check: `run` throws (e.g. an AssertionError) when it fails
+ */
+function check(name, run) {
+  checks.push({ name, run });
+}
+
+// ===========================
+// 🧪 compareRuns
+// ===========================
+
+const jestBaseline = () =>
+  summarizeTestRun({
+    stdout: fs.readFileSync(path.join(LOGS_DIR, "jest.log"), "utf8"),
+    exitCode: 1,
+  });
+
+const jestFailure = {
+  test_name: "Users API › POST /api/users › rejects a missing email",
+  error_message:
+    "TypeError: Cannot read properties of undefined (reading 'email')",
+};
+
+check("compareRuns approves a patch that makes the suite pass", () => {
+  const after = summarizeTestRun({
+    stdout: "Tests:       5 passed, 5 total\n",
+    exitCode: 0,
+  });
+  const verdict = compareRuns(jestFailure, jestBaseline(), after, "");
+  assert.strictEqual(verdict.approved, true);
+});
+
+check("compareRuns rejects a patch that crashes the suite", () => {
+  const output =
+    "/app/src/controllers/userController.js:42\n  const { email } = body.user\n        ^\nSyntaxError: Unexpected token\n";
+  const after = summarizeTestRun({ stderr: output, exitCode: 1 });
+  assert.strictEqual(after.countsKnown, false);
+  assert.deepStrictEqual(after.failingTests, []);
+
+  for (const failure of [
+    jestFailure,
+    { ...jestFailure, test_name: null }, // matched by error signature
+  ]) {
+    const verdict = compareRuns(failure, jestBaseline(), after, output);
+    assert.strictEqual(verdict.approved, false);
+    assert.strictEqual(verdict.resolved, false);
+    assert.match(verdict.reasons[0], /exited with code 1 without reporting/);
+  }
+});
+
+// ===========================
+// 🛡️ Test Guardrails
+// ===========================
+
+const diffEdit = (file, lines) => ({
+  action: "modify",
+  file,
+  diff: `--- a/${file}\n+++ b/${file}\n${lines.join("\n")}\n`,
+});
+
+const guardrailChecks = (edits) =>
+  checkTestGuardrails(
+    { file: "package.json", line: 1, edits },
+    parseTestGuardrails({}),
+  ).map(({ check, action }) => `${check}:${action}`);
+
+check("guardrails reject weakening the test command or runner", () => {
+  const weakening = {
+    "scripts.test set_config": {
+      action: "set_config",
+      file: "package.json",
+      key: "scripts.test",
+      value: "exit 0",
+    },
+    "jest set_config": {
+      action: "set_config",
+      file: "package.json",
+      key: "jest.testPathIgnorePatterns",
+      value: ["userController"],
+    },
+    "PYTEST_ADDOPTS set_env": {
+      action: "set_env",
+      name: "PYTEST_ADDOPTS",
+      value: "-k 'not orders'",
+    },
+    "jest.config.js edit": diffEdit("jest.config.js", [
+      "@@ -1,1 +1,2 @@",
+      " module.exports = {",
+      '+  testPathIgnorePatterns: ["userController"],',
+    ]),
+    "pyproject addopts edit": diffEdit("pyproject.toml", [
+      "@@ -1,2 +1,2 @@",
+      " [tool.pytest.ini_options]",
+      '-addopts = "-q"',
+      "+addopts = \"-q -k 'not orders'\"",
+    ]),
+    "pytest.ini edit": diffEdit("pytest.ini", [
+      "@@ -1,1 +1,2 @@",
+      " [pytest]",
+      "+addopts = --deselect tests/test_orders.py",
+    ]),
+    "package.json test script edit": diffEdit("package.json", [
+      "@@ -1,3 +1,3 @@",
+      '   "scripts": {',
+      '-    "test": "jest",',
+      '+    "test": "exit 0",',
+    ]),
+  };
+  for (const [name, edit] of Object.entries(weakening)) {
+    assert.deepStrictEqual(
+      guardrailChecks([edit]),
+      ["test_config:reject"],
+      name,
+    );
+  }
+});
+
+check("guardrails leave other config changes alone", () => {
+  assert.deepStrictEqual(
+    guardrailChecks([
+      {
+        action: "set_config",
+        file: "package.json",
+        key: "scripts.start",
+        value: "node index.js",
+      },
+      diffEdit("package.json", [
+        "@@ -1,3 +1,3 @@",
+        '   "dependencies": {',
+        '-    "express": "^4.18.1",',
+        '+    "express": "^4.18.2",',
+      ]),
+    ]),
+    [],
+  );
+});
+
+// ===========================
+// 📡 Run Events
+// ===========================
+
+check("run events keep counting after a paused run's buffer expires", () => {
+  const runId = `check-events-${Date.now()}`;
+
+  // Capture the buffer's expiry timer instead of waiting for it
+  const timers = [];
+  const { setTimeout: realSetTimeout } = global;
+  global.setTimeout = (callback) => {
+    timers.push(callback);
+    return { unref: () => {} };
+  };
+  try {
+    emitRunEvent(runId, "run_started");
+    const paused = emitRunEvent(runId, "run_paused");
+    timers.at(-1)(); // the paused run's buffer expires
+    assert.deepStrictEqual(getRunEvents(runId), []);
+
+    // The review resumes the run; a client reconnects with the last
+    // id it saw
+    const resumed = emitRunEvent(runId, "node_started", { node: "review" });
+    assert.strictEqual(resumed.seq, paused.seq + 1);
+    assert.deepStrictEqual(
+      getRunEvents(runId, paused.seq).map((event) => event.type),
+      ["node_started"],
+    );
+  } finally {
+    global.setTimeout = realSetTimeout;
+  }
+});
+
+// ===========================
+// 🚀 Run Checks
+// ===========================
+
+async function runChecks() {
+  console.log("\n🎯 Healing Checks\n");
+
+  let failed = 0;
+  for (const { name, run } of checks) {
+    try {
+      await run();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  if (failed > 0) process.exitCode = 1;
+  console.log(`\nChecks: ${checks.length - failed} ok, ${failed} failed`);
+}
+
+// ===========================
+// 📤 Export
+// ===========================
+
+module.exports = {
+  runChecks,
+};
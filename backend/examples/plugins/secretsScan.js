@@ -0,0 +1,72 @@
+/**
+ * Example plugin: Secrets Scan
+ *
+ * Looks through every generated patch for lines that add something
+ * resembling a credential and records them in `secretFindings`. Point
+ * HEALING_PLUGINS_DIR at this directory to enable it (its requires are
+ * relative to examples/plugins/, so a copy in plugins/ needs them
+ * changed to ../services/...); see services/plugins.js for the plugin
+ * format.
+ */
+
+const { patchEdits, splitEdits } = require("../../services/changeSet");
+
+// Added lines that look like credentials
+const DEFAULT_PATTERNS = [
+  "AKIA[0-9A-Z]{16}",
+  "-----BEGIN [A-Z ]*PRIVATE KEY-----",
+  "(api[_-]?key|secret|password|token)\\s*[:=]\\s*['\"][^'\"]{8,}['\"]",
+];
+
+function addedLines(patch) {
+  try {
+    return splitEdits(patchEdits(patch)).filePatches.flatMap((file) =>
+      file.hunks.flatMap((hunk) =>
+        hunk.lines
+          .filter((line) => line.type === "+")
+          .map((line) => ({ file: file.newPath, text: line.text })),
+      ),
+    );
+  } catch (error) {
+    return [];
+  }
+}
+
+async function scanPatches(state, { config }) {
+  const patterns = [...DEFAULT_PATTERNS, ...config.extraPatterns].map(
+    (pattern) => new RegExp(pattern, "i"),
+  );
+
+  const secretFindings = state.generatedPatches.flatMap((patch) =>
+    addedLines(patch)
+      .filter((line) => patterns.some((pattern) => pattern.test(line.text)))
+      .map((line) => ({
+        failure_index: patch.failure_index,
+        attempt: patch.attempt || 1,
+        file: line.file,
+      })),
+  );
+
+  if (secretFindings.length > 0) {
+    console.warn(
+      `⚠️  ${secretFindings.length} patch lines look like secrets (${[...new Set(secretFindings.map((f) => f.file))].join(", ")})`,
+    );
+  }
+  return { secretFindings };
+}
+
+module.exports = {
+  name: "secrets-scan",
+  description: "Flag generated patches that add credentials",
+  state: { secretFindings: [] },
+  config: { extraPatterns: [] },
+  nodes: [
+    {
+      name: "secrets_scan",
+      after: "patch",
+      reads: ["generatedPatches"],
+      writes: ["secretFindings"],
+      run: scanPatches,
+    },
+  ],
+};
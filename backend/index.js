@@ -16,6 +16,10 @@ app.use("/api/docker", dockerRoutes);
 app.use("/api/test-runner", testRunnerRoutes);
 app.use("/api/healing", healingRoutes);
 
+// Fail fast on a broken bug taxonomy or price table (config/)
+require("./services/taxonomy").loadTaxonomy();
+require("./services/llmPricing").loadPricing();
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -13,6 +13,13 @@ const {
   getRecommendations_Controller,
   applyFixes_Controller,
   getDashboard_Controller,
+  listRuns_Controller,
+  getRun_Controller,
+  getRunCheckpoint_Controller,
+  resumeRun_Controller,
+  getPendingReview_Controller,
+  reviewRun_Controller,
+  streamRunEvents_Controller,
 } = require("../controllers/healingController");
 
 // ===========================
@@ -28,7 +35,15 @@ const {
  *   "testLogs": "string - test output",
  *   "options": {
  *     "reportFormat": "json|markdown|summary",
- *     "autoApply": boolean
+ *     "autoApply": boolean,
+ *     "requireApproval": boolean,
+ *     "policyReview": boolean (autoApply in a sandbox pauses for review; off by default),
+ *     "maxCostUsd": number,
+ *     "cache": boolean (false bypasses the prompt cache),
+ *     "promptVersion": string (prompt template version under prompts/),
+ *     "runId": string (optional; lets a client open the event stream first),
+ *     "applyPolicy": object | string (auto-apply policy, inline or a file name in config/),
+ *     "testGuardrails": object | string (test guardrail settings, inline or a file name in config/)
  *   }
  * }
  *
@@ -36,8 +51,15 @@ const {
  * {
  *   "success": boolean,
  *   "message": string,
+ *   "runId": string,
+ *   "promptVersion": string,
+ *   "status": "awaiting_review" | null,
+ *   "pendingReview": [fix] | null,
+ *   "budgetExceeded": { "limitUsd", "spentUsd", "stoppedAfter" } | null,
  *   "statistics": {...},
  *   "approvedFixesCount": number,
+ *   "applyDecisions": [{ id, file, line, type, confidence, risk, action, rule, reason }] | null,
+ *   "queuedForReview": [same shape] | null,
  *   "report": string|object,
  *   "timestamp": ISO string
  * }
@@ -49,7 +71,7 @@ router.post("/heal", async (req, res) => {
 
 /**
  * GET /api/healing/stats
- * Get healing statistics and history
+ * Get healing statistics and history, aggregated over recorded runs
  *
  * Response:
  * {
@@ -59,8 +81,16 @@ router.post("/heal", async (req, res) => {
  *     "totalErrorsFound": number,
  *     "totalFixesApproved": number,
  *     "averageApprovalRate": percentage,
+ *     "byPromptVersion": {
+ *       "<version>": { "runs", "patches", "approved", "approvalRate" }
+ *     },
  *     "errorTypeBreakdown": {...},
- *     "lastHealing": timestamp
+ *     "lastHealing": timestamp,
+ *     "runsByStatus": {...},
+ *     "llm": {
+ *       "calls": number, "inputTokens": number, "outputTokens": number,
+ *       "costUsd": number, "byNode": {...}, "byModel": {...}
+ *     }
  *   }
  * }
  */
@@ -129,7 +159,8 @@ router.get("/recommendations", async (req, res) => {
  * Body:
  * {
  *   "fixes": [
- *     { "file": "path", "patch_instructions": "..." }
+ *     { "file": "path", "patch_diff": "unified diff" }
+ *     or { "file": "path", "edits": [{ "action": "modify"|"create"|"delete"|"rename", ... }] }
  *   ]
  * }
  *
@@ -157,6 +188,7 @@ router.post("/apply-fixes", async (req, res) => {
  *     "status": "active",
  *     "agents": {...},
  *     "workflow": {...},
+ *     "prompts": { "defaultVersion": string, "versions": [string] },
  *     "lastRun": {...}
  *   }
  * }
@@ -166,6 +198,157 @@ router.get("/dashboard", async (req, res) => {
   await getDashboard_Controller(req, res);
 });
 
+// ===========================
+// ⏯️ Checkpointed Runs
+// ===========================
+
+/**
+ * GET /api/healing/runs
+ * List checkpointed healing runs, newest first
+ *
+ * Response:
+ * {
+ *   "success": boolean,
+ *   "runs": [
+ *     { "runId": string, "status": "running|completed|failed",
+ *       "createdAt": ISO string, "updatedAt": ISO string, "error": string|null }
+ *   ]
+ * }
+ */
+router.get("/runs", async (req, res) => {
+  console.log("📥 [GET /api/healing/runs]");
+  await listRuns_Controller(req, res);
+});
+
+/**
+ * GET /api/healing/runs/:runId
+ * Run status and the state history, one entry per completed node
+ *
+ * Response:
+ * {
+ *   "success": boolean,
+ *   "run": {
+ *     "runId": string,
+ *     "status": string,
+ *     "checkpoints": [
+ *       { "checkpointId": string, "step": number, "completed": [node],
+ *         "next": [node], "errors": [{ "node": string, "message": string }] }
+ *     ]
+ *   }
+ * }
+ */
+router.get("/runs/:runId", async (req, res) => {
+  console.log(`📥 [GET /api/healing/runs/${req.params.runId}]`);
+  await getRun_Controller(req, res);
+});
+
+/**
+ * GET /api/healing/runs/:runId/checkpoints/:checkpointId
+ * Full graph state after a node
+ *
+ * Response:
+ * {
+ *   "success": boolean,
+ *   "checkpoint": { "checkpointId": string, "step": number,
+ *                   "next": [node], "values": {...state} }
+ * }
+ */
+router.get("/runs/:runId/checkpoints/:checkpointId", async (req, res) => {
+  console.log(
+    `📥 [GET /api/healing/runs/${req.params.runId}/checkpoints/${req.params.checkpointId}]`,
+  );
+  await getRunCheckpoint_Controller(req, res);
+});
+
+/**
+ * POST /api/healing/runs/:runId/resume
+ * Continue a failed or interrupted run from its last completed node
+ *
+ * Body:
+ * {
+ *   "options": {
+ *     "reportFormat": "json|markdown|summary",
+ *     "llm": { "apiKey", "<agent>": { "model", "apiKey" } }
+ *       (API keys are not saved with runs)
+ *   }
+ * }
+ */
+router.post("/runs/:runId/resume", async (req, res) => {
+  console.log(`📥 [POST /api/healing/runs/${req.params.runId}/resume]`);
+  await resumeRun_Controller(req, res);
+});
+
+/**
+ * GET /api/healing/runs/:runId/pending
+ * Fixes a run started with requireApproval is paused on
+ *
+ * Response:
+ * {
+ *   "success": boolean,
+ *   "runId": string,
+ *   "status": string,
+ *   "fixes": [
+ *     { "id": number, "file": string, "line": number, "patch_diff": string,
+ *       "verification_status": string, "review_status": string|null, ... }
+ *   ]
+ * }
+ */
+router.get("/runs/:runId/pending", async (req, res) => {
+  console.log(`📥 [GET /api/healing/runs/${req.params.runId}/pending]`);
+  await getPendingReview_Controller(req, res);
+});
+
+/**
+ * POST /api/healing/runs/:runId/review
+ * Approve, edit or reject pending fixes; edited patches are verified
+ * again before they are applied. Undecided fixes stay pending.
+ *
+ * Body:
+ * {
+ *   "decisions": [
+ *     { "id": number, "action": "approve|reject|edit",
+ *       "patch_diff": string (edit only), "comment": string }
+ *   ],
+ *   "options": { "reportFormat": "json|markdown|summary",
+ *                "llm": { "apiKey", "<agent>": { "model", "apiKey" } } }
+ * }
+ */
+router.post("/runs/:runId/review", async (req, res) => {
+  console.log(`📥 [POST /api/healing/runs/${req.params.runId}/review]`);
+  await reviewRun_Controller(req, res);
+});
+
+/**
+ * GET /api/healing/runs/:runId/events
+ * Live progress of a run as Server-Sent Events. Each message's `event`
+ * is the event type and `data` is
+ * { "runId", "seq", "type", "timestamp", "data" }:
+ *
+ * - run_started       { resumed, promptVersion }
+ * - node_started      { node }
+ * - node_finished     { node, durationMs }
+ * - node_failed       { node, durationMs, error }
+ * - failure_extracted { file, line, error_message }
+ * - patch_generated   { failure_index, file, line, bug_type, attempt, has_diff, changes }
+ * - guardrail         { failure_index, file, line, attempt, findings }
+ * - verdict           { failure_index, file, line, attempt, status, method, reasons,
+ *                       confidence, risk }
+ * - run_paused        { pendingReview }
+ * - run_finished      { status, failures, patches, approved, costUsd }
+ * - run_failed        { error }
+ * - run_status        { status } (run started before this server buffered
+ *                     its events, e.g. before a restart)
+ *
+ * Reconnecting with Last-Event-ID (or ?after=seq) resumes after that
+ * event. The stream closes after run_finished or run_failed; a paused
+ * run stays open through its review. 204 when the run is over and
+ * there is nothing left to send.
+ */
+router.get("/runs/:runId/events", async (req, res) => {
+  console.log(`📥 [GET /api/healing/runs/${req.params.runId}/events]`);
+  await streamRunEvents_Controller(req, res);
+});
+
 // ===========================
 // 📤 Export Routes
 // ===========================
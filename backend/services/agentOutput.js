@@ -0,0 +1,214 @@
+/**
+ * Agent Output Validation
+ *
+ * Turns a model reply into validated data: every agent response is
+ * parsed and checked against a zod schema. Providers that support it
+ * are asked for schema-constrained JSON up front (structured output).
+ * When a reply still fails validation, the model is re-prompted once
+ * with the errors ("repair"). Each failure is recorded so the graph can
+ * keep it in state instead of swallowing it.
+ *
+ * A spec describes one agent's reply:
+ *   { format: "json" | "text", schema, providerSchema?, instructions }
+ * - schema:         zod schema the parsed reply must satisfy
+ * - providerSchema: zod object schema sent to the provider as JSON schema
+ * - instructions:   one line repeated in the repair prompt
+ */
+
+const { z } = require("zod");
+const { invokeAgent } = require("./llmExecutor");
+
+const MAX_REPAIRS = parseInt(process.env.HEALING_MAX_REPAIRS || "1", 10);
+
+// ===========================
+// 🧾 Parsing
+// ===========================
+
+/**
+ * Model content as a string (some SDKs return content parts)
+ */
+function contentText(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content.map((part) => part?.text || "").join("");
+  }
+  if (content && typeof content === "object") return JSON.stringify(content);
+  return "";
+}
+
+/**
+ * Parse JSON from a reply, tolerating markdown fences and prose
+ * around a single JSON value
+ */
+function parseJsonReply(text) {
+  const unfenced = text
+    .replace(/```(?:json)?\s*\n?/gi, "")
+    .replace(/```/g, "")
+    .trim();
+  try {
+    return JSON.parse(unfenced);
+  } catch (error) {
+    const start = unfenced.search(/[[{]/);
+    const end = Math.max(unfenced.lastIndexOf("}"), unfenced.lastIndexOf("]"));
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(unfenced.slice(start, end + 1));
+  }
+}
+
+function formatIssues(error) {
+  return error.issues
+    .map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`)
+    .join("; ");
+}
+
+/**
+ * Parse and validate one reply: { success, data } or { success, error }
+ */
+function validateReply(text, spec) {
+  let value = text;
+  if (spec.format === "json") {
+    try {
+      value = parseJsonReply(text);
+    } catch (error) {
+      return { success: false, error: `Invalid JSON: ${error.message}` };
+    }
+  }
+
+  const result = spec.schema.safeParse(value);
+  if (!result.success) {
+    return { success: false, error: formatIssues(result.error) };
+  }
+  return { success: true, data: result.data };
+}
+
+// Keywords every structured output API accepts (Gemini's schema dialect
+// is the narrowest and rejects the rest)
+const PORTABLE_SCHEMA_KEYS = [
+  "type",
+  "description",
+  "enum",
+  "properties",
+  "required",
+  "items",
+  "nullable",
+];
+
+function portableSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(portableSchema);
+  if (!schema || typeof schema !== "object") return schema;
+
+  const portable = {};
+  for (const key of PORTABLE_SCHEMA_KEYS) {
+    if (schema[key] === undefined) continue;
+    portable[key] =
+      key === "properties"
+        ? Object.fromEntries(
+            Object.entries(schema.properties).map(([name, value]) => [
+              name,
+              portableSchema(value),
+            ]),
+          )
+        : portableSchema(schema[key]);
+  }
+  return portable;
+}
+
+/**
+ * JSON schema for providers with a structured output mode
+ */
+function providerJsonSchema(spec) {
+  if (!spec.providerSchema) return undefined;
+  return portableSchema(
+    z.toJSONSchema(spec.providerSchema, { unrepresentable: "any" }),
+  );
+}
+
+// ===========================
+// 🔧 Invoke & Repair
+// ===========================
+
+/**
+ * Call an agent and return validated data
+ *
+ * Options:
+ * - config: graph config (config.configurable.llm carries overrides;
+ *   `structuredOutput: false` there or LLM_STRUCTURED_OUTPUT=false turns
+ *   provider-side schemas off)
+ * - calls: array receiving executor call records
+ * - validationErrors: array receiving
+ *   { agent, target, attempt, error, response, repaired }
+ * - target: what the call was about (e.g. "src/a.js:12"), for the record
+ *
+ * Throws when the reply is still invalid after the repair attempts.
+ */
+async function invokeValidated(agent, prompt, spec, options = {}) {
+  const { config, calls = null, validationErrors = [], target = "" } = options;
+  const overrides = config?.configurable?.llm || {};
+  const structured =
+    overrides.structuredOutput ?? process.env.LLM_STRUCTURED_OUTPUT !== "false";
+
+  const messages = [{ role: "user", content: prompt }];
+  const recorded = [];
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= MAX_REPAIRS; attempt++) {
+    const response = await invokeAgent(agent, messages, {
+      overrides,
+      calls,
+      node: config?.metadata?.langgraph_node,
+      // Only replies that validate are cached
+      accept: (reply) =>
+        validateReply(contentText(reply.content), spec).success,
+      responseSchema: structured ? providerJsonSchema(spec) : undefined,
+    });
+    const text = contentText(response.content);
+    const result = validateReply(text, spec);
+
+    if (result.success) {
+      recorded.forEach((entry) => (entry.repaired = true));
+      return result.data;
+    }
+
+    lastError = result.error;
+    const entry = {
+      agent,
+      target,
+      attempt: attempt + 1,
+      error: result.error,
+      response: text.slice(0, 500),
+      repaired: false,
+    };
+    recorded.push(entry);
+    validationErrors.push(entry);
+    console.warn(
+      `   ⚠️  ${agent} reply for ${target} invalid: ${result.error}`,
+    );
+
+    messages.push(
+      { role: "assistant", content: text },
+      {
+        role: "user",
+        content: `Your previous reply failed validation:
+${result.error}
+
+${spec.instructions}
+Reply again with ONLY the corrected output.`,
+      },
+    );
+  }
+
+  const error = new Error(`Invalid ${agent} response: ${lastError}`);
+  error.validation = true;
+  throw error;
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  invokeValidated,
+  validateReply,
+  parseJsonReply,
+  contentText,
+};
@@ -0,0 +1,185 @@
+/**
+ * Auto-Apply Policy
+ *
+ * Decides which approved fixes `autoApply` may apply on its own and
+ * which wait for a reviewer, from config/apply-policy.json (or
+ * HEALING_APPLY_POLICY_FILE). A request can pass its own policy,
+ * inline or as the name of a file in config/, like the taxonomy.
+ *
+ * Rules are tried in order; the first one whose conditions all hold
+ * decides ("apply" or "review"), otherwise `default` does. Conditions
+ * (all optional): bugTypes, maxLinesChanged, maxFiles, maxRisk,
+ * minConfidence and allowTestEdits (default false: a rule never
+ * matches a fix that edits tests). Risk and confidence come from
+ * services/fixScoring.js. Fixes the test guardrails flagged
+ * (services/testGuardrails.js) always wait for a reviewer.
+ */
+
+const path = require("path");
+const { z } = require("zod");
+const {
+  loadJsonConfig,
+  loadNamedConfig,
+  parseConfig,
+} = require("./jsonConfig");
+const { scorePatch, RISK_LEVELS } = require("./fixScoring");
+
+const DEFAULT_POLICY_FILE = path.resolve(
+  process.env.HEALING_APPLY_POLICY_FILE ||
+    path.join(__dirname, "..", "config", "apply-policy.json"),
+);
+
+const ACTIONS = ["apply", "review"];
+
+const PolicySchema = z.object({
+  default: z.enum(ACTIONS).default("review"),
+  rules: z
+    .array(
+      z.object({
+        name: z.string().min(1),
+        description: z.string().default(""),
+        bugTypes: z.array(z.string()).optional(),
+        maxLinesChanged: z.number().int().min(0).optional(),
+        maxFiles: z.number().int().min(0).optional(),
+        maxRisk: z.enum(RISK_LEVELS).optional(),
+        minConfidence: z.number().min(0).max(1).optional(),
+        allowTestEdits: z.boolean().default(false),
+        action: z.enum(ACTIONS),
+      }),
+    )
+    .default([]),
+});
+
+// ===========================
+// 📂 Loading
+// ===========================
+
+/**
+ * Validate a policy definition
+ */
+function parseApplyPolicy(definition, source = "inline policy") {
+  return parseConfig(PolicySchema, definition, `apply policy (${source})`);
+}
+
+function readPolicyFile(file) {
+  return loadJsonConfig(file, parseApplyPolicy);
+}
+
+/**
+ * The default policy, re-read when the file's mtime changes
+ */
+function loadApplyPolicy() {
+  return readPolicyFile(DEFAULT_POLICY_FILE);
+}
+
+/**
+ * Policy for one run: an inline definition, the name of a file in
+ * config/, or the default
+ */
+function resolveApplyPolicy(source) {
+  if (!source) return loadApplyPolicy();
+  if (typeof source === "string") {
+    return loadNamedConfig(source, parseApplyPolicy, "apply policy");
+  }
+  return parseApplyPolicy(source);
+}
+
+// ===========================
+// ⚖️ Decisions
+// ===========================
+
+/**
+ * Conditions of a rule the fix does not meet (empty when it matches)
+ */
+function unmetConditions(rule, fix, { confidence, risk }) {
+  const unmet = [];
+  if (rule.bugTypes && !rule.bugTypes.includes(fix.bug_type)) {
+    unmet.push(`bug type ${fix.bug_type} not in ${rule.bugTypes.join(", ")}`);
+  }
+  if (
+    rule.maxLinesChanged !== undefined &&
+    risk.lines_changed > rule.maxLinesChanged
+  ) {
+    unmet.push(
+      `${risk.lines_changed} lines changed (max ${rule.maxLinesChanged})`,
+    );
+  }
+  if (rule.maxFiles !== undefined && risk.files_touched > rule.maxFiles) {
+    unmet.push(`${risk.files_touched} files touched (max ${rule.maxFiles})`);
+  }
+  if (
+    rule.maxRisk &&
+    RISK_LEVELS.indexOf(risk.level) > RISK_LEVELS.indexOf(rule.maxRisk)
+  ) {
+    unmet.push(`${risk.level} risk (max ${rule.maxRisk})`);
+  }
+  if (rule.minConfidence !== undefined && confidence < rule.minConfidence) {
+    unmet.push(`confidence ${confidence} (min ${rule.minConfidence})`);
+  }
+  if (!rule.allowTestEdits && risk.edits_tests) {
+    unmet.push("edits tests");
+  }
+  return unmet;
+}
+
+/**
+ * What to do with an approved fix: { action, rule, reason }
+ *
+ * Fixes a reviewer already approved are applied as they are; the
+ * policy only decides for the rest, and never applies a fix with test
+ * guardrail findings.
+ */
+function decideFix(fix, policy) {
+  if (["approved", "edited"].includes(fix.review_status)) {
+    return {
+      action: "apply",
+      rule: null,
+      reason: fix.review_comment || "approved by a reviewer",
+    };
+  }
+
+  const findings = fix.guardrail_findings || [];
+  if (findings.length > 0) {
+    return {
+      action: "review",
+      rule: null,
+      reason: `test guardrail: ${findings.map((f) => f.detail).join("; ")}`,
+    };
+  }
+
+  const scores =
+    fix.confidence !== undefined && fix.risk
+      ? { confidence: fix.confidence, risk: fix.risk }
+      : scorePatch(fix);
+  const misses = [];
+  for (const rule of policy.rules) {
+    const unmet = unmetConditions(rule, fix, scores);
+    if (unmet.length === 0) {
+      return {
+        action: rule.action,
+        rule: rule.name,
+        reason: `matches rule ${rule.name}`,
+      };
+    }
+    misses.push(`${rule.name}: ${unmet.join(", ")}`);
+  }
+  return {
+    action: policy.default,
+    rule: null,
+    reason: misses.length
+      ? `no rule matched (${misses.join("; ")})`
+      : "no rules configured",
+  };
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  loadApplyPolicy,
+  resolveApplyPolicy,
+  parseApplyPolicy,
+  decideFix,
+  DEFAULT_POLICY_FILE,
+};
@@ -0,0 +1,371 @@
+/**
+ * Change Sets
+ *
+ * A patch is a list of file edits that land together:
+ * - { action: "modify", file, diff }              unified diff of the file
+ * - { action: "create", file, content }           new file
+ * - { action: "delete", file }
+ * - { action: "rename", file, new_file, diff? }   move, then optionally modify
+ *
+ * Patches carry the edits (`edits`) and the same change set as one
+ * combined diff (`patch_diff`, git-style headers for create, delete and
+ * rename) for prompts, reports and reviewers. The two convert both ways.
+ *
+ * A change set may also hold typed fix actions (add or upgrade a
+ * dependency, set a config key or env var; see services/fixActions.js).
+ * They have no diff: `patch_diff` only covers the file edits.
+ */
+
+const { z } = require("zod");
+const { parseUnifiedDiff, formatUnifiedDiff } = require("./unifiedDiff");
+const { actionFile, describeFixAction } = require("./fixActions");
+
+const FILE_ACTIONS = ["modify", "create", "delete", "rename"];
+const FIX_ACTIONS = [
+  "add_dependency",
+  "upgrade_dependency",
+  "set_config",
+  "set_env",
+];
+const EDIT_ACTIONS = [...FILE_ACTIONS, ...FIX_ACTIONS];
+
+const FilePathSchema = z
+  .string()
+  .trim()
+  .min(1)
+  .transform((file) => file.replace(/^\.\//, ""));
+
+// npm (optionally scoped) or PyPI project name, with pip extras
+const PackageNameSchema = z
+  .string()
+  .trim()
+  .regex(/^(@[\w.-]+\/)?[A-Za-z0-9][\w.-]*(\[[\w,.-]+\])?$/, {
+    message: "not a valid package name",
+  });
+
+// Version or range, e.g. 1.2.3, ^4.17.21, >=2.0,<3; tags such as
+// "latest" are not reproducible
+const VersionSchema = z
+  .string()
+  .trim()
+  .regex(/^[\w.*^~<>=!,| -]+$/, { message: "not a valid version" })
+  .refine((version) => /\d/.test(version), {
+    message: "must name a version or range, not a tag like latest",
+  });
+
+const FileEditSchema = z.discriminatedUnion("action", [
+  z.object({
+    action: z.literal("modify"),
+    file: FilePathSchema,
+    diff: z.string().min(1),
+  }),
+  z.object({
+    action: z.literal("create"),
+    file: FilePathSchema,
+    content: z.string(),
+  }),
+  z.object({
+    action: z.literal("delete"),
+    file: FilePathSchema,
+  }),
+  z.object({
+    action: z.literal("rename"),
+    file: FilePathSchema,
+    new_file: FilePathSchema,
+    diff: z.string().optional(),
+  }),
+  z.object({
+    action: z.literal("add_dependency"),
+    manifest: FilePathSchema,
+    package: PackageNameSchema,
+    version: VersionSchema,
+    dev: z.boolean().optional(),
+  }),
+  z.object({
+    action: z.literal("upgrade_dependency"),
+    manifest: FilePathSchema,
+    package: PackageNameSchema,
+    version: VersionSchema,
+  }),
+  z.object({
+    action: z.literal("set_config"),
+    file: FilePathSchema,
+    key: z.string().trim().min(1),
+    value: z.json(),
+  }),
+  z.object({
+    action: z.literal("set_env"),
+    name: z.string().regex(/^[A-Za-z_][A-Za-z0-9_]*$/, {
+      message: "not a valid variable name",
+    }),
+    value: z.string().regex(/^[^\r\n]*$/, { message: "must be one line" }),
+    file: FilePathSchema.optional(),
+  }),
+]);
+
+const isFixAction = (edit) => FIX_ACTIONS.includes(edit.action);
+
+// ===========================
+// 🔁 Edits ⇄ Diff
+// ===========================
+
+/**
+ * Hunks of a single-file diff given in an edit
+ */
+function editHunks(edit) {
+  const files = parseUnifiedDiff(edit.diff);
+  if (files.length !== 1) {
+    throw new Error(
+      `Diff for ${edit.file} covers ${files.length} files; use one edit per file`,
+    );
+  }
+  return files[0].hunks;
+}
+
+/**
+ * A hunk adding `content` to an empty file
+ */
+function contentHunks(content) {
+  if (content.length === 0) return [];
+  const lines = content.split("\n");
+  const endsWithNewline = content.endsWith("\n");
+  if (endsWithNewline) lines.pop();
+  const hunkLines = lines.map((text) => ({ type: "+", text }));
+  if (!endsWithNewline) hunkLines[hunkLines.length - 1].noNewline = true;
+  return [
+    {
+      oldStart: 0,
+      oldLines: 0,
+      newStart: 1,
+      newLines: lines.length,
+      lines: hunkLines,
+    },
+  ];
+}
+
+function hunkContent(hunks) {
+  const lines = hunks.flatMap((h) => h.lines.filter((l) => l.type !== "-"));
+  if (lines.length === 0) return "";
+  const text = lines.map((l) => l.text).join("\n");
+  return lines[lines.length - 1].noNewline ? text : `${text}\n`;
+}
+
+/**
+ * Every path may be changed by one file edit only, and not by both a
+ * file edit and fix actions (several actions may share a file)
+ */
+function checkDistinctPaths(filePatches, actions = []) {
+  const seen = new Set();
+  for (const file of filePatches) {
+    for (const filePath of new Set([file.oldPath, file.newPath])) {
+      if (!filePath) continue;
+      if (seen.has(filePath)) {
+        throw new Error(`${filePath} is changed by more than one edit`);
+      }
+      seen.add(filePath);
+    }
+  }
+  for (const action of actions) {
+    if (seen.has(actionFile(action))) {
+      throw new Error(
+        `${actionFile(action)} is changed by both a file edit and a fix action`,
+      );
+    }
+  }
+  return filePatches;
+}
+
+/**
+ * Validated copies of a change set's edits; throws a readable error for
+ * the first invalid one
+ */
+function parseEdits(edits) {
+  if (!Array.isArray(edits) || edits.length === 0) {
+    throw new Error("Change set has no edits");
+  }
+  return edits.map((raw, index) => {
+    const parsed = FileEditSchema.safeParse(raw);
+    if (!parsed.success) {
+      const issues = parsed.error.issues
+        .map((issue) => `${issue.path.join(".") || "edit"}: ${issue.message}`)
+        .join("; ");
+      throw new Error(`Invalid edit #${index + 1}: ${issues}`);
+    }
+    return parsed.data;
+  });
+}
+
+/**
+ * Parsed file patches (see parseUnifiedDiff) for the file edits of a
+ * change set, and its fix actions; throws when an edit is invalid
+ */
+function splitEdits(edits) {
+  const parsed = parseEdits(edits);
+  const actions = parsed.filter(isFixAction);
+  const filePatches = parsed
+    .filter((edit) => !isFixAction(edit))
+    .map((edit) => {
+      switch (edit.action) {
+        case "modify":
+          return {
+            action: "modify",
+            oldPath: edit.file,
+            newPath: edit.file,
+            hunks: editHunks(edit),
+          };
+        case "create":
+          return {
+            action: "create",
+            oldPath: null,
+            newPath: edit.file,
+            hunks: contentHunks(edit.content),
+          };
+        case "delete":
+          return {
+            action: "delete",
+            oldPath: edit.file,
+            newPath: null,
+            hunks: [],
+          };
+        case "rename":
+          return {
+            action: "rename",
+            oldPath: edit.file,
+            newPath: edit.new_file,
+            hunks: edit.diff ? editHunks(edit) : [],
+          };
+      }
+    });
+  return { filePatches: checkDistinctPaths(filePatches, actions), actions };
+}
+
+/**
+ * Edits for a (possibly multi-file) unified diff
+ */
+function editsFromDiff(diffText) {
+  return checkDistinctPaths(parseUnifiedDiff(diffText)).map((file) => {
+    switch (file.action) {
+      case "create":
+        return {
+          action: "create",
+          file: file.newPath,
+          content: hunkContent(file.hunks),
+        };
+      case "delete":
+        return { action: "delete", file: file.oldPath };
+      case "rename":
+        return {
+          action: "rename",
+          file: file.oldPath,
+          new_file: file.newPath,
+          ...(file.hunks.length > 0
+            ? {
+                diff: formatUnifiedDiff([
+                  { ...file, action: "modify", oldPath: file.newPath },
+                ]),
+              }
+            : {}),
+        };
+      default:
+        return {
+          action: "modify",
+          file: file.newPath,
+          diff: formatUnifiedDiff([file]),
+        };
+    }
+  });
+}
+
+/**
+ * The combined diff of a change set's file edits ("" when it only has
+ * fix actions)
+ */
+function diffFromEdits(edits) {
+  const { filePatches } = splitEdits(edits);
+  return filePatches.length > 0 ? formatUnifiedDiff(filePatches) : "";
+}
+
+/**
+ * A patch's edits; patches from before change sets (or API callers)
+ * may only carry `patch_diff`
+ */
+function patchEdits(patch) {
+  if (Array.isArray(patch.edits) && patch.edits.length > 0) {
+    return patch.edits;
+  }
+  return editsFromDiff(patch.patch_diff);
+}
+
+/**
+ * One line per edit, e.g. "rename src/a.js -> src/b.js"
+ */
+function describeEdits(edits) {
+  return edits.map((edit) => {
+    if (isFixAction(edit)) return describeFixAction(edit);
+    return edit.action === "rename"
+      ? `rename ${edit.file} -> ${edit.new_file}${edit.diff ? " (modified)" : ""}`
+      : `${edit.action} ${edit.file}`;
+  });
+}
+
+/**
+ * describeEdits for a patch; [] when it has no usable change set
+ */
+function describePatch(patch) {
+  try {
+    return describeEdits(patchEdits(patch));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * A patch's changes for reports: { files, actions }, file edits and
+ * fix actions described separately
+ */
+function summarizeChanges(patch) {
+  let edits = [];
+  try {
+    edits = patchEdits(patch);
+  } catch (error) {
+    // No usable change set
+  }
+  return {
+    files: describeEdits(edits.filter((edit) => !isFixAction(edit))),
+    actions: describeEdits(edits.filter(isFixAction)),
+  };
+}
+
+/**
+ * A patch's fix actions (kept when a reviewer replaces its diff)
+ */
+function patchFixActions(patch) {
+  return (patch.edits || []).filter(isFixAction);
+}
+
+/**
+ * Whether a patch changes anything (file edits or fix actions)
+ */
+function hasChanges(patch) {
+  return Boolean(patch.patch_diff) || (patch.edits || []).length > 0;
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  FileEditSchema,
+  EDIT_ACTIONS,
+  FIX_ACTIONS,
+  isFixAction,
+  splitEdits,
+  editsFromDiff,
+  diffFromEdits,
+  patchEdits,
+  describeEdits,
+  describePatch,
+  summarizeChanges,
+  patchFixActions,
+  hasChanges,
+};
@@ -0,0 +1,526 @@
+/**
+ * Code Intelligence
+ *
+ * Symbol-level context for TYPE_ERROR and LOGIC failures, where the
+ * code to fix is usually a function the stack passes through rather
+ * than the test line. Each file on the stack is outlined (functions,
+ * classes and methods with their line ranges, referenced identifiers
+ * and imports):
+ * - JavaScript / TypeScript with @babel/parser, here
+ * - Python with its `ast` module, inside the sandbox
+ *   (services/pythonOutline.py)
+ *
+ * From the outlines, every stack frame resolves to its enclosing
+ * function, and the identifiers that function uses resolve to their
+ * definitions in the same file or in the relative modules it imports.
+ * Those snippets are added to the failure's source context.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const { execFile } = require("child_process");
+const { parse } = require("@babel/parser");
+const { detectLanguage } = require("./ruleClassifier");
+const {
+  contextLocations,
+  resolveContainerPath,
+  rangeSnippet,
+  estimateTokens,
+} = require("./sourceContext");
+
+const execFilePromise = util.promisify(execFile);
+
+// Failures whose fix is usually in a function on the stack
+const SYMBOL_BUG_TYPES = ["TYPE_ERROR", "LOGIC"];
+
+// Token budget for symbol snippets per failure, on top of the
+// source context budget
+const DEFAULT_SYMBOL_TOKEN_BUDGET = parseInt(
+  process.env.HEALING_SYMBOL_TOKENS || "1500",
+  10,
+);
+
+// Definitions looked up per enclosing function
+const MAX_DEFINITIONS = 6;
+
+// Snippets shorter than this are not worth a cut-down symbol
+const MIN_SNIPPET_LINES = 5;
+
+const PYTHON_OUTLINE_SCRIPT = fs.readFileSync(
+  path.join(__dirname, "pythonOutline.py"),
+  "utf8",
+);
+
+const FUNCTION_KINDS = ["function", "method"];
+
+// ===========================
+// 🌳 JavaScript / TypeScript
+// ===========================
+
+function parserPlugins(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === ".tsx") return ["typescript", "jsx"];
+  if ([".ts", ".mts", ".cts"].includes(ext)) return ["typescript"];
+  return ["jsx"];
+}
+
+const isFunctionNode = (node) =>
+  Boolean(node) &&
+  [
+    "FunctionExpression",
+    "ArrowFunctionExpression",
+    "FunctionDeclaration",
+  ].includes(node.type);
+
+// require("x") → "x"
+function requireSource(node) {
+  return node?.type === "CallExpression" &&
+    node.callee.type === "Identifier" &&
+    node.callee.name === "require" &&
+    node.arguments[0]?.type === "StringLiteral"
+    ? node.arguments[0].value
+    : null;
+}
+
+// exports.name / module.exports.name → "name"
+function exportedName(node) {
+  if (node.type !== "MemberExpression" || node.computed) return null;
+  const object = node.object;
+  const isExports =
+    (object.type === "Identifier" && object.name === "exports") ||
+    (object.type === "MemberExpression" &&
+      object.object.name === "module" &&
+      object.property.name === "exports");
+  return isExports ? node.property.name : null;
+}
+
+/**
+ * Outline of a JavaScript / TypeScript file: { symbols, references,
+ * imports }; null when it does not parse
+ */
+function outlineJavaScript(file, content) {
+  let ast;
+  try {
+    ast = parse(content, {
+      sourceType: "unambiguous",
+      plugins: parserPlugins(file),
+      errorRecovery: true,
+    });
+  } catch (error) {
+    return null;
+  }
+
+  const symbols = [];
+  const references = [];
+  const imports = [];
+
+  const addSymbol = (name, kind, node, parent) =>
+    symbols.push({
+      name,
+      kind,
+      startLine: node.loc.start.line,
+      endLine: node.loc.end.line,
+      parent,
+    });
+
+  // parent: name of the enclosing symbol
+  const visit = (node, parent) => {
+    if (!node || typeof node.type !== "string") return;
+    let childParent = parent;
+
+    switch (node.type) {
+      case "FunctionDeclaration":
+        if (node.id) {
+          addSymbol(node.id.name, "function", node, parent);
+          childParent = node.id.name;
+        }
+        break;
+      case "ClassDeclaration":
+        if (node.id) {
+          addSymbol(node.id.name, "class", node, parent);
+          childParent = node.id.name;
+        }
+        break;
+      case "ClassMethod":
+      case "ClassPrivateMethod":
+      case "ObjectMethod":
+      case "TSDeclareMethod":
+        if (node.key?.name) {
+          addSymbol(node.key.name, "method", node, parent);
+          childParent = node.key.name;
+        }
+        break;
+      case "ClassProperty":
+      case "ObjectProperty":
+        if (node.key?.name && isFunctionNode(node.value)) {
+          addSymbol(node.key.name, "method", node, parent);
+          childParent = node.key.name;
+        }
+        break;
+      case "VariableDeclarator": {
+        const source = requireSource(node.init);
+        if (source && node.id.type === "Identifier") {
+          imports.push({ name: node.id.name, source, imported: null });
+        } else if (source && node.id.type === "ObjectPattern") {
+          for (const property of node.id.properties) {
+            if (property.key?.name && property.value?.type === "Identifier") {
+              imports.push({
+                name: property.value.name,
+                source,
+                imported: property.key.name,
+              });
+            }
+          }
+        } else if (node.id.type === "Identifier") {
+          if (isFunctionNode(node.init)) {
+            addSymbol(node.id.name, "function", node, parent);
+            childParent = node.id.name;
+          } else if (!parent) {
+            addSymbol(node.id.name, "variable", node, parent);
+          }
+        }
+        break;
+      }
+      case "AssignmentExpression": {
+        const name = exportedName(node.left);
+        if (name && isFunctionNode(node.right)) {
+          addSymbol(name, "function", node, parent);
+          childParent = name;
+        }
+        break;
+      }
+      case "ImportDeclaration":
+        for (const specifier of node.specifiers) {
+          imports.push({
+            name: specifier.local.name,
+            source: node.source.value,
+            imported:
+              specifier.type === "ImportSpecifier"
+                ? specifier.imported.name || specifier.imported.value
+                : specifier.type === "ImportDefaultSpecifier"
+                  ? "default"
+                  : null,
+          });
+        }
+        return;
+      case "Identifier":
+        references.push({ name: node.name, line: node.loc.start.line });
+        return;
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (["loc", "start", "end", "extra", "comments"].includes(key)) continue;
+      if (key.endsWith("Comments")) continue;
+      for (const child of Array.isArray(value) ? value : [value]) {
+        if (child && typeof child === "object") {
+          visit(child, childParent);
+        }
+      }
+    }
+  };
+
+  visit(ast.program, null);
+  return { symbols, references, imports };
+}
+
+// ===========================
+// 🐍 Python
+// ===========================
+
+/**
+ * Outline of a Python file in the container, from its `ast` module;
+ * null when Python is missing or the file does not parse
+ */
+async function outlinePython(containerName, fullPath) {
+  for (const python of ["python3", "python"]) {
+    let stdout;
+    try {
+      ({ stdout } = await execFilePromise(
+        "docker",
+        ["exec", containerName, python, "-c", PYTHON_OUTLINE_SCRIPT, fullPath],
+        { timeout: 15000, maxBuffer: 10 * 1024 * 1024 },
+      ));
+    } catch (error) {
+      continue; // No such interpreter in the image
+    }
+    try {
+      const outline = JSON.parse(stdout);
+      return outline.error ? null : outline;
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// ===========================
+// 🔎 Lookups
+// ===========================
+
+/**
+ * Path of a file relative to the repository, so a stack frame's
+ * absolute path and the failure's relative one name the same file
+ */
+function repositoryPath(workDir, file) {
+  const relative = path.posix.relative(workDir, file);
+  return path.posix.isAbsolute(file) && !relative.startsWith("..")
+    ? relative
+    : file.replace(/^\.\//, "");
+}
+
+/**
+ * Memoized (file) => Promise<{ file, content, outline } | null> for one
+ * node run; `file` is relative to the repository (or absolute) and
+ * comes back relative
+ */
+function createOutliner({ containerName, workDir, readFile }) {
+  const cache = new Map();
+  const load = async (file) => {
+    const language = detectLanguage(file);
+    if (!["javascript", "python"].includes(language)) return null;
+
+    const fullPath = resolveContainerPath(workDir, file);
+    let content;
+    try {
+      content = await readFile(fullPath);
+    } catch (error) {
+      return null;
+    }
+    const outline =
+      language === "python"
+        ? await outlinePython(containerName, fullPath)
+        : outlineJavaScript(file, content);
+    return outline ? { file, content, outline } : null;
+  };
+  return (file) => {
+    const key = repositoryPath(workDir, file);
+    if (!cache.has(key)) cache.set(key, load(key));
+    return cache.get(key);
+  };
+}
+
+/**
+ * Innermost function or method around a line
+ */
+function enclosingSymbol(outline, line) {
+  return outline.symbols
+    .filter(
+      (s) =>
+        FUNCTION_KINDS.includes(s.kind) &&
+        s.startLine <= line &&
+        s.endLine >= line,
+    )
+    .sort((a, b) => a.endLine - a.startLine - (b.endLine - b.startLine))[0];
+}
+
+/**
+ * Names used in a symbol, in order of first use
+ */
+function referencedNames(outline, symbol) {
+  const names = outline.references
+    .filter((r) => r.line >= symbol.startLine && r.line <= symbol.endLine)
+    .map((r) => r.name)
+    .filter((name) => name !== symbol.name);
+  return [...new Set(names)];
+}
+
+/**
+ * Candidate repository paths for an import, nearest first; [] for
+ * packages outside the repository
+ */
+function modulePaths(file, entry, language) {
+  const dir = path.posix.dirname(file);
+  if (language === "python") {
+    const parts = entry.source ? entry.source.split(".") : [];
+    const bases =
+      entry.level > 0
+        ? [path.posix.join(dir, ...Array(entry.level - 1).fill(".."))]
+        : [".", dir];
+    return bases.flatMap((base) => {
+      const modulePath = path.posix.join(base, ...parts);
+      return [`${modulePath}.py`, `${modulePath}/__init__.py`];
+    });
+  }
+
+  if (!entry.source.startsWith(".")) return [];
+  const modulePath = path.posix.join(dir, entry.source);
+  return [
+    "",
+    ".js",
+    ".ts",
+    ".tsx",
+    ".jsx",
+    ".mjs",
+    ".cjs",
+    "/index.js",
+    "/index.ts",
+  ].map((suffix) => `${modulePath}${suffix}`);
+}
+
+/**
+ * First of `candidates` that outlines
+ */
+async function firstModule(candidates, outlineFile) {
+  for (const candidate of candidates) {
+    const loaded = await outlineFile(candidate);
+    if (loaded) return loaded;
+  }
+  return null;
+}
+
+const topLevel = (outline, name) =>
+  outline.symbols.find(
+    (s) => s.name === name && !s.parent && s.kind !== "variable",
+  ) ||
+  outline.symbols.find((s) => s.name === name && s.kind === "method") ||
+  outline.symbols.find((s) => s.name === name && !s.parent);
+
+/**
+ * Where `name`, used in `file`, is defined: { file, content, symbol }
+ * or null. Looks in the file itself, then in the modules it imports
+ * (the imported name, or any member of a namespace import).
+ */
+async function findDefinition(name, { file, content, outline }, outlineFile) {
+  const local = topLevel(outline, name);
+  if (local) return { file, content, symbol: local };
+
+  const language = detectLanguage(file);
+  const binding = outline.imports.find((entry) => entry.name === name);
+  if (binding) {
+    if (!binding.imported || binding.imported === "default") return null;
+    const module = await firstModule(
+      modulePaths(file, binding, language),
+      outlineFile,
+    );
+    const symbol = module && topLevel(module.outline, binding.imported);
+    return symbol ? { ...module, symbol } : null;
+  }
+
+  // A member of a namespace import, e.g. userService.createUser
+  const namespaces = outline.imports.filter(
+    (entry) => !entry.imported || entry.imported === "default",
+  );
+  for (const entry of namespaces) {
+    const module = await firstModule(
+      modulePaths(file, entry, language),
+      outlineFile,
+    );
+    const symbol = module && topLevel(module.outline, name);
+    if (symbol) return { ...module, symbol };
+  }
+  return null;
+}
+
+// ===========================
+// 📥 Symbol Context
+// ===========================
+
+/**
+ * Describe a symbol, e.g. "method UserService.create"
+ */
+function describeSymbol(symbol) {
+  const name = symbol.parent ? `${symbol.parent}.${symbol.name}` : symbol.name;
+  return `${symbol.kind} ${name}`;
+}
+
+/**
+ * Symbol snippets for one failure: the functions enclosing its stack
+ * frames, then the definitions of what they use. Snippets the source
+ * context already shows are skipped; long symbols are cut to fit.
+ *
+ * Options: outlineFile (see createOutliner), workDir, existing (the
+ * failure's source context), tokenBudget
+ */
+async function collectSymbolContext(failure, options) {
+  const {
+    outlineFile,
+    workDir,
+    existing = [],
+    tokenBudget = DEFAULT_SYMBOL_TOKEN_BUDGET,
+  } = options;
+
+  const contexts = [];
+  let remaining = tokenBudget;
+  const shown = (file, symbol) =>
+    [...existing, ...contexts].some(
+      (c) =>
+        repositoryPath(workDir, c.file) === file &&
+        c.startLine <= symbol.startLine &&
+        c.endLine >= symbol.endLine,
+    );
+
+  const add = (file, content, symbol, line, reason) => {
+    if (remaining <= 0 || shown(file, symbol)) return;
+    let endLine = symbol.endLine;
+    let window = rangeSnippet(content, symbol.startLine, endLine);
+    while (
+      estimateTokens(window.snippet) > remaining &&
+      endLine - symbol.startLine >= MIN_SNIPPET_LINES * 2
+    ) {
+      endLine = symbol.startLine + Math.floor((endLine - symbol.startLine) / 2);
+      window = rangeSnippet(content, symbol.startLine, endLine);
+    }
+    if (estimateTokens(window.snippet) > remaining) return;
+
+    remaining -= estimateTokens(window.snippet);
+    contexts.push({
+      file,
+      line,
+      ...window,
+      symbol: describeSymbol(symbol),
+      reason,
+    });
+  };
+
+  const enclosing = [];
+  for (const location of contextLocations(failure)) {
+    const loaded = await outlineFile(location.file);
+    const symbol = loaded && enclosingSymbol(loaded.outline, location.line);
+    if (!symbol || enclosing.some((e) => e.symbol === symbol)) continue;
+    enclosing.push({ ...loaded, symbol });
+    add(
+      loaded.file,
+      loaded.content,
+      symbol,
+      location.line,
+      `encloses ${loaded.file}:${location.line}`,
+    );
+  }
+
+  for (const caller of enclosing) {
+    const names = referencedNames(caller.outline, caller.symbol);
+    let found = 0;
+    for (const name of names) {
+      if (found >= MAX_DEFINITIONS || remaining <= 0) break;
+      const definition = await findDefinition(name, caller, outlineFile);
+      if (!definition || definition.symbol === caller.symbol) continue;
+      found++;
+      add(
+        definition.file,
+        definition.content,
+        definition.symbol,
+        definition.symbol.startLine,
+        `definition of ${name}, used in ${caller.symbol.name}`,
+      );
+    }
+  }
+
+  return contexts;
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  outlineJavaScript,
+  outlinePython,
+  parserPlugins,
+  createOutliner,
+  enclosingSymbol,
+  findDefinition,
+  collectSymbolContext,
+  SYMBOL_BUG_TYPES,
+  DEFAULT_SYMBOL_TOKEN_BUDGET,
+};
@@ -0,0 +1,305 @@
+/**
+ * Execution Verifier
+ *
+ * Verifies candidate patches by running the test suite instead of asking
+ * a model. Each patch is applied to an isolated copy of the repository
+ * inside the sandbox container (a plain copy or a git worktree), the
+ * suite is rerun there, and the outcome is compared with a baseline run
+ * of the unpatched code. The real working directory is never modified.
+ * A patch whose files no longer parse is rejected without running the
+ * suite (see services/syntaxCheck.js).
+ */
+
+const { execFile } = require("child_process");
+const util = require("util");
+const crypto = require("crypto");
+const execFilePromise = util.promisify(execFile);
+const { applyChangeSet } = require("./patchApplicator");
+const { patchEdits } = require("./changeSet");
+const { formatSyntaxErrors } = require("./syntaxCheck");
+const { summarizeTestRun, compareRuns } = require("./testOutcome");
+const {
+  readFileFromContainer,
+  sanitize,
+} = require("../controllers/testRunnerController");
+
+const TEST_TIMEOUT = parseInt(process.env.HEALING_TEST_TIMEOUT || "300000", 10);
+
+// ===========================
+// 📦 Isolated Workspaces
+// ===========================
+
+/**
+ * Run a fixed shell script in the container with positional arguments
+ * (arguments are never interpolated into the script text)
+ */
+async function containerScript(containerName, script, args, options = {}) {
+  return execFilePromise(
+    "docker",
+    ["exec", sanitize(containerName), "sh", "-c", script, "sh", ...args],
+    { timeout: 120000, maxBuffer: 10 * 1024 * 1024, ...options },
+  );
+}
+
+/**
+ * Create an isolated copy of `workDir` next to it
+ *
+ * Strategies:
+ * - copy:     cp -a of the whole directory (includes untracked files)
+ * - worktree: git worktree at HEAD plus the uncommitted diff, with
+ *             node_modules symlinked from the original checkout
+ */
+async function createIsolatedWorkspace(
+  containerName,
+  workDir,
+  strategy = "copy",
+) {
+  const source = sanitize(workDir).replace(/\/$/, "");
+  const dir = `${source}-heal-${crypto.randomBytes(4).toString("hex")}`;
+
+  if (strategy === "worktree") {
+    await containerScript(
+      containerName,
+      [
+        'git -C "$1" worktree add --detach "$2" HEAD >/dev/null',
+        'changes=$(git -C "$1" diff HEAD --binary)',
+        'if [ -n "$changes" ]; then printf "%s\\n" "$changes" | git -C "$2" apply; fi',
+        'if [ -d "$1/node_modules" ]; then ln -s "$1/node_modules" "$2/node_modules"; fi',
+      ].join(" && "),
+      [source, dir],
+    );
+  } else {
+    await containerScript(containerName, 'cp -a "$1" "$2"', [source, dir]);
+  }
+
+  return { dir, strategy, source };
+}
+
+/**
+ * Remove a workspace created by createIsolatedWorkspace
+ */
+async function removeIsolatedWorkspace(containerName, workspace) {
+  try {
+    if (workspace.strategy === "worktree") {
+      await containerScript(
+        containerName,
+        'git -C "$1" worktree remove --force "$2"',
+        [workspace.source, workspace.dir],
+      );
+    } else {
+      await containerScript(containerName, 'rm -rf "$1"', [workspace.dir]);
+    }
+  } catch (error) {
+    console.warn(
+      `   ⚠️  Could not remove workspace ${workspace.dir}: ${error.message}`,
+    );
+  }
+}
+
+// ===========================
+// 🧪 Running the Suite
+// ===========================
+
+/**
+ * Pick the test command: explicit option, npm test, or pytest
+ */
+async function resolveTestCommand(containerName, workDir, testCommand) {
+  if (testCommand) return testCommand;
+  try {
+    const pkg = JSON.parse(
+      await readFileFromContainer(containerName, `${workDir}/package.json`),
+    );
+    if (pkg.scripts?.test) return "npm test";
+  } catch (error) {
+    // No package.json - fall through
+  }
+  return "python -m pytest";
+}
+
+/**
+ * Run the test command in `dir`; failures are results, not exceptions
+ */
+async function runSuite(containerName, dir, testCommand) {
+  const start = Date.now();
+  try {
+    const { stdout, stderr } = await execFilePromise(
+      "docker",
+      [
+        "exec",
+        "-e",
+        "CI=1",
+        "-w",
+        dir,
+        sanitize(containerName),
+        "sh",
+        "-c",
+        testCommand,
+      ],
+      { timeout: TEST_TIMEOUT, maxBuffer: 10 * 1024 * 1024 },
+    );
+    return { stdout, stderr, exitCode: 0, durationMs: Date.now() - start };
+  } catch (error) {
+    if (error.killed) {
+      throw new Error(`Test run timed out after ${TEST_TIMEOUT}ms`);
+    }
+    if (typeof error.code !== "number") throw error;
+    return {
+      stdout: error.stdout || "",
+      stderr: error.stderr || "",
+      exitCode: error.code,
+      durationMs: Date.now() - start,
+    };
+  }
+}
+
+/**
+ * Run the suite in a fresh isolated workspace, optionally with a
+ * change set applied first
+ */
+async function runInWorkspace(containerName, workDir, options) {
+  const { strategy, testCommand, typeCheckCommand, edits } = options;
+  const workspace = await createIsolatedWorkspace(
+    containerName,
+    workDir,
+    strategy,
+  );
+
+  try {
+    if (edits) {
+      await applyChangeSet(containerName, workspace.dir, edits, {
+        sourceRoot: workDir,
+        typeCheckCommand,
+      });
+    }
+    return await runSuite(containerName, workspace.dir, testCommand);
+  } finally {
+    await removeIsolatedWorkspace(containerName, workspace);
+  }
+}
+
+// ===========================
+// ✅ Verify Patches
+// ===========================
+
+/**
+ * A patch's change set; a patch without a valid one is at fault
+ */
+function changeSetOf(patch) {
+  try {
+    return patchEdits(patch);
+  } catch (error) {
+    error.patchFailed = true;
+    throw error;
+  }
+}
+
+/**
+ * Verify each patch by execution
+ *
+ * Each patch's whole change set is applied before the suite runs.
+ * Patches run one at a time (the sandbox has a single CPU budget).
+ * Options: strategy, testCommand, typeCheckCommand (see
+ * applyChangeSet).
+ * Returns the patches with verification_status, verification_reasons
+ * and an `execution` summary attached.
+ */
+async function verifyPatchesByExecution(
+  containerName,
+  workDir,
+  patches,
+  options = {},
+) {
+  const strategy = options.strategy || "copy";
+  const testCommand = await resolveTestCommand(
+    containerName,
+    workDir,
+    options.testCommand,
+  );
+
+  console.log(`   Baseline run: ${testCommand} (${strategy})`);
+  const baselineRun = await runInWorkspace(containerName, workDir, {
+    strategy,
+    testCommand,
+  });
+  const baseline = summarizeTestRun(baselineRun);
+  console.log(
+    `   Baseline: exit ${baseline.exitCode}, ${baseline.failed} failing`,
+  );
+
+  const results = [];
+  for (const patch of patches) {
+    console.log(`   ▶ ${patch.file}:${patch.line}`);
+    try {
+      const run = await runInWorkspace(containerName, workDir, {
+        strategy,
+        testCommand,
+        typeCheckCommand: options.typeCheckCommand,
+        edits: changeSetOf(patch),
+      });
+      const after = summarizeTestRun(run);
+      const verdict = compareRuns(
+        patch,
+        baseline,
+        after,
+        `${run.stdout}\n${run.stderr}`,
+      );
+
+      console.log(
+        `     ${verdict.approved ? "✅ APPROVED" : "❌ REJECTED"} (exit ${run.exitCode}, ${after.failed} failing)`,
+      );
+
+      results.push({
+        ...patch,
+        verification_status: verdict.approved ? "APPROVED" : "REJECTED",
+        verification_method: "execution",
+        verification_reasons: verdict.reasons,
+        execution: {
+          testCommand,
+          strategy,
+          exitCode: run.exitCode,
+          durationMs: run.durationMs,
+          baselineFailed: baseline.failed,
+          failed: after.failed,
+          passed: after.passed,
+          resolved: verdict.resolved,
+          newFailures: verdict.newFailures,
+          // Grouped failures: which of the group's tests now pass
+          resolvedTests: (patch.expected_resolved_tests || []).filter(
+            (t) => !after.failingTests.includes(t),
+          ),
+        },
+      });
+    } catch (error) {
+      // A patch that does not apply (or parse) is wrong; anything
+      // else (docker, installs, timeouts) is infra, see applyChangeSet
+      const patchProblem = Boolean(error.patchFailed);
+      console.log(`     ❌ ${error.message}`);
+      results.push({
+        ...patch,
+        verification_status: patchProblem ? "REJECTED" : "PENDING_REVIEW",
+        verification_method: "execution",
+        // One reason per syntax error, so the patch agent sees each
+        verification_reasons: error.syntaxErrors
+          ? error.syntaxErrors.map(
+              (e) =>
+                `Patched code does not compile: ${formatSyntaxErrors([e])}`,
+            )
+          : [error.message],
+      });
+    }
+  }
+
+  return results;
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  verifyPatchesByExecution,
+  createIsolatedWorkspace,
+  removeIsolatedWorkspace,
+  resolveTestCommand,
+  runSuite,
+};
@@ -0,0 +1,160 @@
+/**
+ * Failure Grouping
+ *
+ * Clusters extracted failures that share a root cause (the same source
+ * line, the same non-test stack frame, or the same specific error
+ * message in the same file) so the graph classifies and patches each
+ * cause once instead of once per failing test.
+ */
+
+const path = require("path");
+const { extractStackFrames } = require("./sourceContext");
+
+// Paths that belong to tests rather than the code under test
+const TEST_PATH =
+  /(^|\/)(tests?|__tests__|spec)\/|[._-](test|spec)\.[\w]+$|(^|\/)test_[\w]+\.py$|_test\.go$|Test\.java$/;
+
+// Messages too generic to group on by themselves (assertion output)
+const GENERIC_MESSAGE =
+  /assert|expect\(|to(Be|Equal|Match|Have)|Expected|Received|failed asserting|left == right/i;
+
+// ===========================
+// 🔑 Signatures
+// ===========================
+
+function isTestPath(file) {
+  return TEST_PATH.test(file || "");
+}
+
+/**
+ * First line of the message with run-specific noise removed
+ */
+function normalizeMessage(message, file) {
+  let text = String(message || "")
+    .split("\n")[0]
+    .trim();
+
+  // The failing test's own path differs per failure ("... from 'a.test.js'")
+  for (const self of [file, file && path.posix.basename(file)]) {
+    if (self) text = text.split(self).join("<file>");
+  }
+
+  return text
+    .replace(/0x[0-9a-f]+/gi, "<hex>")
+    .replace(/\b\d+(\.\d+)?(ms|s)?\b/g, "<n>")
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * First stack frame outside test files (where the bug most likely is)
+ */
+function rootFrame(failure) {
+  const frames = extractStackFrames(
+    [failure.stack, failure.error_message].filter(Boolean).join("\n"),
+  );
+  if (!isTestPath(failure.file) && failure.line > 0) {
+    frames.unshift({ file: failure.file, line: failure.line });
+  }
+  return frames.find((f) => !isTestPath(f.file)) || null;
+}
+
+/**
+ * Keys under which two failures are considered the same root cause
+ */
+function groupingKeys(failure) {
+  const keys = [];
+  if (failure.file && failure.line > 0) {
+    keys.push(`location:${failure.file}:${failure.line}`);
+  }
+
+  const frame = rootFrame(failure);
+  if (frame) keys.push(`frame:${frame.file}:${frame.line}`);
+
+  // The same message from unrelated files (e.g. "x is not a function"
+  // in a.js and b.js) is not one cause: scope it to the file the bug is
+  // most likely in
+  const message = normalizeMessage(failure.error_message, failure.file);
+  const scope = frame ? frame.file : failure.file;
+  if (message && !GENERIC_MESSAGE.test(message)) {
+    keys.push(`message:${scope || ""}:${message}`);
+  }
+  return keys;
+}
+
+// ===========================
+// 🧩 Grouping
+// ===========================
+
+/**
+ * Group failures that share any key (union-find over keys)
+ *
+ * Returns [{ group_id, size, keys, representative, members }]. The
+ * representative is the member pointing at non-test code if there is
+ * one, and carries `group_id` and `expected_resolved_tests`.
+ */
+function groupFailures(failures) {
+  const parent = failures.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const owner = new Map();
+  const keysOf = failures.map(groupingKeys);
+  keysOf.forEach((keys, i) => {
+    for (const key of keys) {
+      if (owner.has(key)) {
+        parent[find(i)] = find(owner.get(key));
+      } else {
+        owner.set(key, i);
+      }
+    }
+  });
+
+  const clusters = new Map();
+  failures.forEach((failure, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(i);
+  });
+
+  return [...clusters.values()].map((indexes, groupId) => {
+    const members = indexes.map((i) => failures[i]);
+    const representative =
+      members.find((m) => !isTestPath(m.file) && m.line > 0) ||
+      members.find((m) => rootFrame(m)) ||
+      members[0];
+
+    return {
+      group_id: groupId,
+      size: members.length,
+      keys: [...new Set(indexes.flatMap((i) => keysOf[i]))],
+      representative: {
+        ...representative,
+        group_id: groupId,
+        expected_resolved_tests: members.map(
+          (m) => m.test_name || `${m.file}:${m.line}`,
+        ),
+      },
+      members: members.map((m) => ({
+        file: m.file,
+        line: m.line,
+        test_name: m.test_name || null,
+        error_message: m.error_message,
+      })),
+    };
+  });
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  groupFailures,
+  normalizeMessage,
+  isTestPath,
+};
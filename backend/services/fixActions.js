@@ -0,0 +1,298 @@
+/**
+ * Fix Actions
+ *
+ * Typed fixes for IMPORT and CONFIG failures, carried in a patch's
+ * change set next to the file edits (see services/changeSet.js):
+ * - { action: "add_dependency", manifest, package, version, dev? }
+ * - { action: "upgrade_dependency", manifest, package, version }
+ * - { action: "set_config", file, key, value }     key in a JSON file
+ * - { action: "set_env", name, value, file? }      line in an env file
+ *
+ * Each action is turned into new contents for its target file here, so
+ * it is applied like any other edit and undone with it. Nothing from an
+ * action ever reaches a shell: dependencies are installed afterwards
+ * with a fixed command per manifest kind (installCommand).
+ */
+
+const path = require("path");
+
+// Manifests by kind: package.json (npm) and requirements*.txt (pip)
+function manifestKind(manifest) {
+  const name = path.posix.basename(manifest);
+  if (name === "package.json") return "npm";
+  if (/^requirements[\w.-]*\.txt$/.test(name)) return "pip";
+  return null;
+}
+
+// Sections of package.json a dependency may be declared in
+const NPM_SECTIONS = [
+  "dependencies",
+  "devDependencies",
+  "optionalDependencies",
+  "peerDependencies",
+];
+
+// Default env file for set_env, relative to the repository
+const DEFAULT_ENV_FILE = ".env";
+
+// Keys that would reach Object.prototype
+const UNSAFE_KEYS = ["__proto__", "constructor", "prototype"];
+
+/**
+ * File an action changes, relative to the repository
+ */
+function actionFile(action) {
+  switch (action.action) {
+    case "add_dependency":
+    case "upgrade_dependency":
+      return action.manifest;
+    case "set_env":
+      return action.file || DEFAULT_ENV_FILE;
+    default:
+      return action.file;
+  }
+}
+
+/**
+ * One-line description, e.g. "add dependency lodash@^4.17.21 (package.json)"
+ */
+function describeFixAction(action) {
+  switch (action.action) {
+    case "add_dependency":
+      return `add dependency ${action.package}@${action.version} (${action.manifest}${action.dev ? ", dev" : ""})`;
+    case "upgrade_dependency":
+      return `upgrade dependency ${action.package} to ${action.version} (${action.manifest})`;
+    case "set_config":
+      return `set config ${action.key} in ${action.file}`;
+    case "set_env":
+      // Values may be secrets, so only the name is shown
+      return `set env ${action.name} in ${actionFile(action)}`;
+    default:
+      return action.action;
+  }
+}
+
+// ===========================
+// 📦 Dependencies
+// ===========================
+
+/**
+ * Indentation and trailing newline of a JSON file, so rewriting it
+ * keeps its formatting
+ */
+function jsonStyle(content) {
+  const indent = content.match(/^[{[]\r?\n([ \t]+)/)?.[1] || 2;
+  return { indent, newline: content.endsWith("\n") || content === "" };
+}
+
+function parseJsonFile(content, file) {
+  if (content.trim() === "") return {};
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+function formatJsonFile(data, style) {
+  return JSON.stringify(data, null, style.indent) + (style.newline ? "\n" : "");
+}
+
+function updatePackageJson(content, action) {
+  const data = parseJsonFile(content, action.manifest);
+  const declaredIn = NPM_SECTIONS.find(
+    (s) => data[s] && Object.hasOwn(data[s], action.package),
+  );
+
+  if (action.action === "add_dependency") {
+    if (declaredIn) {
+      throw new Error(
+        `${action.package} is already in ${declaredIn} of ${action.manifest}; use upgrade_dependency`,
+      );
+    }
+    const section = action.dev ? "devDependencies" : "dependencies";
+    const entries = { ...data[section], [action.package]: action.version };
+    // npm keeps dependency lists sorted
+    data[section] = Object.fromEntries(
+      Object.entries(entries).sort(([a], [b]) => a.localeCompare(b)),
+    );
+  } else {
+    if (!declaredIn || declaredIn === "peerDependencies") {
+      throw new Error(
+        `${action.package} is not a dependency in ${action.manifest}`,
+      );
+    }
+    if (data[declaredIn][action.package] === action.version) {
+      throw new Error(`${action.package} is already at ${action.version}`);
+    }
+    data[declaredIn][action.package] = action.version;
+  }
+  return formatJsonFile(data, jsonStyle(content));
+}
+
+// PEP 503 name normalization: case and -_. runs are insignificant
+const normalizePipName = (name) => name.toLowerCase().replace(/[-_.]+/g, "-");
+
+// name[extras] spec ; markers # comment
+const REQUIREMENT_LINE =
+  /^(\s*)([A-Za-z0-9][A-Za-z0-9._-]*)(\[[^\]]*\])?\s*([^;#]*?)(\s*[;#].*)?$/;
+
+function pipSpec(version) {
+  if (!version) return "";
+  return /^[<>=!~]/.test(version) ? version : `==${version}`;
+}
+
+function updateRequirements(content, action) {
+  const lines = content === "" ? [] : content.replace(/\n$/, "").split("\n");
+  const wanted = normalizePipName(action.package);
+  const index = lines.findIndex((line) => {
+    const match = line.match(REQUIREMENT_LINE);
+    return (
+      match &&
+      !line.trim().startsWith("-") &&
+      normalizePipName(match[2]) === wanted
+    );
+  });
+
+  if (action.action === "add_dependency") {
+    if (index !== -1) {
+      throw new Error(
+        `${action.package} is already in ${action.manifest}; use upgrade_dependency`,
+      );
+    }
+    lines.push(`${action.package}${pipSpec(action.version)}`);
+  } else {
+    if (index === -1) {
+      throw new Error(
+        `${action.package} is not a dependency in ${action.manifest}`,
+      );
+    }
+    const [, indent, name, extras = "", spec, rest = ""] =
+      lines[index].match(REQUIREMENT_LINE);
+    const newSpec = pipSpec(action.version);
+    if (spec === newSpec) {
+      throw new Error(`${action.package} is already at ${action.version}`);
+    }
+    lines[index] = `${indent}${name}${extras}${newSpec}${rest}`;
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// ===========================
+// ⚙️ Config & Env
+// ===========================
+
+function setConfigKey(content, action) {
+  if (path.posix.extname(action.file) !== ".json") {
+    throw new Error(`set_config only supports JSON files, not ${action.file}`);
+  }
+  const data = parseJsonFile(content, action.file);
+  if (data === null || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`${action.file} does not contain a JSON object`);
+  }
+
+  const keys = action.key.split(".");
+  if (keys.some((k) => k === "" || UNSAFE_KEYS.includes(k))) {
+    throw new Error(`Invalid config key: ${action.key}`);
+  }
+  let node = data;
+  for (const [i, key] of keys.slice(0, -1).entries()) {
+    if (node[key] === undefined) node[key] = {};
+    if (node[key] === null || typeof node[key] !== "object") {
+      throw new Error(
+        `${keys.slice(0, i + 1).join(".")} in ${action.file} is not an object`,
+      );
+    }
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = action.value;
+  return formatJsonFile(data, jsonStyle(content));
+}
+
+function envValue(value) {
+  return /^[\w./:@+-]*$/.test(value) ? value : JSON.stringify(value);
+}
+
+function setEnvVar(content, action) {
+  const line = `${action.name}=${envValue(action.value)}`;
+  const assignment = new RegExp(`^(\\s*export\\s+)?${action.name}\\s*=`);
+  const lines = content === "" ? [] : content.replace(/\n$/, "").split("\n");
+
+  let found = false;
+  const updated = lines.map((existing) => {
+    const match = existing.match(assignment);
+    if (!match) return existing;
+    found = true;
+    return `${match[1] || ""}${line}`;
+  });
+  if (!found) updated.push(line);
+  return `${updated.join("\n")}\n`;
+}
+
+// ===========================
+// 🔧 Apply
+// ===========================
+
+/**
+ * New contents of the action's file; `content` is its current contents
+ * ("" when it does not exist). Throws when the action does not fit the
+ * file, e.g. adding a dependency that is already declared.
+ */
+function applyFixAction(content, action) {
+  switch (action.action) {
+    case "add_dependency":
+    case "upgrade_dependency": {
+      const kind = manifestKind(action.manifest);
+      if (kind === "npm") return updatePackageJson(content, action);
+      if (kind === "pip") return updateRequirements(content, action);
+      throw new Error(`Unsupported dependency manifest: ${action.manifest}`);
+    }
+    case "set_config":
+      return setConfigKey(content, action);
+    case "set_env":
+      return setEnvVar(content, action);
+    default:
+      throw new Error(`Unknown fix action: ${action.action}`);
+  }
+}
+
+/**
+ * Whether the action's file may be created when missing (dependency
+ * manifests must already exist)
+ */
+function createsMissingFile(action) {
+  return action.action === "set_config" || action.action === "set_env";
+}
+
+/**
+ * Fixed install command for a manifest, run in its directory:
+ * { command, args }. The manifest name is the only argument.
+ */
+function installCommand(manifest) {
+  const name = path.posix.basename(manifest);
+  switch (manifestKind(manifest)) {
+    case "npm":
+      return { command: "npm", args: ["install", "--no-audit", "--no-fund"] };
+    case "pip":
+      return {
+        command: "python",
+        args: ["-m", "pip", "install", "-r", name],
+      };
+    default:
+      return null;
+  }
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  applyFixAction,
+  actionFile,
+  describeFixAction,
+  createsMissingFile,
+  installCommand,
+  manifestKind,
+  DEFAULT_ENV_FILE,
+};
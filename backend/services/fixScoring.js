@@ -0,0 +1,168 @@
+/**
+ * Fix Scoring
+ *
+ * Gives every verified patch a confidence score (0..1, how likely the
+ * fix is right) and a risk level (how much could go wrong if it is
+ * not), which the apply policy (services/applyPolicy.js) decides on.
+ *
+ * Confidence starts from how the patch was verified (tests beat the
+ * verifier model), scaled by how sure the classification was and
+ * lowered for every retry it needed.
+ *
+ * Risk adds up points for the size of the change (lines changed, files
+ * touched), edits to test files, deletes and renames, dependency
+ * changes and the bug type: 0-1 is low, 2-3 medium, 4+ high.
+ */
+
+const { splitEdits, patchEdits } = require("./changeSet");
+const { actionFile } = require("./fixActions");
+
+const RISK_LEVELS = ["low", "medium", "high"];
+
+// Starting confidence per verdict
+const VERDICT_CONFIDENCE = {
+  execution: 0.9,
+  human: 0.95,
+  llm: 0.75,
+};
+const UNVERIFIED_CONFIDENCE = 0.4;
+const REJECTED_CONFIDENCE = 0.1;
+
+// Classification confidence assumed for model-classified failures
+const MODEL_CLASSIFICATION_CONFIDENCE = 0.8;
+
+// Risk points per bug type; other types count 1
+const BUG_TYPE_RISK = {
+  LINTING: 0,
+  INDENTATION: 0,
+  IMPORT: 0,
+  SYNTAX: 1,
+  CONFIG: 1,
+  TYPE_ERROR: 1,
+  RUNTIME: 1,
+  LOGIC: 2,
+};
+
+// Test files by common naming conventions
+const TEST_FILE_PATTERNS = [
+  /(^|\/)(__tests__|tests?|spec|__mocks__)\//,
+  /\.(test|spec)\.[cm]?[jt]sx?$/,
+  /(^|\/)test_[^/]*\.py$/,
+  /_test\.(py|go)$/,
+  /(^|\/)conftest\.py$/,
+];
+
+function isTestFile(file) {
+  return TEST_FILE_PATTERNS.some((pattern) => pattern.test(file));
+}
+
+/**
+ * Size of a patch's change set: { linesChanged, files, testFiles,
+ * removals, dependencyChanges }
+ */
+function measureChanges(patch) {
+  let filePatches = [];
+  let actions = [];
+  try {
+    ({ filePatches, actions } = splitEdits(patchEdits(patch)));
+  } catch (error) {
+    // No usable change set: nothing changes
+  }
+
+  const linesChanged = filePatches
+    .flatMap((file) => file.hunks)
+    .flatMap((hunk) => hunk.lines)
+    .filter((line) => line.type !== " ").length;
+  const files = [
+    ...new Set([
+      ...filePatches.flatMap((f) => [f.oldPath, f.newPath]).filter(Boolean),
+      ...actions.map(actionFile),
+    ]),
+  ];
+
+  return {
+    linesChanged,
+    files,
+    testFiles: files.filter(isTestFile),
+    removals: filePatches.filter((f) => ["delete", "rename"].includes(f.action))
+      .length,
+    dependencyChanges: actions.filter((a) => a.manifest).length,
+  };
+}
+
+/**
+ * Risk of applying a patch: { level, score, lines_changed,
+ * files_touched, edits_tests, factors }
+ */
+function assessRisk(patch) {
+  const size = measureChanges(patch);
+  const factors = [];
+  let score = 0;
+  const add = (points, factor) => {
+    if (points > 0) {
+      score += points;
+      factors.push(factor);
+    }
+  };
+
+  const { linesChanged } = size;
+  add(
+    linesChanged > 50 ? 3 : linesChanged > 20 ? 2 : linesChanged > 5 ? 1 : 0,
+    `${linesChanged} lines changed`,
+  );
+  add(
+    size.files.length > 3 ? 2 : size.files.length > 1 ? 1 : 0,
+    `${size.files.length} files touched`,
+  );
+  add(size.testFiles.length > 0 ? 2 : 0, "edits tests");
+  add(size.removals > 0 ? 1 : 0, "deletes or renames files");
+  add(size.dependencyChanges > 0 ? 1 : 0, "changes dependencies");
+  add(BUG_TYPE_RISK[patch.bug_type] ?? 1, `bug type ${patch.bug_type}`);
+
+  return {
+    level: score >= 4 ? "high" : score >= 2 ? "medium" : "low",
+    score,
+    lines_changed: linesChanged,
+    files_touched: size.files.length,
+    edits_tests: size.testFiles.length > 0,
+    factors,
+  };
+}
+
+/**
+ * Confidence that a patch is right, 0..1
+ */
+function scoreConfidence(patch) {
+  let confidence;
+  if (patch.verification_status === "APPROVED") {
+    confidence = VERDICT_CONFIDENCE[patch.verification_method || "llm"];
+  } else if (patch.verification_status === "REJECTED") {
+    confidence = REJECTED_CONFIDENCE;
+  } else {
+    confidence = UNVERIFIED_CONFIDENCE;
+  }
+
+  confidence *=
+    patch.classification_confidence ?? MODEL_CLASSIFICATION_CONFIDENCE;
+  confidence -= 0.1 * ((patch.attempt || 1) - 1);
+  return Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100;
+}
+
+/**
+ * { confidence, risk } for a verified patch
+ */
+function scorePatch(patch) {
+  return { confidence: scoreConfidence(patch), risk: assessRisk(patch) };
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  scorePatch,
+  assessRisk,
+  scoreConfidence,
+  isTestFile,
+  RISK_LEVELS,
+};
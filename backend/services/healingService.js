@@ -1,5 +1,22 @@
-const { runAgentGraph } = require("../agentGraph");
+const {
+  runAgentGraph,
+  resumeAgentGraph,
+  reviewAgentGraph,
+  getPendingReview,
+  inspectRun,
+  getRunCheckpoint,
+} = require("../agentGraph");
+const { listRuns, getRun, updateRun } = require("./runStore");
 const { applyFixesAndVerify, commitChanges } = require("./patchApplicator");
+const { summarizeAgentCalls, mergeUsageSummaries } = require("./llmExecutor");
+const { priorityFor } = require("./taxonomy");
+const { summarizeChanges } = require("./changeSet");
+const { resolveApplyPolicy, decideFix } = require("./applyPolicy");
+
+const REQUIRE_APPROVAL = process.env.HEALING_REQUIRE_APPROVAL === "true";
+
+// Default for the policyReview option of healTestErrors
+const POLICY_REVIEW = process.env.HEALING_POLICY_REVIEW === "true";
 
 // ===========================
 // 🔧 Test Error Healing Service
@@ -7,7 +24,9 @@ const { applyFixesAndVerify, commitChanges } = require("./patchApplicator");
 
 /**
  * Main service function to automatically extract, classify,
- * patch, and verify test failures
+ * patch, and verify test failures. Bad options (errors with a
+ * `status`, e.g. an invalid taxonomy) are thrown; other failures are
+ * returned with `success: false`.
  */
 async function healTestErrors(testLogs, options = {}) {
   const {
@@ -17,6 +36,23 @@ async function healTestErrors(testLogs, options = {}) {
     containerName = null,
     workDir = null,
     commitMessage = null,
+    llm = null,
+    contextTokenBudget = null,
+    testCommand = null,
+    workspaceStrategy = "copy",
+    typeCheckCommand = null,
+    llmPreVerify = true,
+    maxPatchAttempts = null,
+    taxonomy = null,
+    testGuardrails = null,
+    ruleConfidence = null,
+    requireApproval = undefined,
+    policyReview = POLICY_REVIEW,
+    maxCostUsd = null,
+    cache = true,
+    promptVersion = null,
+    runId = null,
+    applyPolicy = null,
   } = options;
 
   if (!testLogs || testLogs.trim().length === 0) {
@@ -29,8 +65,48 @@ async function healTestErrors(testLogs, options = {}) {
   }
 
   try {
+    // Checked up front so a bad policy fails before any model call
+    const policy = autoApply ? resolveApplyPolicy(applyPolicy) : null;
+
+    // Opted-in auto-apply in a sandbox without a review setting: the
+    // run pauses, the policy approves what it may apply by itself and
+    // everything else is queued for a reviewer
+    const reviewByPolicy =
+      policyReview &&
+      autoApply &&
+      Boolean(containerName && workDir) &&
+      requireApproval === undefined &&
+      !REQUIRE_APPROVAL;
+
     // Run the multi-agent workflow
-    const workflowResult = await runAgentGraph(testLogs);
+    let workflowResult = await runAgentGraph(testLogs, {
+      llm,
+      containerName,
+      workDir,
+      contextTokenBudget,
+      testCommand,
+      workspaceStrategy,
+      typeCheckCommand,
+      llmPreVerify,
+      maxPatchAttempts,
+      taxonomy,
+      testGuardrails,
+      ruleConfidence,
+      requireApproval: reviewByPolicy ? true : requireApproval,
+      maxCostUsd,
+      cache,
+      promptVersion,
+      runId,
+    });
+
+    let policyApproved = [];
+    if (reviewByPolicy && workflowResult.pendingReview) {
+      ({ workflowResult, policyApproved } = await approveByPolicy(
+        workflowResult,
+        policy,
+        llm,
+      ));
+    }
 
     // Format output
     const report = formatReport(workflowResult, reportFormat);
@@ -43,75 +119,408 @@ async function healTestErrors(testLogs, options = {}) {
     const response = {
       success: true,
       message: `Successfully processed ${workflowResult.failures.length} failures`,
-      statistics: {
-        totalFailures: workflowResult.failures.length,
-        classified: workflowResult.classifiedFailures.length,
-        patched: workflowResult.generatedPatches.length,
-        verified: workflowResult.verifiedPatches.length,
-        approved: workflowResult.finalFixes.length,
-        approvalRate:
-          workflowResult.generatedPatches.length > 0
-            ? (
-                (workflowResult.finalFixes.length /
-                  workflowResult.generatedPatches.length) *
-                100
-              ).toFixed(2) + "%"
-            : "N/A",
-      },
+      runId: workflowResult.runId,
+      promptVersion: workflowResult.runOptions.promptVersion,
+      budgetExceeded: workflowResult.budgetExceeded,
+      statistics: calculateStatistics(workflowResult),
       results: workflowResult,
       report: report,
       autoApply: autoApply,
       timestamp: new Date().toISOString(),
     };
 
-    // If autoApply enabled and approved fixes exist
-    if (
-      autoApply &&
-      workflowResult.finalFixes.length > 0 &&
-      containerName &&
-      workDir
-    ) {
-      console.log("\n🔄 [AUTO-APPLY] Auto-apply is enabled. Applying fixes...");
-
-      const applyResult = await applyFixesAndVerify(
-        containerName,
-        workDir,
-        workflowResult.finalFixes,
-        { stdout: testLogs },
-      );
-
-      response.autoApplyResult = applyResult;
-      response.fixesApplied = applyResult.success;
-
-      // Optionally commit changes
-      if (applyResult.success && commitMessage) {
-        const commitResult = await commitChanges(
+    if (workflowResult.pendingReview) {
+      // Fixes the policy approved are applied now, the rest once the
+      // reviewer has answered
+      if (policyApproved.length > 0) {
+        await autoApplyFixes(response, workflowResult, {
+          autoApply,
           containerName,
           workDir,
           commitMessage,
-        );
-        response.commitResult = commitResult;
+          policy,
+          only: policyApproved,
+        });
       }
-    } else if (autoApply && workflowResult.finalFixes.length === 0) {
-      console.log("\n⚠️  No approved fixes to apply");
-      response.autoApplyResult = {
-        success: false,
-        message: "No approved fixes",
-      };
+      updateRun(workflowResult.runId, {
+        apply: {
+          autoApply,
+          commitMessage,
+          policy,
+          appliedIds: response.appliedIds || [],
+        },
+      });
+      return withPendingReview(response, workflowResult);
     }
 
+    if (workflowResult.budgetExceeded) {
+      response.message = `Stopped after ${workflowResult.budgetExceeded.stoppedAfter || "start"}: run budget of $${workflowResult.budgetExceeded.limitUsd} exceeded`;
+    }
+
+    await autoApplyFixes(response, workflowResult, {
+      autoApply,
+      containerName,
+      workDir,
+      commitMessage,
+      policy,
+    });
+
     return response;
   } catch (error) {
+    if (error.status) throw error;
     console.error("❌ Healing service error:", error);
     return {
       success: false,
       message: `Error in healing service: ${error.message}`,
+      runId: error.runId || null,
+      results: null,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Approve the paused fixes the apply policy accepts, on the reviewer's
+ * behalf; the others stay in review. Returns the (possibly finished)
+ * run and the ids approved.
+ */
+async function approveByPolicy(workflowResult, policy, llm) {
+  const decisions = workflowResult.pendingReview
+    .map((fix) => ({ fix, decision: decideFix(fix, policy) }))
+    .filter(({ decision }) => decision.action === "apply")
+    .map(({ fix, decision }) => ({
+      id: fix.id,
+      action: "approve",
+      comment: `Approved by apply policy rule ${decision.rule}`,
+    }));
+
+  console.log(
+    `\n⚖️  [APPLY POLICY] ${decisions.length}/${workflowResult.pendingReview.length} fixes approved by policy, the rest wait for review`,
+  );
+  if (decisions.length === 0) return { workflowResult, policyApproved: [] };
+
+  return {
+    workflowResult: await reviewAgentGraph(workflowResult.runId, decisions, {
+      llm,
+    }),
+    policyApproved: decisions.map((d) => d.id),
+  };
+}
+
+/**
+ * Policy decision for each approved fix (see services/applyPolicy.js)
+ */
+function decideFixes(fixes, policy) {
+  return fixes.map((fix) => ({
+    fix,
+    decision: decideFix(fix, policy),
+  }));
+}
+
+function describeDecision({ fix, decision }) {
+  return {
+    id: fix.failure_index,
+    file: fix.file,
+    line: fix.line,
+    type: fix.bug_type,
+    confidence: fix.confidence ?? null,
+    risk: fix.risk?.level || null,
+    ...decision,
+  };
+}
+
+/**
+ * Apply a run's approved fixes when autoApply is on, adding the outcome
+ * to the response. The apply policy picks the fixes; those it holds
+ * back are listed in `queuedForReview`.
+ *
+ * Options: policy, only (failure ids to consider), appliedIds (failure
+ * ids applied earlier in the run, skipped)
+ */
+async function autoApplyFixes(response, workflowResult, options) {
+  const {
+    autoApply,
+    containerName,
+    workDir,
+    commitMessage,
+    policy,
+    only = null,
+    appliedIds = [],
+  } = options;
+  if (!autoApply) return response;
+
+  const decided = decideFixes(
+    workflowResult.finalFixes.filter(
+      (fix) =>
+        !appliedIds.includes(fix.failure_index) &&
+        (!only || only.includes(fix.failure_index)),
+    ),
+    policy,
+  );
+  const toApply = decided
+    .filter(({ decision }) => decision.action === "apply")
+    .map(({ fix }) => fix);
+  response.applyDecisions = decided.map(describeDecision);
+  response.queuedForReview = decided
+    .filter(({ decision }) => decision.action === "review")
+    .map(describeDecision);
+
+  if (toApply.length > 0 && containerName && workDir) {
+    console.log(
+      `\n🔄 [AUTO-APPLY] Auto-apply is enabled. Applying ${toApply.length} fixes...`,
+    );
+
+    const applyResult = await applyFixesAndVerify(
+      containerName,
+      workDir,
+      toApply,
+      { stdout: workflowResult.logs },
+      { typeCheckCommand: workflowResult.runOptions.typeCheckCommand },
+    );
+
+    response.autoApplyResult = applyResult;
+    response.fixesApplied = applyResult.success;
+    // Results follow the order of the fixes
+    response.appliedIds = toApply
+      .filter((fix, i) => applyResult.applied.results[i]?.status === "APPLIED")
+      .map((fix) => fix.failure_index);
+
+    // Optionally commit changes
+    if (applyResult.success && commitMessage) {
+      const commitResult = await commitChanges(
+        containerName,
+        workDir,
+        commitMessage,
+      );
+      response.commitResult = commitResult;
+    }
+  } else if (decided.length === 0) {
+    console.log("\n⚠️  No approved fixes to apply");
+    response.autoApplyResult = {
+      success: false,
+      message: "No approved fixes",
+    };
+  } else if (toApply.length === 0) {
+    console.log("\n⚠️  No approved fixes passed the apply policy");
+    response.autoApplyResult = {
+      success: false,
+      message: "No fixes passed the apply policy",
+    };
+  }
+  return response;
+}
+
+/**
+ * Mark a response as paused for review, with the fixes to decide on
+ */
+function withPendingReview(response, workflowResult) {
+  return {
+    ...response,
+    status: "awaiting_review",
+    message: `${workflowResult.pendingReview.length} fixes awaiting review`,
+    pendingReview: workflowResult.pendingReview,
+  };
+}
+
+/**
+ * Workflow result counts for API responses
+ */
+function calculateStatistics(result) {
+  return {
+    totalFailures: result.failures.length,
+    rootCauseGroups: result.failureGroups.length,
+    classified: result.classifiedFailures.length,
+    classifiedByRule: result.classifiedFailures.filter(
+      (f) => f.classification_source === "rule",
+    ).length,
+    patched: result.generatedPatches.length,
+    verified: result.verifiedPatches.length,
+    approved: result.finalFixes.length,
+    reviewed: result.reviews.length,
+    patchAttempts: result.patchAttempts.length,
+    llm: summarizeAgentCalls(result.agentCalls),
+    invalidReplies: result.validationErrors.length,
+    repairedReplies: result.validationErrors.filter((e) => e.repaired).length,
+    approvalRate:
+      result.generatedPatches.length > 0
+        ? (
+            (result.finalFixes.length / result.generatedPatches.length) *
+            100
+          ).toFixed(2) + "%"
+        : "N/A",
+  };
+}
+
+// ===========================
+// ⏯️ Checkpointed Runs
+// ===========================
+
+/**
+ * Resume a checkpointed run from its last completed node
+ */
+async function resumeHealing(runId, options = {}) {
+  const { reportFormat = "json", llm = null } = options;
+
+  try {
+    const workflowResult = await resumeAgentGraph(runId, { llm });
+    const response = {
+      success: true,
+      message: `Run ${runId} completed`,
+      runId,
+      statistics: calculateStatistics(workflowResult),
+      results: workflowResult,
+      report: formatReport(workflowResult, reportFormat),
+      timestamp: new Date().toISOString(),
+    };
+    return workflowResult.pendingReview
+      ? withPendingReview(response, workflowResult)
+      : response;
+  } catch (error) {
+    console.error("❌ Healing resume error:", error);
+    return {
+      success: false,
+      message: `Error resuming run ${runId}: ${error.message}`,
+      runId,
       results: null,
       error: error.message,
+      status: error.status || 500,
     };
   }
 }
 
+/**
+ * Fixes a run is waiting on a reviewer for
+ */
+async function getPendingFixes(runId) {
+  return getPendingReview(runId);
+}
+
+/**
+ * Answer a paused run's review. Once every fix is decided the run
+ * finishes and, if it was started with autoApply, its approved fixes
+ * are applied.
+ */
+async function reviewHealing(runId, decisions, options = {}) {
+  const { reportFormat = "json", llm = null } = options;
+
+  try {
+    const workflowResult = await reviewAgentGraph(runId, decisions, { llm });
+    const response = {
+      success: true,
+      message: `Run ${runId} completed`,
+      runId,
+      statistics: calculateStatistics(workflowResult),
+      results: workflowResult,
+      report: formatReport(workflowResult, reportFormat),
+      timestamp: new Date().toISOString(),
+    };
+    if (workflowResult.pendingReview) {
+      return withPendingReview(response, workflowResult);
+    }
+
+    const {
+      autoApply = false,
+      commitMessage = null,
+      policy = null,
+      appliedIds = [],
+    } = getRun(runId).apply || {};
+    response.autoApply = autoApply;
+    return await autoApplyFixes(response, workflowResult, {
+      autoApply,
+      containerName: workflowResult.runOptions.containerName,
+      workDir: workflowResult.runOptions.workDir,
+      commitMessage,
+      policy: policy || resolveApplyPolicy(),
+      appliedIds,
+    });
+  } catch (error) {
+    console.error("❌ Healing review error:", error);
+    return {
+      success: false,
+      message: `Error reviewing run ${runId}: ${error.message}`,
+      runId,
+      results: null,
+      error: error.message,
+      status: error.status || 500,
+    };
+  }
+}
+
+function approvalRate(approved, patches) {
+  return patches > 0 ? ((approved / patches) * 100).toFixed(2) + "%" : "0%";
+}
+
+/**
+ * Totals across all recorded runs: failures, fixes, bug types, approval
+ * rate per prompt version and LLM usage/cost
+ */
+function getHealingStats() {
+  const runs = listRuns();
+  const finished = runs.filter((run) => run.totals);
+  const sum = (key) =>
+    finished.reduce((total, run) => total + run.totals[key], 0);
+
+  const errorTypeBreakdown = {};
+  for (const run of finished) {
+    for (const [type, count] of Object.entries(run.totals.bugTypes)) {
+      errorTypeBreakdown[type] = (errorTypeBreakdown[type] || 0) + count;
+    }
+  }
+
+  // Approval rate per prompt version, to compare template versions
+  const byPromptVersion = {};
+  for (const run of finished) {
+    const version = run.totals.promptVersion || "unknown";
+    const entry = byPromptVersion[version] || {
+      runs: 0,
+      patches: 0,
+      approved: 0,
+    };
+    entry.runs += 1;
+    entry.patches += run.totals.patches;
+    entry.approved += run.totals.approved;
+    entry.approvalRate = approvalRate(entry.approved, entry.patches);
+    byPromptVersion[version] = entry;
+  }
+
+  const patches = sum("patches");
+  return {
+    totalHealingAttempts: runs.length,
+    totalErrorsFound: sum("failures"),
+    totalFixesApproved: sum("approved"),
+    averageApprovalRate: approvalRate(sum("approved"), patches),
+    byPromptVersion,
+    errorTypeBreakdown,
+    lastHealing: runs[0]?.createdAt || null,
+    runsByStatus: runs.reduce((counts, run) => {
+      counts[run.status] = (counts[run.status] || 0) + 1;
+      return counts;
+    }, {}),
+    llm: mergeUsageSummaries(finished.map((run) => run.totals.llm)),
+  };
+}
+
+/**
+ * Run records, newest first
+ */
+function getRuns() {
+  return listRuns();
+}
+
+/**
+ * A run's record and checkpoint history
+ */
+async function getRunHistory(runId) {
+  return inspectRun(runId);
+}
+
+/**
+ * Graph state at one checkpoint of a run
+ */
+async function getRunState(runId, checkpointId) {
+  return getRunCheckpoint(runId, checkpointId);
+}
+
 /**
  * Format the workflow results into different report formats
  */
@@ -133,62 +542,185 @@ function formatReport(workflowResult, format = "json") {
  */
 function formatJsonReport(result) {
   return {
+    promptVersion: result.runOptions?.promptVersion,
     extracted: result.failures.map((f) => ({
       file: f.file,
       line: f.line,
       error: f.error_message,
     })),
+    groups: result.failureGroups.map((g) => ({
+      group_id: g.group_id,
+      size: g.size,
+      representative: `${g.representative.file}:${g.representative.line}`,
+      tests: g.representative.expected_resolved_tests,
+    })),
     classified: result.classifiedFailures.map((c) => ({
       file: c.file,
       line: c.line,
       type: c.bug_type,
+      source: c.classification_source,
+      confidence: c.classification_confidence,
+      rule: c.classification_rule,
       error: c.error_message,
     })),
     patched: result.generatedPatches.map((p) => ({
       file: p.file,
       line: p.line,
       type: p.bug_type,
-      fix: p.patch_instructions,
+      prompt: p.prompt_template,
+      guardrail_findings: p.guardrail_findings || [],
+      ...summarizeChanges(p),
+      fix: p.patch_diff,
       expected_output: p.required_dashboard_output,
     })),
     verified: result.verifiedPatches.map((v) => ({
       file: v.file,
       line: v.line,
       status: v.verification_status,
-      fix: v.patch_instructions,
+      attempt: v.attempt || 1,
+      method: v.verification_method || "llm",
+      reasons: v.verification_reasons || [],
+      execution: v.execution || null,
+      review: v.review_status || null,
+      review_comment: v.review_comment || null,
+      confidence: v.confidence ?? null,
+      risk: v.risk || null,
+      guardrail_findings: v.guardrail_findings || [],
+      ...summarizeChanges(v),
+      fix: v.patch_diff,
     })),
     approved: result.finalFixes.map((a) => ({
       file: a.file,
       line: a.line,
       type: a.bug_type,
-      fix: a.patch_instructions,
-      priority: calculatePriority(a.bug_type),
+      confidence: a.confidence ?? null,
+      risk: a.risk?.level || null,
+      guardrail_findings: a.guardrail_findings || [],
+      ...summarizeChanges(a),
+      fix: a.patch_diff,
+      expected_resolved_tests: a.expected_resolved_tests || [],
+      priority: calculatePriority(a.bug_type, result.runOptions?.taxonomy),
+    })),
+    attempts: result.patchAttempts.map((a) => ({
+      file: a.file,
+      line: a.line,
+      attempt: a.attempt,
+      status: a.verification_status,
+      reasons: a.verification_reasons,
+      ...summarizeChanges(a),
+      fix: a.patch_diff,
     })),
   };
 }
 
+/**
+ * How a failure was classified, e.g. "rule py:indentation, 0.98"
+ */
+function describeClassification(failure) {
+  if (failure.classification_source === "model") return "model";
+  if (!failure.classification_rule) return failure.classification_source;
+  return `${failure.classification_source} ${failure.classification_rule}, ${failure.classification_confidence}`;
+}
+
 /**
  * Generate Markdown format report
  */
 function formatMarkdownReport(result) {
   let markdown = "# Test Error Healing Report\n\n";
 
-  markdown += `**Report Generated**: ${new Date().toLocaleString()}\n\n`;
+  markdown += `**Report Generated**: ${new Date().toLocaleString()}\n`;
+  markdown += `**Prompt Version**: ${result.runOptions?.promptVersion}\n\n`;
 
   markdown += `## 📊 Summary\n`;
   markdown += `- **Total Failures**: ${result.failures.length}\n`;
+  markdown += `- **Root-Cause Groups**: ${result.failureGroups.length}\n`;
   markdown += `- **Classified**: ${result.classifiedFailures.length}\n`;
   markdown += `- **Patches Generated**: ${result.generatedPatches.length}\n`;
   markdown += `- **Patches Verified**: ${result.verifiedPatches.length}\n`;
-  markdown += `- **Approved Fixes**: ${result.finalFixes.length}\n\n`;
+  markdown += `- **Patch Attempts**: ${result.patchAttempts.length}\n`;
+  markdown += `- **Approved Fixes**: ${result.finalFixes.length}\n`;
+  const guarded = result.verifiedPatches.filter(
+    (v) => v.guardrail_findings?.length > 0,
+  );
+  if (guarded.length > 0) {
+    markdown += `- **⚠️ Test Guardrail Findings**: ${guarded.length} patches (${guarded.filter((v) => v.verification_method === "guardrail").length} rejected)\n`;
+  }
+  markdown += `\n`;
+
+  const llm = summarizeAgentCalls(result.agentCalls);
+  if (llm.calls > 0) {
+    markdown += `## 💰 LLM Usage\n`;
+    markdown += `- **Calls**: ${llm.calls} (${llm.retries} retries, ${llm.failed} failed)\n`;
+    markdown += `- **Tokens**: ${llm.inputTokens} input / ${llm.outputTokens} output`;
+    markdown +=
+      llm.estimatedCalls > 0
+        ? ` (${llm.estimatedCalls} calls estimated)\n`
+        : `\n`;
+    markdown += `- **Cost**: $${llm.costUsd.toFixed(4)}\n`;
+    if (llm.cacheHits + llm.cacheMisses > 0) {
+      markdown += `- **Prompt Cache**: ${llm.cacheHits} hits, ${llm.cacheMisses} misses (${llm.cacheHitRate})\n`;
+    }
+    if (llm.unpriced.length > 0) {
+      markdown += `- **Unpriced models**: ${llm.unpriced.join(", ")}\n`;
+    }
+    if (result.budgetExceeded) {
+      markdown += `- **Budget**: $${result.budgetExceeded.limitUsd} exceeded, run stopped after \`${result.budgetExceeded.stoppedAfter}\`\n`;
+    }
+    markdown += `\n| Node | Calls | Cache hits | Input tokens | Output tokens | Latency | Cost |\n`;
+    markdown += `|------|-------|------------|--------------|---------------|---------|------|\n`;
+    for (const [node, usage] of Object.entries(llm.byNode)) {
+      markdown += `| ${node} | ${usage.calls} | ${usage.cacheHits} | ${usage.inputTokens} | ${usage.outputTokens} | ${usage.durationMs}ms | $${usage.costUsd.toFixed(4)} |\n`;
+    }
+    markdown += `\n`;
+  }
 
   if (result.finalFixes.length > 0) {
     markdown += `## ✅ Approved Fixes\n\n`;
     result.finalFixes.forEach((fix, idx) => {
       markdown += `### ${idx + 1}. ${fix.file}:${fix.line}\n`;
-      markdown += `**Type**: \`${fix.bug_type}\`\n\n`;
+      markdown += `**Type**: \`${fix.bug_type}\` (${describeClassification(fix)})\n\n`;
+      if (fix.guardrail_findings?.length > 0) {
+        markdown += `> ⚠️ **Test guardrail**: this fix changes tests\n`;
+        fix.guardrail_findings.forEach((finding) => {
+          markdown += `> - ${finding.detail}\n`;
+        });
+        markdown += `\n`;
+      }
+      if (fix.risk) {
+        markdown += `**Confidence**: ${fix.confidence} · **Risk**: ${fix.risk.level}${fix.risk.factors.length ? ` (${fix.risk.factors.join(", ")})` : ""}\n\n`;
+      }
       markdown += `**Error**:\n\`\`\`\n${fix.error_message}\n\`\`\`\n\n`;
-      markdown += `**Fix**:\n\`\`\`\n${fix.patch_instructions}\n\`\`\`\n\n`;
+      if (fix.expected_resolved_tests?.length > 1) {
+        markdown += `**Expected to resolve** (${fix.expected_resolved_tests.length} failures):\n`;
+        fix.expected_resolved_tests.forEach((test) => {
+          markdown += `- ${test}\n`;
+        });
+        markdown += `\n`;
+      }
+      const { files, actions } = summarizeChanges(fix);
+      if (
+        files.length > 1 ||
+        (files.length === 1 && files[0] !== `modify ${fix.file}`)
+      ) {
+        markdown += `**Files** (applied together):\n`;
+        files.forEach((change) => {
+          markdown += `- ${change}\n`;
+        });
+        markdown += `\n`;
+      }
+      if (actions.length > 0) {
+        markdown += `**Actions**:\n`;
+        actions.forEach((action) => {
+          markdown += `- ${action}\n`;
+        });
+        markdown += `\n`;
+      }
+      if (fix.patch_diff) {
+        markdown += `**Fix**:\n\`\`\`diff\n${fix.patch_diff}\n\`\`\`\n\n`;
+      }
+      if (fix.execution) {
+        markdown += `**Verified by tests**: \`${fix.execution.testCommand}\` exited ${fix.execution.exitCode}, failing ${fix.execution.baselineFailed} → ${fix.execution.failed}\n\n`;
+      }
       markdown += `**Expected Output**:\n\`\`\`\n${fix.required_dashboard_output}\n\`\`\`\n\n`;
       markdown += `---\n\n`;
     });
@@ -203,6 +735,25 @@ function formatMarkdownReport(result) {
       .filter((v) => v.verification_status === "REJECTED")
       .forEach((patch, idx) => {
         markdown += `${idx + 1}. **${patch.file}:${patch.line}** - ${patch.error_message}\n`;
+        (patch.verification_reasons || []).forEach((reason) => {
+          markdown += `   - ${reason}\n`;
+        });
+      });
+    markdown += `\n`;
+  }
+
+  const retried = result.patchAttempts.filter((a) => a.attempt > 1);
+  if (retried.length > 0) {
+    markdown += `## 🔁 Patch Attempts\n\n`;
+    const retriedFailures = new Set(retried.map((a) => a.failure_index));
+    result.patchAttempts
+      .filter((a) => retriedFailures.has(a.failure_index))
+      .forEach((a) => {
+        markdown += `- **${a.file}:${a.line}** attempt ${a.attempt}: ${a.verification_status}`;
+        if (a.verification_reasons.length > 0) {
+          markdown += ` (${a.verification_reasons.join("; ")})`;
+        }
+        markdown += `\n`;
       });
   }
 
@@ -220,12 +771,15 @@ function formatSummaryReport(result) {
 
   return {
     timestamp: new Date().toISOString(),
+    promptVersion: result.runOptions?.promptVersion,
     totals: {
       extracted: result.failures.length,
+      groups: result.failureGroups.length,
       classified: result.classifiedFailures.length,
       patched: result.generatedPatches.length,
       verified: result.verifiedPatches.length,
       approved: result.finalFixes.length,
+      attempts: result.patchAttempts.length,
     },
     failuresByType,
     approvalRate:
@@ -240,24 +794,22 @@ function formatSummaryReport(result) {
       line: f.line,
       type: f.bug_type,
     })),
+    llm: (({ calls, inputTokens, outputTokens, costUsd, cacheHitRate }) => ({
+      calls,
+      inputTokens,
+      outputTokens,
+      costUsd,
+      cacheHitRate,
+    }))(summarizeAgentCalls(result.agentCalls)),
+    budgetExceeded: result.budgetExceeded,
   };
 }
 
 /**
- * Calculate fix priority based on bug type
+ * Calculate fix priority based on bug type (from the bug taxonomy)
  */
-function calculatePriority(bugType) {
-  const priorities = {
-    SYNTAX: "CRITICAL",
-    TYPE_ERROR: "HIGH",
-    IMPORT: "HIGH",
-    RUNTIME: "CRITICAL",
-    LOGIC: "HIGH",
-    CONFIG: "MEDIUM",
-    INDENTATION: "LOW",
-    LINTING: "LOW",
-  };
-  return priorities[bugType] || "MEDIUM";
+function calculatePriority(bugType, taxonomy) {
+  return priorityFor(bugType, taxonomy);
 }
 
 /**
@@ -293,6 +845,13 @@ async function processTestResults(testResults) {
 
 module.exports = {
   healTestErrors,
+  resumeHealing,
+  reviewHealing,
+  getPendingFixes,
+  getRuns,
+  getHealingStats,
+  getRunHistory,
+  getRunState,
   processTestResults,
   formatReport,
   calculatePriority,
@@ -0,0 +1,115 @@
+/**
+ * JSON Config Files
+ *
+ * Shared loading for the config/*.json files (taxonomy, apply policy,
+ * test guardrails, plugin settings, pricing). Definitions are validated
+ * with a zod schema, and invalid ones are errors with status 400. Files
+ * are cached and re-read when their mtime changes, so edits apply to
+ * the next request without a restart.
+ *
+ * A request may name one of these files instead of passing a definition
+ * inline; names only resolve to .json files inside config/.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_DIR = path.resolve(__dirname, "..", "config");
+
+/**
+ * "path: message; ..." for a zod error
+ */
+function describeIssues(error) {
+  return error.issues
+    .map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`)
+    .join("; ");
+}
+
+/**
+ * An error for bad configuration, reported as a 400
+ */
+function configError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Validate `definition` against `schema`; `label` names it in errors,
+ * e.g. "apply policy (inline policy)"
+ */
+function parseConfig(schema, definition, label) {
+  const result = schema.safeParse(definition);
+  if (!result.success) {
+    throw configError(`Invalid ${label}: ${describeIssues(result.error)}`);
+  }
+  return result.data;
+}
+
+// Parsed files per parse function: Map(file → { mtimeMs, value })
+const caches = new WeakMap();
+
+/**
+ * Read a JSON file and validate it with `parse(definition, source)`,
+ * cached until the file's mtime changes. `source` names the file in
+ * errors (default: its path).
+ */
+function loadJsonConfig(file, parse, source = file) {
+  if (!caches.has(parse)) caches.set(parse, new Map());
+  const cache = caches.get(parse);
+
+  const { mtimeMs } = fs.statSync(file);
+  const entry = cache.get(file);
+  if (entry && entry.mtimeMs === mtimeMs) return entry.value;
+
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.warn(`⚠️  ${file}: ${error.message}`);
+    throw configError(`${source} is not valid JSON`);
+  }
+  const value = parse(definition, source);
+  cache.set(file, { mtimeMs, value });
+  return value;
+}
+
+/**
+ * Load a config file a request names, e.g. "taxonomy-strict.json".
+ * Anything that is not a .json file inside config/ is an unknown
+ * `label`; errors name the file as the request did, never its path.
+ */
+function loadNamedConfig(name, parse, label) {
+  const unknown = () =>
+    configError(`Unknown ${label} ${name}: name a .json file in config/`);
+
+  let file;
+  try {
+    file = fs.realpathSync(path.resolve(CONFIG_DIR, name));
+  } catch (error) {
+    throw unknown();
+  }
+  const relative = path.relative(fs.realpathSync(CONFIG_DIR), file);
+  if (
+    relative.startsWith("..") ||
+    path.isAbsolute(relative) ||
+    path.extname(file) !== ".json" ||
+    !fs.statSync(file).isFile()
+  ) {
+    throw unknown();
+  }
+  return loadJsonConfig(file, parse, name);
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  loadJsonConfig,
+  loadNamedConfig,
+  parseConfig,
+  configError,
+  describeIssues,
+  CONFIG_DIR,
+};
@@ -0,0 +1,392 @@
+/**
+ * LLM Call Executor
+ *
+ * Every agent call goes through `invokeAgent`, which shares one
+ * concurrency limiter per provider across the whole process, retries
+ * rate-limit (429), server (5xx) and network errors with exponential
+ * backoff, aborts calls that exceed the timeout, and records each call
+ * (attempts, retries, latency, tokens and cost) so the workflow result
+ * can report them per agent, node and model. Replies to prompts seen
+ * before are served from the on-disk prompt cache (services/promptCache.js).
+ *
+ * Settings (env):
+ * - HEALING_PARALLEL_LIMIT        concurrent calls per provider (default 5)
+ * - <PROVIDER>_PARALLEL_LIMIT     per-provider cap, e.g. OLLAMA_PARALLEL_LIMIT
+ * - HEALING_MAX_RETRIES           retries after the first attempt (default 3)
+ * - HEALING_TIMEOUT               per-attempt timeout in ms (default 60000)
+ * - HEALING_BACKOFF_MS            base backoff delay in ms (default 1000)
+ */
+
+const { getAgentModel, resolveAgentConfig } = require("./llmProviders");
+const { callCost } = require("./llmPricing");
+const { estimateTokens } = require("./sourceContext");
+const {
+  isCacheable,
+  cacheKey,
+  getCachedResponse,
+  storeResponse,
+} = require("./promptCache");
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Local backends serve one request at a time unless configured otherwise
+const PROVIDER_DEFAULT_LIMITS = { ollama: 1 };
+
+const MAX_BACKOFF_MS = 30000;
+
+// ===========================
+// 🚦 Concurrency Limiter
+// ===========================
+
+class ConcurrencyLimiter {
+  constructor(limit) {
+    this.limit = Math.max(1, limit);
+    this.active = 0;
+    this.queue = [];
+  }
+
+  async run(task) {
+    if (this.active >= this.limit) {
+      await new Promise((resolve) => this.queue.push(resolve));
+    }
+    this.active++;
+    try {
+      return await task();
+    } finally {
+      this.active--;
+      const next = this.queue.shift();
+      if (next) next();
+    }
+  }
+}
+
+const limiters = new Map();
+
+function parallelLimit(provider) {
+  return envInt(
+    `${provider.toUpperCase()}_PARALLEL_LIMIT`,
+    PROVIDER_DEFAULT_LIMITS[provider] ?? envInt("HEALING_PARALLEL_LIMIT", 5),
+  );
+}
+
+function limiterFor(provider) {
+  if (!limiters.has(provider)) {
+    limiters.set(provider, new ConcurrencyLimiter(parallelLimit(provider)));
+  }
+  return limiters.get(provider);
+}
+
+// ===========================
+// 🔁 Retry Policy
+// ===========================
+
+/**
+ * Rate limits, server errors, timeouts and dropped connections are
+ * worth retrying; anything else (bad request, auth, parse) is not
+ */
+function isRetryable(error) {
+  const status = error.status ?? error.response?.status;
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  if (status >= 400 && status < 500) return false;
+  if (error.timedOut) return true;
+  if (
+    ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN"].includes(
+      error.code || error.cause?.code,
+    )
+  ) {
+    return true;
+  }
+  return /\b(429|50[0-4])\b|rate limit|quota|overloaded|fetch failed|socket hang up/i.test(
+    error.message || "",
+  );
+}
+
+/**
+ * Exponential backoff with jitter; honours Retry-After when present
+ */
+function backoffDelay(attempt, error) {
+  const retryAfter = parseFloat(error.retryAfter);
+  if (Number.isFinite(retryAfter)) {
+    return Math.min(retryAfter * 1000, MAX_BACKOFF_MS);
+  }
+  const base = envInt("HEALING_BACKOFF_MS", 1000) * 2 ** attempt;
+  return Math.min(
+    base + Math.floor(Math.random() * base * 0.2),
+    MAX_BACKOFF_MS,
+  );
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Invoke a model, aborting after `timeoutMs`
+ */
+async function invokeWithTimeout(model, messages, timeoutMs, callOptions) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const error = new Error(`LLM call timed out after ${timeoutMs}ms`);
+      error.timedOut = true;
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([
+      model.invoke(messages, { ...callOptions, signal: controller.signal }),
+      timeout,
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ===========================
+// 🚀 Invoke
+// ===========================
+
+/**
+ * Token counts reported by the provider, or estimated from the text
+ * (~4 characters per token) when it reports none
+ */
+function tokenUsage(messages, response) {
+  const usage = response.usage_metadata;
+  if (usage) {
+    return {
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      tokensEstimated: false,
+    };
+  }
+  const text = (content) => (typeof content === "string" ? content : "");
+  return {
+    inputTokens: messages.reduce(
+      (sum, m) => sum + estimateTokens(text(m.content)),
+      0,
+    ),
+    outputTokens: estimateTokens(text(response.content)),
+    tokensEstimated: true,
+  };
+}
+
+/**
+ * Call an agent's model with limiting, retries and timeout
+ *
+ * Options:
+ * - overrides: per-run provider overrides (config.configurable.llm)
+ * - calls: array that receives one record per call
+ *   { agent, node, provider, model, attempts, retries, durationMs,
+ *     inputTokens, outputTokens, tokensEstimated, costUsd, priced,
+ *     cache, status, error }
+ * - node: graph node making the call (defaults to the agent name)
+ * - responseSchema: JSON schema for providers with structured output
+ * - accept: (response) => boolean; only accepted replies are cached or
+ *   served from the cache (e.g. replies that pass validation)
+ *
+ * `cache` is "hit", "miss" or "off" (overrides.cache: false, or an
+ * uncached provider). Failed calls and cache hits are recorded with
+ * 0 tokens.
+ */
+async function invokeAgent(agent, messages, options = {}) {
+  const {
+    overrides = {},
+    calls = null,
+    node = agent,
+    responseSchema,
+    accept = () => true,
+  } = options;
+  const callOptions = responseSchema ? { responseSchema } : {};
+  const maxRetries = envInt("HEALING_MAX_RETRIES", 3);
+  const timeoutMs = envInt("HEALING_TIMEOUT", 60000);
+
+  const agentConfig = resolveAgentConfig(agent, overrides);
+  const { provider, model } = agentConfig;
+
+  const record = {
+    agent,
+    node,
+    provider,
+    model,
+    attempts: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    tokensEstimated: false,
+    cache: "off",
+    status: "ok",
+  };
+  const start = Date.now();
+
+  const key = isCacheable(agentConfig, overrides)
+    ? cacheKey(agentConfig, messages, responseSchema)
+    : null;
+  if (key) {
+    const cached = getCachedResponse(key);
+    if (cached && accept(cached)) {
+      record.cache = "hit";
+      record.retries = 0;
+      record.durationMs = Date.now() - start;
+      Object.assign(record, callCost(record));
+      if (calls) calls.push(record);
+      return cached;
+    }
+    record.cache = "miss";
+  }
+
+  const chatModel = getAgentModel(agent, overrides);
+  const limiter = limiterFor(provider);
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      record.attempts = attempt + 1;
+      try {
+        const response = await limiter.run(() =>
+          invokeWithTimeout(chatModel, messages, timeoutMs, callOptions),
+        );
+        Object.assign(record, tokenUsage(messages, response));
+        if (key && accept(response)) {
+          storeResponse(key, response, { agent, provider, model });
+        }
+        return response;
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryable(error)) throw error;
+        const delay = backoffDelay(attempt, error);
+        console.warn(
+          `   ⏳ ${agent} call failed (${error.message.slice(0, 120)}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`,
+        );
+        await sleep(delay);
+      }
+    }
+  } catch (error) {
+    record.status = "failed";
+    record.error = error.message;
+    throw error;
+  } finally {
+    record.retries = record.attempts - 1;
+    record.durationMs = Date.now() - start;
+    Object.assign(record, callCost(record));
+    if (calls) calls.push(record);
+  }
+}
+
+const USAGE_KEYS = [
+  "calls",
+  "retries",
+  "failed",
+  "durationMs",
+  "inputTokens",
+  "outputTokens",
+  "costUsd",
+  "cacheHits",
+  "cacheMisses",
+];
+
+const emptyUsage = () => Object.fromEntries(USAGE_KEYS.map((key) => [key, 0]));
+
+function addUsage(target, usage) {
+  for (const key of USAGE_KEYS) {
+    target[key] += usage[key] || 0;
+  }
+}
+
+function withHitRate(usage) {
+  const lookups = usage.cacheHits + usage.cacheMisses;
+  return {
+    ...usage,
+    cacheHitRate:
+      lookups > 0
+        ? ((usage.cacheHits / lookups) * 100).toFixed(2) + "%"
+        : "N/A",
+  };
+}
+
+/**
+ * Aggregate call records: totals plus per-agent, per-node and
+ * per-model ("provider/model") breakdowns. `unpriced` lists models
+ * missing from the price table; `cacheHitRate` is hits over cache
+ * lookups.
+ */
+function summarizeAgentCalls(calls = []) {
+  const summary = {
+    ...emptyUsage(),
+    estimatedCalls: 0,
+    unpriced: [],
+    byAgent: {},
+    byNode: {},
+    byModel: {},
+  };
+  for (const call of calls) {
+    const usage = {
+      calls: 1,
+      retries: call.retries,
+      failed: call.status === "failed" ? 1 : 0,
+      durationMs: call.durationMs,
+      inputTokens: call.inputTokens,
+      outputTokens: call.outputTokens,
+      costUsd: call.costUsd,
+      cacheHits: call.cache === "hit" ? 1 : 0,
+      cacheMisses: call.cache === "miss" ? 1 : 0,
+    };
+    const modelKey = `${call.provider}/${call.model}`;
+    const groups = [
+      [summary.byAgent, call.agent],
+      [summary.byNode, call.node || call.agent],
+      [summary.byModel, modelKey],
+    ];
+    for (const [breakdown, key] of groups) {
+      breakdown[key] = breakdown[key] || emptyUsage();
+      addUsage(breakdown[key], usage);
+    }
+    addUsage(summary, usage);
+
+    if (call.tokensEstimated) summary.estimatedCalls++;
+    if (call.priced === false && !summary.unpriced.includes(modelKey)) {
+      summary.unpriced.push(modelKey);
+    }
+  }
+  return withHitRate(summary);
+}
+
+/**
+ * Add up summaries from several runs (same shape as summarizeAgentCalls)
+ */
+function mergeUsageSummaries(summaries = []) {
+  const merged = {
+    ...emptyUsage(),
+    estimatedCalls: 0,
+    unpriced: [],
+    byAgent: {},
+    byNode: {},
+    byModel: {},
+  };
+  for (const summary of summaries) {
+    addUsage(merged, summary);
+    merged.estimatedCalls += summary.estimatedCalls || 0;
+    for (const model of summary.unpriced || []) {
+      if (!merged.unpriced.includes(model)) merged.unpriced.push(model);
+    }
+    for (const breakdown of ["byAgent", "byNode", "byModel"]) {
+      for (const [key, usage] of Object.entries(summary[breakdown] || {})) {
+        merged[breakdown][key] = merged[breakdown][key] || emptyUsage();
+        addUsage(merged[breakdown][key], usage);
+      }
+    }
+  }
+  return withHitRate(merged);
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  invokeAgent,
+  summarizeAgentCalls,
+  mergeUsageSummaries,
+  isRetryable,
+  ConcurrencyLimiter,
+};
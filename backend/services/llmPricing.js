@@ -0,0 +1,78 @@
+/**
+ * LLM Price Table
+ *
+ * Prices model calls from config/pricing.json (or HEALING_PRICING_FILE):
+ * USD per 1M input and output tokens, per provider and model. A model
+ * matches its exact name first, then the longest configured prefix
+ * (so "gpt-4o-2024-08-06" uses "gpt-4o"), then the provider's "*"
+ * entry. Calls to models missing from the table cost 0 and are
+ * reported as unpriced.
+ */
+
+const path = require("path");
+const { z } = require("zod");
+const { loadJsonConfig, parseConfig } = require("./jsonConfig");
+
+const DEFAULT_PRICING_FILE = path.resolve(
+  process.env.HEALING_PRICING_FILE ||
+    path.join(__dirname, "..", "config", "pricing.json"),
+);
+
+const PriceSchema = z.object({
+  input: z.number().min(0),
+  output: z.number().min(0),
+});
+
+const PricingSchema = z.object({
+  currency: z.string().default("USD"),
+  unit: z.string().optional(),
+  providers: z.record(z.string(), z.record(z.string(), PriceSchema)),
+});
+
+function parsePricing(definition, source) {
+  return parseConfig(PricingSchema, definition, `pricing (${source})`);
+}
+
+/**
+ * The price table, re-read when the file's mtime changes
+ */
+function loadPricing() {
+  return loadJsonConfig(DEFAULT_PRICING_FILE, parsePricing);
+}
+
+/**
+ * { input, output } per 1M tokens for a model, or null when unpriced
+ */
+function priceFor(provider, model, pricing = loadPricing()) {
+  const models = pricing.providers[provider];
+  if (!models) return null;
+  if (models[model]) return models[model];
+
+  const prefix = Object.keys(models)
+    .filter((name) => name !== "*" && String(model).startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return models[prefix] || models["*"] || null;
+}
+
+/**
+ * Cost of one call record: { costUsd, priced }
+ */
+function callCost(record, pricing) {
+  const price = priceFor(record.provider, record.model, pricing);
+  if (!price) return { costUsd: 0, priced: false };
+  const costUsd =
+    (record.inputTokens * price.input + record.outputTokens * price.output) /
+    1e6;
+  return { costUsd, priced: true };
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  loadPricing,
+  priceFor,
+  callCost,
+  DEFAULT_PRICING_FILE,
+};
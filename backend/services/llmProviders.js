@@ -0,0 +1,426 @@
+/**
+ * LLM Provider Registry
+ *
+ * Resolves the chat model used by each healing agent (extractor,
+ * classifier, patcher, verifier). Every provider returns an object with
+ * the same `invoke(messages, options)` contract as the LangChain chat
+ * models, so the graph nodes do not care which backend answers them.
+ * `options.responseSchema` (JSON schema) requests structured output from
+ * providers that support it; others ignore it. Replies carry
+ * `usage_metadata` ({ input_tokens, output_tokens }) when the backend
+ * reports token counts.
+ *
+ * Providers:
+ * - gemini  → Google Generative AI via @langchain/google-genai
+ * - openai  → any OpenAI-compatible /chat/completions endpoint
+ * - ollama  → local Ollama-style /api/chat endpoint
+ * - fixture → replays recorded responses from a JSON file (offline / CI)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// ===========================
+// ⚙️ Agent Defaults
+// ===========================
+
+const AGENTS = ["extractor", "classifier", "patcher", "verifier"];
+
+// Env var prefix per agent (EXTRACTOR_MODEL, PATCHER_PROVIDER, ...)
+const AGENT_ENV_PREFIX = {
+  extractor: "EXTRACTOR",
+  classifier: "CLASSIFIER",
+  patcher: "PATCHER",
+  verifier: "VERIFIER",
+};
+
+const AGENT_DEFAULTS = {
+  extractor: { temperature: 0, maxOutputTokens: 2000 },
+  classifier: { temperature: 0, maxOutputTokens: 1000 },
+  patcher: { temperature: 0, maxOutputTokens: 3000 },
+  verifier: { temperature: 0, maxOutputTokens: 500 },
+};
+
+// Default model name per provider and agent
+const DEFAULT_MODELS = {
+  gemini: {
+    extractor: "gemini-1.5-flash",
+    classifier: "gemini-1.5-flash",
+    patcher: "gemini-1.5-pro",
+    verifier: "gemini-1.5-flash",
+  },
+  openai: {
+    extractor: "gpt-4o-mini",
+    classifier: "gpt-4o-mini",
+    patcher: "gpt-4o",
+    verifier: "gpt-4o-mini",
+  },
+  ollama: {
+    extractor: "llama3.1",
+    classifier: "llama3.1",
+    patcher: "llama3.1",
+    verifier: "llama3.1",
+  },
+  fixture: {
+    extractor: "fixture",
+    classifier: "fixture",
+    patcher: "fixture",
+    verifier: "fixture",
+  },
+};
+
+/**
+ * Flatten LangChain-style messages into a single prompt string
+ */
+function messagesToText(messages) {
+  return messages
+    .map((m) => (typeof m.content === "string" ? m.content : ""))
+    .join("\n\n");
+}
+
+function hashPrompt(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// ===========================
+// 🌐 OpenAI-Compatible Provider
+// ===========================
+
+class OpenAICompatibleChatModel {
+  constructor({ model, baseUrl, apiKey, temperature, maxOutputTokens }) {
+    this.model = model;
+    this.baseUrl = (baseUrl || "https://api.openai.com/v1").replace(/\/$/, "");
+    this.apiKey = apiKey;
+    this.temperature = temperature;
+    this.maxOutputTokens = maxOutputTokens;
+  }
+
+  async invoke(messages, options = {}) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      signal: options.signal,
+      headers: {
+        "Content-Type": "application/json",
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages: messages.map((m) => ({ role: m.role, content: m.content })),
+        temperature: this.temperature,
+        max_tokens: this.maxOutputTokens,
+        ...(options.responseSchema
+          ? {
+              response_format: {
+                type: "json_schema",
+                json_schema: {
+                  name: "agent_response",
+                  schema: options.responseSchema,
+                },
+              },
+            }
+          : {}),
+      }),
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      const error = new Error(
+        `OpenAI-compatible request failed (${response.status}): ${body}`,
+      );
+      error.status = response.status;
+      error.retryAfter = response.headers.get("retry-after");
+      throw error;
+    }
+
+    const data = await response.json();
+    return {
+      content: data.choices?.[0]?.message?.content || "",
+      usage_metadata: data.usage
+        ? {
+            input_tokens: data.usage.prompt_tokens || 0,
+            output_tokens: data.usage.completion_tokens || 0,
+          }
+        : undefined,
+    };
+  }
+}
+
+// ===========================
+// 🦙 Ollama Provider
+// ===========================
+
+class OllamaChatModel {
+  constructor({ model, baseUrl, temperature, maxOutputTokens }) {
+    this.model = model;
+    this.baseUrl = (baseUrl || "http://localhost:11434").replace(/\/$/, "");
+    this.temperature = temperature;
+    this.maxOutputTokens = maxOutputTokens;
+  }
+
+  async invoke(messages, options = {}) {
+    const response = await fetch(`${this.baseUrl}/api/chat`, {
+      method: "POST",
+      signal: options.signal,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model: this.model,
+        messages: messages.map((m) => ({ role: m.role, content: m.content })),
+        stream: false,
+        ...(options.responseSchema ? { format: options.responseSchema } : {}),
+        options: {
+          temperature: this.temperature,
+          num_predict: this.maxOutputTokens,
+        },
+      }),
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      const error = new Error(
+        `Ollama request failed (${response.status}): ${body}`,
+      );
+      error.status = response.status;
+      error.retryAfter = response.headers.get("retry-after");
+      throw error;
+    }
+
+    const data = await response.json();
+    return {
+      content: data.message?.content || "",
+      usage_metadata:
+        data.eval_count !== undefined
+          ? {
+              input_tokens: data.prompt_eval_count || 0,
+              output_tokens: data.eval_count,
+            }
+          : undefined,
+    };
+  }
+}
+
+// ===========================
+// 📼 Fixture Replay Provider
+// ===========================
+
+/**
+ * Replays recorded responses. Fixture file format:
+ *
+ * {
+ *   "responses": {
+ *     "classifier": [
+ *       { "match": "Cannot find module", "content": "IMPORT" },
+ *       { "promptHash": "<sha256 of prompt>", "content": "..." },
+ *       { "content": "RUNTIME" }
+ *     ]
+ *   }
+ * }
+ *
+ * The first entry whose `promptHash` equals the prompt hash, or whose
+ * `match` string(s) all appear in the prompt, wins. Entries with neither
+ * act as a catch-all. Matching is stateless so parallel calls replay
+ * deterministically.
+ */
+class FixtureReplayModel {
+  constructor({ agent, fixtureFile }) {
+    if (!fixtureFile) {
+      throw new Error(
+        "Fixture provider requires LLM_FIXTURE_FILE (or llm.fixtureFile)",
+      );
+    }
+    this.agent = agent;
+    this.model = "fixture";
+    this.fixtureFile = path.resolve(fixtureFile);
+    const fixture = JSON.parse(fs.readFileSync(this.fixtureFile, "utf8"));
+    this.entries = fixture.responses?.[agent] || [];
+  }
+
+  async invoke(messages) {
+    const prompt = messagesToText(messages);
+    const promptHash = hashPrompt(prompt);
+
+    const entry = this.entries.find((e) => {
+      if (e.promptHash) return e.promptHash === promptHash;
+      if (e.match) {
+        const needles = Array.isArray(e.match) ? e.match : [e.match];
+        return needles.every((needle) => prompt.includes(needle));
+      }
+      return true;
+    });
+
+    if (!entry) {
+      throw new Error(
+        `No recorded ${this.agent} response in ${this.fixtureFile} (prompt ${promptHash.slice(0, 12)})`,
+      );
+    }
+
+    return {
+      content:
+        typeof entry.content === "string"
+          ? entry.content
+          : JSON.stringify(entry.content),
+    };
+  }
+}
+
+/**
+ * Wraps a live model and appends every response to a fixture file,
+ * keyed by prompt hash, so the run can be replayed later.
+ */
+class RecordingChatModel {
+  constructor(inner, { agent, recordFile }) {
+    this.inner = inner;
+    this.agent = agent;
+    this.model = inner.model;
+    this.recordFile = path.resolve(recordFile);
+  }
+
+  async invoke(messages, options = {}) {
+    const response = await this.inner.invoke(messages, options);
+    const prompt = messagesToText(messages);
+
+    let fixture = { responses: {} };
+    if (fs.existsSync(this.recordFile)) {
+      fixture = JSON.parse(fs.readFileSync(this.recordFile, "utf8"));
+    }
+    fixture.responses[this.agent] = fixture.responses[this.agent] || [];
+    fixture.responses[this.agent].push({
+      promptHash: hashPrompt(prompt),
+      content: response.content,
+    });
+    fs.writeFileSync(this.recordFile, JSON.stringify(fixture, null, 2));
+
+    return response;
+  }
+}
+
+// ===========================
+// 🗂️ Provider Registry
+// ===========================
+
+const providers = {
+  gemini: (config) => {
+    // Required lazily so offline providers work without the Google SDK configured
+    const { ChatGoogleGenerativeAI } = require("@langchain/google-genai");
+    return new ChatGoogleGenerativeAI({
+      model: config.model,
+      apiKey: config.apiKey || process.env.GOOGLE_API_KEY,
+      temperature: config.temperature,
+      maxOutputTokens: config.maxOutputTokens,
+    });
+  },
+  openai: (config) =>
+    new OpenAICompatibleChatModel({
+      ...config,
+      baseUrl: config.baseUrl || process.env.OPENAI_BASE_URL,
+      apiKey: config.apiKey || process.env.OPENAI_API_KEY,
+    }),
+  ollama: (config) =>
+    new OllamaChatModel({
+      ...config,
+      baseUrl: config.baseUrl || process.env.OLLAMA_BASE_URL,
+    }),
+  fixture: (config) =>
+    new FixtureReplayModel({
+      agent: config.agent,
+      fixtureFile: config.fixtureFile || process.env.LLM_FIXTURE_FILE,
+    }),
+};
+
+/**
+ * Register an additional provider factory: (config) => model
+ */
+function registerProvider(name, factory) {
+  providers[name] = factory;
+}
+
+/**
+ * Resolve the effective config for one agent.
+ *
+ * Precedence: per-run overrides → <AGENT>_* env vars → LLM_* env vars → defaults
+ */
+function resolveAgentConfig(agent, overrides = {}) {
+  if (!AGENTS.includes(agent)) {
+    throw new Error(`Unknown agent: ${agent}`);
+  }
+
+  const prefix = AGENT_ENV_PREFIX[agent];
+  const agentOverrides = overrides[agent] || {};
+  const provider =
+    agentOverrides.provider ||
+    overrides.provider ||
+    process.env[`${prefix}_PROVIDER`] ||
+    process.env.LLM_PROVIDER ||
+    "gemini";
+
+  if (!providers[provider]) {
+    throw new Error(`Unknown LLM provider "${provider}" for ${agent}`);
+  }
+
+  return {
+    agent,
+    provider,
+    model:
+      agentOverrides.model ||
+      process.env[`${prefix}_MODEL`] ||
+      DEFAULT_MODELS[provider]?.[agent],
+    temperature:
+      agentOverrides.temperature ?? AGENT_DEFAULTS[agent].temperature,
+    maxOutputTokens:
+      agentOverrides.maxOutputTokens ?? AGENT_DEFAULTS[agent].maxOutputTokens,
+    baseUrl: agentOverrides.baseUrl || overrides.baseUrl,
+    apiKey: agentOverrides.apiKey || overrides.apiKey,
+    fixtureFile: agentOverrides.fixtureFile || overrides.fixtureFile,
+    recordFile:
+      agentOverrides.recordFile ||
+      overrides.recordFile ||
+      process.env.LLM_RECORD_FILE,
+  };
+}
+
+const modelCache = new Map();
+
+/**
+ * Get (and memoize) the chat model for an agent
+ */
+function getAgentModel(agent, overrides = {}) {
+  const config = resolveAgentConfig(agent, overrides);
+  const cacheKey = JSON.stringify(config);
+
+  if (!modelCache.has(cacheKey)) {
+    let model = providers[config.provider](config);
+    if (config.recordFile && config.provider !== "fixture") {
+      model = new RecordingChatModel(model, config);
+    }
+    modelCache.set(cacheKey, model);
+  }
+
+  return modelCache.get(cacheKey);
+}
+
+/**
+ * Describe the resolved provider/model per agent (for dashboards and reports)
+ */
+function describeAgentModels(overrides = {}) {
+  return AGENTS.reduce((acc, agent) => {
+    const { provider, model } = resolveAgentConfig(agent, overrides);
+    acc[agent] = { provider, model };
+    return acc;
+  }, {});
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  AGENTS,
+  getAgentModel,
+  resolveAgentConfig,
+  describeAgentModels,
+  registerProvider,
+  OpenAICompatibleChatModel,
+  OllamaChatModel,
+  FixtureReplayModel,
+  RecordingChatModel,
+};
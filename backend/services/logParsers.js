@@ -0,0 +1,572 @@
+/**
+ * Test Log Parsers
+ *
+ * Deterministic extractors for the output of common test runners. Each
+ * parser recognizes its framework's failure blocks and turns them into
+ * { file, line, error_message, test_name, stack } records, so the
+ * extract node only needs the model for logs none of them understand.
+ */
+
+const { extractStackFrames } = require("./sourceContext");
+
+const MAX_MESSAGE_LINES = 20;
+
+// ===========================
+// 🧰 Helpers
+// ===========================
+
+function toLines(text) {
+  return text.replace(/\r\n/g, "\n").split("\n");
+}
+
+/**
+ * Trim a block of message lines and cap its length
+ */
+function cleanMessage(lines) {
+  const trimmed = lines.map((l) => l.trim());
+  while (trimmed.length && !trimmed[0]) trimmed.shift();
+  while (trimmed.length && !trimmed[trimmed.length - 1]) trimmed.pop();
+  return trimmed
+    .filter((l, i, all) => l || all[i - 1]) // collapse blank runs
+    .slice(0, MAX_MESSAGE_LINES)
+    .join("\n");
+}
+
+/**
+ * First stack frame that points at repository code
+ */
+function firstFrame(stackText, ignore = null) {
+  const frames = extractStackFrames(stackText).filter(
+    (f) => !ignore || !ignore.test(f.file),
+  );
+  return frames[0] || null;
+}
+
+function failureRecord({ file, line, message, testName, stack }) {
+  return {
+    file: file || "unknown",
+    line: Number.isFinite(line) ? line : 0,
+    error_message: message || "Test failed",
+    test_name: testName || null,
+    stack: stack || "",
+  };
+}
+
+/**
+ * Split `lines` into blocks that start at lines matching `header`
+ * and end before the next header or a line matching `end`
+ */
+function splitBlocks(lines, header, end = null) {
+  const blocks = [];
+  let current = null;
+  for (const line of lines) {
+    const match = line.match(header);
+    if (match) {
+      current = { match, lines: [] };
+      blocks.push(current);
+    } else if (current && end && end.test(line)) {
+      current = null;
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+  return blocks;
+}
+
+// ===========================
+// 🟨 JavaScript Runners
+// ===========================
+
+const STACK_LINE = /^\s*at\s/;
+
+const jestParser = {
+  name: "jest",
+  detect: (log) => /^\s*●\s+\S/m.test(log) && /^\s*(FAIL|Tests:)\s/m.test(log),
+  parse(log) {
+    const failures = [];
+    let suiteFile = null;
+
+    const blocks = [];
+    let current = null;
+    for (const line of toLines(log)) {
+      const suite = line.match(/^\s*FAIL\s+(\S+)/);
+      const header = line.match(/^\s*●\s+(.+?)\s*$/);
+      if (suite) {
+        suiteFile = suite[1];
+        current = null;
+      } else if (header) {
+        current =
+          header[1] === "Console"
+            ? null
+            : { testName: header[1], suiteFile, lines: [] };
+        if (current) blocks.push(current);
+      } else if (/^(Test Suites|Tests|Snapshots):\s/.test(line)) {
+        current = null;
+      } else if (current) {
+        current.lines.push(line);
+      }
+    }
+
+    for (const block of blocks) {
+      const codeFrame = /^\s*>?\s*\d+\s*\|/;
+      const stopAt = block.lines.findIndex(
+        (l) => STACK_LINE.test(l) || codeFrame.test(l),
+      );
+      const messageLines =
+        stopAt === -1 ? block.lines : block.lines.slice(0, stopAt);
+      const stack = block.lines.filter((l) => STACK_LINE.test(l)).join("\n");
+      const frame = firstFrame(stack);
+
+      failures.push(
+        failureRecord({
+          file: frame?.file || block.suiteFile,
+          line: frame?.line,
+          message: cleanMessage(messageLines),
+          testName: block.testName,
+          stack,
+        }),
+      );
+    }
+    return failures;
+  },
+};
+
+const vitestParser = {
+  name: "vitest",
+  detect: (log) => /^\s*FAIL\s+\S+\s+>\s+\S/m.test(log),
+  parse(log) {
+    const blocks = splitBlocks(
+      toLines(log),
+      /^\s*FAIL\s+(\S+\s+>\s+.+?)\s*$/,
+      /^\s*⎯{3,}|^\s*Test Files\s/,
+    );
+
+    return blocks.map((block) => {
+      const frameLine = /^\s*(❯|at\s)/;
+      const stopAt = block.lines.findIndex((l) => frameLine.test(l));
+      const messageLines =
+        stopAt === -1 ? block.lines : block.lines.slice(0, stopAt);
+      const stack = block.lines.filter((l) => frameLine.test(l)).join("\n");
+      const frame = firstFrame(stack);
+      const testName = block.match[1];
+
+      return failureRecord({
+        file: frame?.file || testName.split(/\s+>\s+/)[0],
+        line: frame?.line,
+        message: cleanMessage(messageLines),
+        testName,
+        stack,
+      });
+    });
+  },
+};
+
+const mochaParser = {
+  name: "mocha",
+  detect: (log) => /^\s*\d+ failing\s*$/m.test(log),
+  parse(log) {
+    const lines = toLines(log);
+    const start = lines.findIndex((l) => /^\s*\d+ failing\s*$/.test(l));
+    const blocks = splitBlocks(lines.slice(start + 1), /^\s*\d+\)\s+(.*)$/);
+
+    return blocks.map((block) => {
+      // The title runs until the line ending with ":"
+      const title = [block.match[1]];
+      let i = 0;
+      if (!block.match[1].trim().endsWith(":")) {
+        while (i < block.lines.length) {
+          title.push(block.lines[i]);
+          if (block.lines[i++].trim().endsWith(":")) break;
+        }
+      }
+      const testName = title
+        .map((t) => t.trim())
+        .join(" ")
+        .replace(/:$/, "");
+
+      const rest = block.lines.slice(i);
+      const stopAt = rest.findIndex((l) => STACK_LINE.test(l));
+      const messageLines = stopAt === -1 ? rest : rest.slice(0, stopAt);
+      const stack = rest.filter((l) => STACK_LINE.test(l)).join("\n");
+      const frame = firstFrame(stack);
+
+      return failureRecord({
+        file: frame?.file,
+        line: frame?.line,
+        message: cleanMessage(messageLines),
+        testName,
+        stack,
+      });
+    });
+  },
+};
+
+// ===========================
+// 🐍 Python Runners
+// ===========================
+
+const pytestParser = {
+  name: "pytest",
+  detect: (log) =>
+    /^=+ (FAILURES|ERRORS) =+$/m.test(log) ||
+    /^(FAILED|ERROR) \S+\.py::/m.test(log),
+  parse(log) {
+    const lines = toLines(log);
+
+    // Node ids from the short test summary, e.g. tests/test_x.py::test_y
+    const summary = new Map();
+    for (const line of lines) {
+      const m = line.match(/^(?:FAILED|ERROR) (\S+\.py::\S+)(?: - (.*))?$/);
+      if (m) summary.set(m[1], m[2] || "");
+    }
+
+    const failures = [];
+    let inSection = false;
+    const sectionLines = [];
+    for (const line of lines) {
+      if (/^=+ (FAILURES|ERRORS) =+$/.test(line)) {
+        inSection = true;
+      } else if (/^=+ .+ =+$/.test(line)) {
+        inSection = false;
+      } else if (inSection) {
+        sectionLines.push(line);
+      }
+    }
+
+    for (const block of splitBlocks(sectionLines, /^_{3,} (.+?) _{3,}$/)) {
+      const name = block.match[1];
+      const errorLines = block.lines
+        .filter((l) => /^E(\s|$)/.test(l))
+        .map((l) => l.slice(1));
+      const locations = block.lines
+        .map((l) => l.match(/^(\S+?\.py):(\d+): (\w[\w.]*)$/))
+        .filter(Boolean);
+      const location = locations[locations.length - 1];
+
+      // TestClass.test_y[param] -> ::TestClass::test_y[param]
+      const [base, ...params] = name.split("[");
+      const suffix = `::${[base.replace(/\./g, "::"), ...params].join("[")}`;
+      const nodeId = [...summary.keys()].find((id) => id.endsWith(suffix));
+
+      failures.push(
+        failureRecord({
+          file: location?.[1] || nodeId?.split("::")[0],
+          line: location ? parseInt(location[2], 10) : 0,
+          message: cleanMessage(errorLines) || location?.[3],
+          testName: nodeId || (location ? `${location[1]}::${name}` : name),
+          stack: block.lines.join("\n").trim(),
+        }),
+      );
+    }
+
+    // -q / -rf output without the detailed section
+    if (failures.length === 0) {
+      for (const [nodeId, message] of summary) {
+        failures.push(
+          failureRecord({
+            file: nodeId.split("::")[0],
+            line: 0,
+            message,
+            testName: nodeId,
+          }),
+        );
+      }
+    }
+
+    return failures;
+  },
+};
+
+const unittestParser = {
+  name: "unittest",
+  detect: (log) => /^(?:FAIL|ERROR): \S+ \([\w.]+\)/m.test(log),
+  parse(log) {
+    const blocks = splitBlocks(
+      toLines(log),
+      /^(?:FAIL|ERROR): (\S+) \(([\w.]+)\)/,
+      /^={20,}$/,
+    );
+
+    return blocks.map((block) => {
+      // The traceback sits between the dashed separators
+      const separators = block.lines
+        .map((l, i) => (/^-{20,}$/.test(l) ? i : -1))
+        .filter((i) => i !== -1);
+      const body = block.lines.slice(
+        separators.length ? separators[0] + 1 : 0,
+        separators.length > 1 ? separators[1] : undefined,
+      );
+      const lastFrame = body.reduce(
+        (last, l, i) => (/^\s+File "/.test(l) ? i : last),
+        -1,
+      );
+      const messageLines = body
+        .slice(lastFrame + 1)
+        .filter((l) => l && !/^\s/.test(l));
+      const frames = extractStackFrames(body.join("\n"));
+      const frame = frames[frames.length - 1];
+
+      return failureRecord({
+        file: frame?.file,
+        line: frame?.line,
+        message: cleanMessage(messageLines),
+        testName: `${block.match[1]} (${block.match[2]})`,
+        stack: body.join("\n").trim(),
+      });
+    });
+  },
+};
+
+// ===========================
+// 🦫 Go / 🦀 Rust
+// ===========================
+
+// GOROOT and module cache frames never point at repository code
+const GO_VENDOR_FRAME = /\/go\/src\/|\/pkg\/mod\//;
+
+const goParser = {
+  name: "go",
+  detect: (log) => /^\s*--- FAIL: \S+/m.test(log),
+  parse(log) {
+    const lines = toLines(log);
+    const blocks = splitBlocks(
+      lines,
+      /^\s*--- FAIL: (\S+)/,
+      /^\s*(=== |--- PASS|--- SKIP|PASS$|FAIL\s|FAIL$|ok\s)/,
+    );
+    const names = blocks.map((b) => b.match[1]);
+
+    // With -v, t.Log output is printed under "=== RUN" instead
+    const runOutput = new Map(
+      splitBlocks(lines, /^\s*=== RUN\s+(\S+)/, /^\s*(=== |--- )/).map((b) => [
+        b.match[1],
+        b.lines,
+      ]),
+    );
+    const outputOf = (block) => [
+      ...(runOutput.get(block.match[1]) || []),
+      ...block.lines,
+    ];
+
+    return blocks
+      .filter(
+        (block) =>
+          outputOf(block).some((l) => l.trim()) ||
+          !names.some((n) => n.startsWith(`${block.match[1]}/`)),
+      )
+      .map((block) => {
+        const output = outputOf(block);
+        const located = output
+          .map((l) => l.match(/^\s+([\w./-]+\.go):(\d+): ?(.*)$/))
+          .filter(Boolean);
+        const text = output.join("\n");
+        const frame = located.length
+          ? { file: located[0][1], line: parseInt(located[0][2], 10) }
+          : firstFrame(text, GO_VENDOR_FRAME);
+        const message = located.length
+          ? located.map((m) => m[3]).join("\n")
+          : output.find((l) => l.trim());
+
+        return failureRecord({
+          file: frame?.file,
+          line: frame?.line,
+          message: cleanMessage([message || ""]),
+          testName: block.match[1],
+          stack: text.trim(),
+        });
+      });
+  },
+};
+
+const cargoParser = {
+  name: "cargo",
+  detect: (log) => /^---- \S+ stdout ----$/m.test(log),
+  parse(log) {
+    const blocks = splitBlocks(
+      toLines(log),
+      /^---- (\S+) stdout ----$/,
+      /^failures:$|^test result:/,
+    );
+
+    return blocks.map((block) => {
+      const text = block.lines.join("\n");
+      const panic = text.match(
+        /panicked at (?:'([\s\S]*?)', )?([^\s:']+):(\d+):\d+:?/,
+      );
+
+      let message = panic?.[1];
+      if (panic && !message) {
+        // Rust >= 1.73 prints the message on the lines after the location
+        const after = text.slice(panic.index + panic[0].length).split("\n");
+        const end = after.findIndex((l) => /^(note:|stack backtrace:)/.test(l));
+        message = cleanMessage(end === -1 ? after : after.slice(0, end));
+      }
+
+      return failureRecord({
+        file: panic?.[2],
+        line: panic ? parseInt(panic[3], 10) : 0,
+        message,
+        testName: block.match[1],
+        stack: text.trim(),
+      });
+    });
+  },
+};
+
+// ===========================
+// ☕ Java / 🐘 PHP
+// ===========================
+
+// Frames from the JDK and test libraries
+const JAVA_LIBRARY_FRAME =
+  /^(java|javax|jdk|sun|org\.junit|junit|org\.apache\.maven|org\.opentest4j)\./;
+
+/**
+ * Map a frame like com.example.MathTest.testAdd(MathTest.java:12) to a
+ * Maven source path
+ */
+function javaFrameLocation(frameLine, testClass) {
+  const m = frameLine.match(/at ([\w.$]+)\.[\w$<>]+\(([\w$]+\.java):(\d+)\)/);
+  if (!m || JAVA_LIBRARY_FRAME.test(m[1])) return null;
+  const className = m[1].split("$")[0];
+  const packagePath = className.split(".").slice(0, -1).join("/");
+  const root = className === testClass ? "src/test/java" : "src/main/java";
+  return {
+    file: [root, packagePath, m[2]].filter(Boolean).join("/"),
+    line: parseInt(m[3], 10),
+  };
+}
+
+const surefireParser = {
+  name: "surefire",
+  detect: (log) => /Time elapsed:.*<<< (FAILURE|ERROR)!/.test(log),
+  parse(log) {
+    const header =
+      /^(?:\[ERROR\]\s+)?(?!Tests run:)([\w.$]+?)(?:\(([\w.$]+)\))?\s+(?:--\s+)?Time elapsed:.*<<< (?:FAILURE|ERROR)!/;
+    const blocks = splitBlocks(
+      toLines(log),
+      header,
+      /^\s*$|^\[(INFO|ERROR|WARNING)\]/,
+    );
+
+    return blocks.map((block) => {
+      // testAdd(com.example.MathTest) or com.example.MathTest.testAdd
+      const testClass =
+        block.match[2] || block.match[1].split(".").slice(0, -1).join(".");
+      const method = block.match[2]
+        ? block.match[1]
+        : block.match[1].split(".").pop();
+
+      const stackLines = block.lines.filter((l) => STACK_LINE.test(l));
+      const messageLines = block.lines.filter((l) => !STACK_LINE.test(l));
+      const location = stackLines
+        .map((l) => javaFrameLocation(l, testClass))
+        .find(Boolean);
+
+      return failureRecord({
+        file: location?.file,
+        line: location?.line,
+        message: cleanMessage(messageLines),
+        testName: `${testClass}.${method}`,
+        stack: stackLines.join("\n"),
+      });
+    });
+  },
+};
+
+const phpunitParser = {
+  name: "phpunit",
+  detect: (log) => /^There (?:was|were) \d+ (?:failure|error)s?:$/m.test(log),
+  parse(log) {
+    const lines = toLines(log);
+    const start = lines.findIndex((l) =>
+      /^There (?:was|were) \d+ (?:failure|error)s?:$/.test(l),
+    );
+    const blocks = splitBlocks(
+      lines.slice(start + 1),
+      /^\d+\) (\S.*)$/,
+      /^(FAILURES!|ERRORS!|--$|There (?:was|were) \d+)/,
+    );
+    const pathLine = /^(\/?[\w./\\-]+\.php):(\d+)$/;
+
+    return blocks.map((block) => {
+      const stopAt = block.lines.findIndex((l) => pathLine.test(l.trim()));
+      const messageLines =
+        stopAt === -1 ? block.lines : block.lines.slice(0, stopAt);
+      const frames = block.lines
+        .map((l) => l.trim().match(pathLine))
+        .filter(Boolean);
+
+      return failureRecord({
+        file: frames[0]?.[1],
+        line: frames[0] ? parseInt(frames[0][2], 10) : 0,
+        message: cleanMessage(messageLines),
+        testName: block.match[1].trim(),
+        stack: frames.map((f) => f[0]).join("\n"),
+      });
+    });
+  },
+};
+
+// ===========================
+// 🔎 Dispatch
+// ===========================
+
+// Order matters: Vitest output also matches looser Jest-style patterns
+const PARSERS = [
+  vitestParser,
+  jestParser,
+  mochaParser,
+  pytestParser,
+  unittestParser,
+  goParser,
+  cargoParser,
+  surefireParser,
+  phpunitParser,
+];
+
+/**
+ * Parse a raw test log with every parser that recognizes it
+ *
+ * Returns { frameworks: string[], failures: [] } or null when no parser
+ * recognized the log (the caller should fall back to the model).
+ */
+function parseTestLog(log) {
+  if (!log || typeof log !== "string") return null;
+
+  const frameworks = [];
+  const failures = [];
+  const seen = new Set();
+
+  for (const parser of PARSERS) {
+    if (!parser.detect(log)) continue;
+
+    let parsed;
+    try {
+      parsed = parser.parse(log);
+    } catch (error) {
+      console.warn(`⚠️  ${parser.name} parser failed: ${error.message}`);
+      continue;
+    }
+    if (parsed.length === 0) continue;
+
+    frameworks.push(parser.name);
+    for (const failure of parsed) {
+      const key = `${failure.test_name}|${failure.file}|${failure.line}`;
+      if (seen.has(key)) continue; // Jest repeats failures in its summary
+      seen.add(key);
+      failures.push(failure);
+    }
+  }
+
+  return frameworks.length > 0 ? { frameworks, failures } : null;
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  parseTestLog,
+  PARSERS,
+};
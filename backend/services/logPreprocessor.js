@@ -0,0 +1,206 @@
+/**
+ * Log Preprocessor
+ *
+ * Cleans raw test logs before extraction (ANSI colour codes, the
+ * npm/pip install output the sandbox test runner mixes in) and splits
+ * large logs into chunks that end on failure boundaries, so each
+ * extractor call sees whole failures and stays within its output cap.
+ */
+
+const { estimateTokens } = require("./sourceContext");
+
+const DEFAULT_CHUNK_TOKENS = parseInt(
+  process.env.HEALING_EXTRACT_CHUNK_TOKENS || "4000",
+  10,
+);
+
+// ===========================
+// 🧹 Cleaning
+// ===========================
+
+// CSI sequences (colours, cursor movement) and OSC sequences (links)
+const ANSI_PATTERN =
+  /\u001b\[[0-9;?]*[ -/]*[@-~]|\u001b\][^\u0007\u001b]*(?:\u0007|\u001b\\)/g;
+
+function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, "");
+}
+
+// Tagged sections written by runTestCommandInContainer
+const NOISE_TAG = /^\[(NPM|PIP|SETUP)\]/;
+const ANY_TAG = /^\s*\[[A-Z][A-Z -]*\]/;
+const RUNNER_MARKER = /^\[(STDOUT|STDERR|TEST|EXIT CODE)\]/;
+
+// Untagged package manager chatter
+const NOISE_LINES = [
+  /^npm (WARN|notice|info|http|timing)\b/,
+  /^(added|removed|changed|up to date)\b.*\b(packages?|audited)\b/,
+  /^\d+ packages? (are|is) looking for funding/,
+  /^\s*run `npm fund`/,
+  /^found \d+ vulnerabilit/,
+  /^\s*run `npm audit fix`/,
+  /^(Requirement already satisfied|Collecting|Downloading|Using cached|Obtaining|Building wheels?|Installing collected packages|Successfully (installed|built)|Created wheel|Stored in directory|Preparing metadata)\b/,
+  /^\s*(━|-)+ [\d.]+\/[\d.]+ [kMG]?B/,
+  /^WARNING: Running pip as the 'root' user/,
+  /^\[notice\] /,
+];
+
+/**
+ * Strip ANSI codes and install noise from a raw test log
+ */
+function preprocessLog(rawLog) {
+  if (!rawLog) return "";
+
+  const lines = stripAnsi(rawLog)
+    .replace(/\r\n/g, "\n")
+    .replace(/\r/g, "\n")
+    .split("\n");
+
+  const kept = [];
+  let inNoiseBlock = false;
+  for (const line of lines) {
+    if (NOISE_TAG.test(line)) {
+      // [NPM] / [PIP] output runs until the next tagged line
+      inNoiseBlock = true;
+      continue;
+    }
+    if (inNoiseBlock && !ANY_TAG.test(line)) continue;
+    inNoiseBlock = false;
+
+    if (RUNNER_MARKER.test(line)) continue;
+    if (NOISE_LINES.some((pattern) => pattern.test(line))) continue;
+    kept.push(line);
+  }
+
+  return kept
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// ===========================
+// ✂️ Chunking
+// ===========================
+
+// Lines that start a new failure in common runner output
+const FAILURE_BOUNDARIES = [
+  /^\s*●\s+\S/, // Jest
+  /^\s*(FAIL|PASS)\s+\S/, // Jest / Vitest file headers
+  /^\s*\d+\)\s+\S/, // Mocha / PHPUnit
+  /^_{3,} .+ _{3,}$/, // pytest
+  /^={20,}$/, // unittest
+  /^\s*--- FAIL: /, // Go
+  /^---- \S+ stdout ----$/, // cargo
+  /<<< (FAILURE|ERROR)!/, // Maven Surefire
+  /^Traceback \(most recent call last\)/, // Python
+];
+
+/**
+ * Split a log into segments that each start at a failure boundary
+ */
+function splitAtBoundaries(log) {
+  const segments = [];
+  let current = [];
+  for (const line of log.split("\n")) {
+    if (
+      current.length > 0 &&
+      FAILURE_BOUNDARIES.some((pattern) => pattern.test(line))
+    ) {
+      segments.push(current.join("\n"));
+      current = [];
+    }
+    current.push(line);
+  }
+  if (current.length > 0) segments.push(current.join("\n"));
+  return segments;
+}
+
+/**
+ * Hard-split one oversized segment by lines
+ */
+function splitByLines(segment, maxTokens) {
+  const pieces = [];
+  let current = [];
+  let tokens = 0;
+  for (const line of segment.split("\n")) {
+    const lineTokens = estimateTokens(line) + 1;
+    if (current.length > 0 && tokens + lineTokens > maxTokens) {
+      pieces.push(current.join("\n"));
+      current = [];
+      tokens = 0;
+    }
+    current.push(line);
+    tokens += lineTokens;
+  }
+  if (current.length > 0) pieces.push(current.join("\n"));
+  return pieces;
+}
+
+/**
+ * Pack failure-bounded segments into chunks of at most `maxTokens`
+ */
+function chunkLog(log, options = {}) {
+  const { maxTokens = DEFAULT_CHUNK_TOKENS } = options;
+  if (!log) return [];
+  if (estimateTokens(log) <= maxTokens) return [log];
+
+  const chunks = [];
+  let current = "";
+  for (const segment of splitAtBoundaries(log)) {
+    const pieces =
+      estimateTokens(segment) > maxTokens
+        ? splitByLines(segment, maxTokens)
+        : [segment];
+
+    for (const piece of pieces) {
+      const joined = current ? `${current}\n${piece}` : piece;
+      if (current && estimateTokens(joined) > maxTokens) {
+        chunks.push(current);
+        current = piece;
+      } else {
+        current = joined;
+      }
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// ===========================
+// 🔗 Merging
+// ===========================
+
+/**
+ * Merge per-chunk failures, dropping duplicates (same location and
+ * first message line)
+ */
+function mergeFailures(failureLists) {
+  const seen = new Set();
+  const merged = [];
+  for (const failure of failureLists.flat()) {
+    if (!failure || !failure.file) continue;
+    const key = [
+      failure.file,
+      failure.line || 0,
+      String(failure.error_message || "")
+        .split("\n")[0]
+        .trim(),
+    ].join("|");
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push(failure);
+  }
+  return merged;
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  stripAnsi,
+  preprocessLog,
+  chunkLog,
+  mergeFailures,
+  DEFAULT_CHUNK_TOKENS,
+};
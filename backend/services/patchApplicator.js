@@ -2,12 +2,52 @@
  * Patch Applicator Service
  *
  * Automatically applies approved fixes to files in Docker container
- * and re-runs tests to verify improvements
+ * and re-runs tests to verify improvements. A fix is a change set (see
+ * services/changeSet.js) that is applied completely or not at all.
+ * Typed fix actions (dependencies, config keys, env vars) go through
+ * services/fixActions.js, never through a shell. Files a fix writes
+ * must still parse (services/syntaxCheck.js) or the fix is undone.
  */
 
-const { exec } = require("child_process");
+const { exec, execFile, spawn } = require("child_process");
+const path = require("path");
 const util = require("util");
 const execPromise = util.promisify(exec);
+const execFilePromise = util.promisify(execFile);
+const { applyHunks } = require("./unifiedDiff");
+const { splitEdits, editsFromDiff, patchEdits } = require("./changeSet");
+const {
+  applyFixAction,
+  actionFile,
+  describeFixAction,
+  createsMissingFile,
+  installCommand,
+  manifestKind,
+} = require("./fixActions");
+const { resolveContainerPath } = require("./sourceContext");
+const {
+  checkSyntax,
+  typeCheckErrors,
+  newTypeErrors,
+  formatSyntaxErrors,
+  isTypeScript,
+  DEFAULT_TYPECHECK_COMMAND,
+} = require("./syntaxCheck");
+const {
+  readFileFromContainer,
+  sanitize,
+} = require("../controllers/testRunnerController");
+
+const INSTALL_TIMEOUT = parseInt(
+  process.env.HEALING_INSTALL_TIMEOUT || "300000",
+  10,
+);
+
+// Files an install rewrites next to its manifest, by manifest kind
+const LOCKFILES = {
+  npm: ["package-lock.json", "npm-shrinkwrap.json"],
+  pip: [],
+};
 
 // ===========================
 // 🔧 Apply Patches to Container
@@ -16,7 +56,12 @@ const execPromise = util.promisify(exec);
 /**
  * Apply approved fixes to files in Docker container
  */
-async function applyFixesToContainer(containerName, fixes) {
+async function applyFixesToContainer(
+  containerName,
+  fixes,
+  workDir,
+  options = {},
+) {
   console.log(
     `\n🔧 [APPLY] Applying ${fixes.length} fixes to container ${containerName}...`,
   );
@@ -26,20 +71,19 @@ async function applyFixesToContainer(containerName, fixes) {
   for (const fix of fixes) {
     try {
       console.log(`\n📝 Applying fix to ${fix.file}:${fix.line}`);
-      console.log(`   Fix: ${fix.patch_instructions}`);
 
-      // Parse the patch instructions
-      const patchResult = await executePatchInstruction(
+      const patchResult = await applyChangeSet(
         containerName,
-        fix.file,
-        fix.patch_instructions,
+        workDir,
+        patchEdits(fix),
+        options,
       );
 
       results.push({
         file: fix.file,
         line: fix.line,
         status: "APPLIED",
-        output: patchResult,
+        files: patchResult.files,
         timestamp: new Date().toISOString(),
       });
 
@@ -51,6 +95,8 @@ async function applyFixesToContainer(containerName, fixes) {
         line: fix.line,
         status: "FAILED",
         error: error.message,
+        files: error.files || [],
+        syntaxErrors: error.syntaxErrors || [],
         timestamp: new Date().toISOString(),
       });
     }
@@ -68,69 +114,535 @@ async function applyFixesToContainer(containerName, fixes) {
 }
 
 /**
- * Execute individual patch instruction
- * Handles different fix types (code replacement, command execution, etc.)
+ * Write file content inside the container (content goes over stdin,
+ * so nothing from the patch is interpolated into a shell command)
+ */
+function writeFileToContainer(containerName, filePath, content) {
+  const safeFilePath = sanitize(filePath);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn("docker", [
+      "exec",
+      "-i",
+      containerName,
+      "sh",
+      "-c",
+      'mkdir -p "$(dirname "$1")" && cat > "$1"',
+      "sh",
+      safeFilePath,
+    ]);
+
+    let stderr = "";
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Timed out writing ${filePath}`));
+    }, 30000);
+
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(`Failed to write ${filePath}: ${stderr.trim()}`));
+    });
+
+    child.stdin.end(content);
+  });
+}
+
+/**
+ * Run a fixed shell script on a file in the container (the path is a
+ * positional argument, never part of the script)
  */
-async function executePatchInstruction(containerName, filePath, instruction) {
-  // Check if it's a code replacement (contains "→" or "replace")
+async function containerFileScript(containerName, script, filePath) {
+  return execFilePromise(
+    "docker",
+    ["exec", containerName, "sh", "-c", script, "sh", sanitize(filePath)],
+    { timeout: 30000 },
+  );
+}
+
+async function fileExistsInContainer(containerName, filePath) {
+  try {
+    await containerFileScript(containerName, 'test -e "$1"', filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 1) return false;
+    throw error;
+  }
+}
+
+async function removeFileFromContainer(containerName, filePath) {
+  try {
+    await containerFileScript(containerName, 'rm -f "$1"', filePath);
+  } catch (error) {
+    throw new Error(`Failed to remove ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Map a diff path to a path inside `workDir`
+ *
+ * Absolute paths must live under `sourceRoot` (the repository the patch
+ * was written against) and are rebased onto `workDir`, so a patch can be
+ * applied to an isolated copy of the repository. Relative paths may not
+ * climb out of it.
+ */
+function repoFilePath(workDir, filePath, sourceRoot = workDir) {
+  const root = path.posix.isAbsolute(filePath) ? sourceRoot : workDir;
+  const fullPath = path.posix.isAbsolute(filePath)
+    ? filePath
+    : resolveContainerPath(workDir, filePath);
+  const relative = path.posix.relative(root, fullPath);
   if (
-    instruction.includes("→") ||
-    instruction.toLowerCase().includes("replace")
+    relative === "" ||
+    relative.startsWith("..") ||
+    path.posix.isAbsolute(relative)
   ) {
-    return await applyCodePatch(containerName, filePath, instruction);
+    throw new Error(`Patch touches ${filePath}, outside the repository`);
   }
-
-  // Otherwise, treat as shell command
-  return await executeShellCommand(containerName, instruction);
+  return path.posix.join(workDir, relative);
 }
 
 /**
- * Apply code patch (find and replace)
+ * Work out one file edit against the current files: its result entry
+ * and, when it applies, the writes/removals it needs
  */
-async function applyCodePatch(containerName, filePath, instruction) {
-  try {
-    // Parse: "old code → new code"
-    const parts = instruction.split("→").map((s) => s.trim());
+async function planFileEdit(containerName, workDir, filePatch, sourceRoot) {
+  const { action, oldPath, newPath } = filePatch;
+  const result = {
+    file: newPath || oldPath,
+    action,
+    ...(action === "rename" ? { from: oldPath } : {}),
+    status: "FAILED",
+    hunks: [],
+  };
+  const oldFull = oldPath && repoFilePath(workDir, oldPath, sourceRoot);
+  const newFull = newPath && repoFilePath(workDir, newPath, sourceRoot);
 
-    if (parts.length !== 2) {
-      throw new Error("Invalid patch format. Expected: 'old_code → new_code'");
+  let original = "";
+  if (oldFull) {
+    try {
+      original = await readFileFromContainer(containerName, oldFull);
+    } catch (error) {
+      return {
+        result: {
+          ...result,
+          reason: `${oldPath} does not exist or cannot be read`,
+        },
+      };
     }
+  }
+  if (
+    (action === "create" || action === "rename") &&
+    (await fileExistsInContainer(containerName, newFull))
+  ) {
+    return { result: { ...result, reason: `${newPath} already exists` } };
+  }
+
+  const outcome =
+    filePatch.hunks.length > 0
+      ? applyHunks(original, filePatch.hunks)
+      : { success: true, content: original, hunks: [] };
+  result.hunks = outcome.hunks;
+
+  outcome.hunks
+    .filter((h) => h.status === "APPLIED" && (h.offset !== 0 || h.fuzz > 0))
+    .forEach((h) =>
+      console.log(
+        `   ⚠️  ${result.file} hunk #${h.index + 1} applied at line ${h.line} (offset ${h.offset}, fuzz ${h.fuzz})`,
+      ),
+    );
+
+  if (!outcome.success) return { result };
 
-    const [oldCode, newCode] = parts;
+  // Each step remembers what it replaced so it can be undone
+  const steps = [];
+  if (newFull) {
+    steps.push({
+      fullPath: newFull,
+      content: outcome.content,
+      previous: action === "modify" ? original : null,
+    });
+  }
+  if (action === "delete" || action === "rename") {
+    steps.push({ fullPath: oldFull, content: null, previous: original });
+  }
+  return { result: { ...result, status: "APPLIED" }, steps };
+}
 
-    // Escape special characters for shell
-    const escapedOld = oldCode.replace(/'/g, "'\\''");
-    const escapedNew = newCode.replace(/'/g, "'\\''");
+/**
+ * Work out the fix actions on one file: each action rewrites the
+ * contents the previous one produced, so they land as a single write
+ */
+async function planFixActions(
+  containerName,
+  workDir,
+  file,
+  actions,
+  sourceRoot,
+) {
+  const result = {
+    file,
+    action: "fix_actions",
+    actions: actions.map(describeFixAction),
+    status: "FAILED",
+    hunks: [],
+  };
+  let fullPath;
+  try {
+    fullPath = repoFilePath(workDir, file, sourceRoot);
+  } catch (error) {
+    return { result: { ...result, reason: error.message } };
+  }
 
-    // Use sed to replace in container
-    const cmd = `docker exec ${containerName} sed -i "s/'${escapedOld}'/'${escapedNew}'/g" ${filePath}`;
+  let original = null;
+  try {
+    original = await readFileFromContainer(containerName, fullPath);
+  } catch (error) {
+    if (!actions.every(createsMissingFile)) {
+      return {
+        result: {
+          ...result,
+          reason: `${file} does not exist or cannot be read`,
+        },
+      };
+    }
+  }
 
-    const { stdout, stderr } = await execPromise(cmd, { timeout: 30000 });
+  let content = original ?? "";
+  for (const action of actions) {
+    try {
+      content = applyFixAction(content, action);
+    } catch (error) {
+      return { result: { ...result, reason: error.message } };
+    }
+  }
+  return {
+    result: { ...result, status: "APPLIED" },
+    steps: [{ fullPath, content, previous: original }],
+  };
+}
 
-    if (stderr && !stderr.includes("warning")) {
-      throw new Error(`sed error: ${stderr}`);
+/**
+ * What installing for `manifest` changes besides the manifest, taken
+ * before the install so it can be undone: its lockfiles and where a
+ * symlinked node_modules (isolated worktrees) points
+ */
+async function snapshotInstall(containerName, workDir, manifest, sourceRoot) {
+  const kind = manifestKind(manifest);
+  const dir = path.posix.dirname(repoFilePath(workDir, manifest, sourceRoot));
+  const lockfiles = [];
+  for (const name of LOCKFILES[kind] || []) {
+    const fullPath = path.posix.join(dir, name);
+    let previous = null;
+    if (await fileExistsInContainer(containerName, fullPath)) {
+      // Lockfiles outgrow readFileFromContainer's buffer
+      ({ stdout: previous } = await execFilePromise(
+        "docker",
+        ["exec", containerName, "cat", sanitize(fullPath)],
+        { timeout: 30000, maxBuffer: 50 * 1024 * 1024 },
+      ));
     }
+    lockfiles.push({ fullPath, previous });
+  }
 
-    return `Code replaced in ${filePath}`;
+  let link = null;
+  if (kind === "npm") {
+    try {
+      const { stdout } = await containerFileScript(
+        containerName,
+        'readlink "$1"',
+        path.posix.join(dir, "node_modules"),
+      );
+      link = stdout.trim();
+    } catch (error) {
+      if (error.code !== 1) throw error; // 1: not a symlink
+    }
+  }
+  return { manifest, kind, dir, lockfiles, link };
+}
+
+/**
+ * Run the fixed install command for a manifest's kind (see
+ * installCommand) in its directory. A symlinked node_modules is
+ * replaced by a copy first so the original checkout is left alone.
+ */
+async function runInstall(containerName, { manifest, dir, link }) {
+  const { command, args } = installCommand(manifest);
+  if (link) {
+    await execFilePromise(
+      "docker",
+      [
+        "exec",
+        "-w",
+        dir,
+        containerName,
+        "sh",
+        "-c",
+        "cp -RL node_modules node_modules.heal && rm node_modules && mv node_modules.heal node_modules",
+      ],
+      { timeout: INSTALL_TIMEOUT },
+    );
+  }
+  try {
+    await execFilePromise(
+      "docker",
+      ["exec", "-w", dir, containerName, command, ...args],
+      { timeout: INSTALL_TIMEOUT, maxBuffer: 10 * 1024 * 1024 },
+    );
   } catch (error) {
-    throw new Error(`Code patch failed: ${error.message}`);
+    const output = (error.stderr || error.message).trim().split("\n");
+    throw new Error(
+      `Installing dependencies for ${manifest} failed: ${output.slice(-5).join("\n")}`,
+    );
+  }
+}
+
+/**
+ * Undo an install once its manifest is restored: put the lockfiles
+ * back, then point node_modules at its old target again or reinstall
+ * from the restored files. pip cannot remove what it added, so packages
+ * a reverted fix installed stay in site-packages.
+ */
+async function undoInstall(containerName, snapshot) {
+  for (const lockfile of snapshot.lockfiles) {
+    await runFileStep(containerName, lockfile.fullPath, lockfile.previous);
+  }
+  if (snapshot.link) {
+    await execFilePromise(
+      "docker",
+      [
+        "exec",
+        "-w",
+        snapshot.dir,
+        containerName,
+        "sh",
+        "-c",
+        'rm -rf node_modules && ln -s "$1" node_modules',
+        "sh",
+        snapshot.link,
+      ],
+      { timeout: INSTALL_TIMEOUT },
+    );
+    return;
+  }
+  if (snapshot.kind === "pip") {
+    console.warn(
+      `   ⚠️  Packages installed for ${snapshot.manifest} stay installed`,
+    );
   }
+  await runInstall(containerName, { ...snapshot, link: null });
 }
 
 /**
- * Execute shell command in container
+ * Write (content) or remove (content null) one file
  */
-async function executeShellCommand(containerName, command) {
+async function runFileStep(containerName, fullPath, content) {
+  if (content === null) {
+    await removeFileFromContainer(containerName, fullPath);
+  } else {
+    await writeFileToContainer(containerName, fullPath, content);
+  }
+}
+
+/**
+ * Apply a change set (see services/changeSet.js) to the container
+ *
+ * Every edit is checked against the current files before anything is
+ * written: hunks must apply, changed files must exist and created or
+ * renamed-to files must not, fix actions must fit their file. Once
+ * written, the files are syntax checked, then the packages of changed
+ * dependency manifests are installed (option `install: false` skips
+ * that), then the files are type checked when `typeCheckCommand` is set
+ * (default HEALING_TYPECHECK_COMMAND; option `syntaxCheck: false` skips
+ * both checks). If a write, install or check fails, the file changes
+ * and installs already made are undone (see undoInstall), so the
+ * change set lands completely or not at all. On
+ * failure the thrown error carries per-file, per-hunk results, and
+ * `syntaxErrors` when a check failed. `patchFailed` marks errors that
+ * are the patch's fault (invalid edits, edits that do not fit the
+ * files, syntax errors), as opposed to docker or install failures.
+ */
+async function applyChangeSet(containerName, workDir, edits, options = {}) {
+  const {
+    sourceRoot = workDir,
+    install = true,
+    syntaxCheck = true,
+    typeCheckCommand = DEFAULT_TYPECHECK_COMMAND,
+  } = options;
+  let filePatches;
+  let actions;
   try {
-    const { stdout, stderr } = await execPromise(
-      `docker exec ${containerName} ${command}`,
-      { timeout: 30000 },
+    ({ filePatches, actions } = splitEdits(edits));
+  } catch (error) {
+    error.patchFailed = true;
+    throw error;
+  }
+  const fileResults = [];
+  const steps = [];
+
+  for (const filePatch of filePatches) {
+    const plan = await planFileEdit(
+      containerName,
+      workDir,
+      filePatch,
+      sourceRoot,
+    );
+    fileResults.push(plan.result);
+    if (plan.steps) steps.push(...plan.steps);
+  }
+
+  const actionsByFile = new Map();
+  for (const action of actions) {
+    const file = actionFile(action);
+    actionsByFile.set(file, [...(actionsByFile.get(file) || []), action]);
+  }
+  for (const [file, fileActions] of actionsByFile) {
+    const plan = await planFixActions(
+      containerName,
+      workDir,
+      file,
+      fileActions,
+      sourceRoot,
+    );
+    fileResults.push(plan.result);
+    if (plan.steps) steps.push(...plan.steps);
+  }
+  const manifests = install
+    ? [...new Set(actions.filter((a) => a.manifest).map((a) => actionFile(a)))]
+    : [];
+
+  const failures = fileResults
+    .filter((f) => f.status === "FAILED")
+    .flatMap((f) => {
+      const failedHunks = f.hunks.filter((h) => h.status === "FAILED");
+      return failedHunks.length > 0
+        ? failedHunks.map((h) => `${f.file}: ${h.reason}`)
+        : [f.reason];
+    });
+
+  if (failures.length > 0) {
+    const error = new Error(`Patch did not apply:\n${failures.join("\n")}`);
+    error.files = fileResults;
+    error.patchFailed = true;
+    throw error;
+  }
+
+  // Written files, relative to workDir, for the checks
+  const written = syntaxCheck
+    ? steps
+        .filter((step) => step.content !== null)
+        .map((step) => ({
+          ...step,
+          file: path.posix.relative(workDir, step.fullPath),
+        }))
+    : [];
+  const typeChecked = written
+    .map((step) => step.file)
+    .filter((file) => typeCheckCommand && isTypeScript(file));
+  const typeBaseline =
+    typeChecked.length > 0
+      ? await typeCheckErrors(
+          containerName,
+          workDir,
+          typeCheckCommand,
+          typeChecked,
+        )
+      : null;
+
+  const compileError = (syntaxErrors) => {
+    const error = new Error(
+      `Patched files do not compile:\n${formatSyntaxErrors(syntaxErrors)}`,
     );
+    error.syntaxErrors = syntaxErrors;
+    error.patchFailed = true;
+    return error;
+  };
+
+  const done = [];
+  const installs = [];
+  try {
+    for (const step of steps) {
+      await runFileStep(containerName, step.fullPath, step.content);
+      done.push(step);
+    }
+
+    // Parse errors are found before anything is installed; type errors
+    // may depend on the installed packages
+    const syntaxErrors = await checkSyntax(containerName, written);
+    if (syntaxErrors.length > 0) throw compileError(syntaxErrors);
+
+    for (const manifest of manifests) {
+      const snapshot = await snapshotInstall(
+        containerName,
+        workDir,
+        manifest,
+        sourceRoot,
+      );
+      installs.push(snapshot);
+      console.log(`   📦 Installing dependencies for ${manifest}...`);
+      await runInstall(containerName, snapshot);
+    }
 
-    return stdout || stderr || "Command executed";
+    if (typeBaseline) {
+      const typeErrors = await typeCheckErrors(
+        containerName,
+        workDir,
+        typeCheckCommand,
+        typeChecked,
+      );
+      const introduced = newTypeErrors(typeBaseline, typeErrors || []);
+      if (introduced.length > 0) throw compileError(introduced);
+    }
   } catch (error) {
-    throw new Error(`Command execution failed: ${error.message}`);
+    console.error(
+      `   ↩️  Undoing ${done.length} file changes: ${error.message}`,
+    );
+    for (const step of done.reverse()) {
+      try {
+        await runFileStep(containerName, step.fullPath, step.previous);
+      } catch (undoError) {
+        console.error(
+          `   ❌ Could not restore ${step.fullPath}: ${undoError.message}`,
+        );
+      }
+    }
+    for (const snapshot of installs.reverse()) {
+      try {
+        await undoInstall(containerName, snapshot);
+      } catch (undoError) {
+        console.error(
+          `   ❌ Could not undo the install for ${snapshot.manifest}: ${undoError.message}`,
+        );
+      }
+    }
+    error.files = fileResults.map((f) => ({
+      ...f,
+      status: "ROLLED_BACK",
+    }));
+    throw error;
   }
+
+  return { files: fileResults };
+}
+
+/**
+ * Apply a unified diff (one or more files) to the container; see
+ * applyChangeSet
+ */
+async function applyDiffPatch(containerName, workDir, diffText, options = {}) {
+  return applyChangeSet(
+    containerName,
+    workDir,
+    editsFromDiff(diffText),
+    options,
+  );
 }
 
 /**
@@ -229,20 +741,26 @@ function compareTestResults(beforeResults, afterResults) {
 }
 
 /**
- * Full workflow: Apply fixes and verify
+ * Full workflow: Apply fixes and verify (options: see applyChangeSet)
  */
 async function applyFixesAndVerify(
   containerName,
   workDir,
   fixes,
   beforeTestResults,
+  options = {},
 ) {
   console.log(`\n${"=".repeat(70)}`);
   console.log(`🚀 [PATCH & VERIFY] Starting automatic fix application`);
   console.log(`${"=".repeat(70)}`);
 
   // Step 1: Apply patches
-  const applyResult = await applyFixesToContainer(containerName, fixes);
+  const applyResult = await applyFixesToContainer(
+    containerName,
+    fixes,
+    workDir,
+    options,
+  );
 
   if (!applyResult.success) {
     console.log(
@@ -331,5 +849,7 @@ module.exports = {
   rollbackChanges,
   commitChanges,
   detectTestCommand,
-  executePatchInstruction,
+  applyChangeSet,
+  applyDiffPatch,
+  writeFileToContainer,
 };
@@ -0,0 +1,270 @@
+/**
+ * Agent Graph Plugins
+ *
+ * Extra graph nodes, e.g. a secrets scan or a code-owner lookup, loaded
+ * from the plugins directory (plugins/ or HEALING_PLUGINS_DIR): every
+ * .js file there is a plugin module exporting
+ *
+ *   {
+ *     name: "secrets-scan",
+ *     description: "Flag patches that add credentials",
+ *     state: { secretFindings: [] },     // new state fields, initial values
+ *     config: { patterns: [] },          // default settings
+ *     nodes: [
+ *       {
+ *         name: "secrets_scan",
+ *         after: "patch",                // or before; extract, classify,
+ *                                        // patch or verify
+ *         reads: ["generatedPatches"],
+ *         writes: ["secretFindings"],
+ *         run: async (state, { config, runId }) => ({ secretFindings }),
+ *       },
+ *     ],
+ *   }
+ *
+ * A node only sees the state fields it reads and may only change the
+ * ones it writes. config/plugins.json (or HEALING_PLUGINS_FILE) turns
+ * plugins off and overrides their settings:
+ *
+ *   { "plugins": { "secrets-scan": { "enabled": true, "config": {...} } } }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { z } = require("zod");
+const { loadJsonConfig, parseConfig, describeIssues } = require("./jsonConfig");
+const { runIdOf } = require("./runEvents");
+
+const PLUGINS_DIR = path.resolve(
+  process.env.HEALING_PLUGINS_DIR || path.join(__dirname, "..", "plugins"),
+);
+
+const PLUGINS_FILE = path.resolve(
+  process.env.HEALING_PLUGINS_FILE ||
+    path.join(__dirname, "..", "config", "plugins.json"),
+);
+
+// Built-in nodes a plugin node can be placed before or after
+const ANCHORS = ["extract", "classify", "patch", "verify"];
+
+const FieldListSchema = z.array(z.string().min(1)).default([]);
+
+const PluginNodeSchema = z
+  .object({
+    name: z.string().regex(/^[a-z][a-z0-9_]*$/, {
+      message: "use lowercase letters, digits and underscores",
+    }),
+    before: z.enum(ANCHORS).optional(),
+    after: z.enum(ANCHORS).optional(),
+    reads: FieldListSchema,
+    writes: FieldListSchema,
+    run: z.custom((value) => typeof value === "function", {
+      message: "must be a function",
+    }),
+  })
+  .refine((node) => Boolean(node.before) !== Boolean(node.after), {
+    message: "set exactly one of before or after",
+  });
+
+const PluginSchema = z.object({
+  name: z.string().regex(/^[a-z][a-z0-9-]*$/, {
+    message: "use lowercase letters, digits and dashes",
+  }),
+  description: z.string().default(""),
+  state: z.record(z.string(), z.unknown()).default({}),
+  config: z.record(z.string(), z.unknown()).default({}),
+  nodes: z.array(PluginNodeSchema).min(1),
+});
+
+const SettingsSchema = z.object({
+  plugins: z
+    .record(
+      z.string(),
+      z.object({
+        enabled: z.boolean().default(true),
+        config: z.record(z.string(), z.unknown()).default({}),
+      }),
+    )
+    .default({}),
+});
+
+// ===========================
+// 📂 Loading
+// ===========================
+
+function parsePluginSettings(definition, source) {
+  return parseConfig(SettingsSchema, definition, `plugin settings (${source})`);
+}
+
+/**
+ * Plugin settings, re-read when the file's mtime changes ({} when there
+ * is no settings file)
+ */
+function loadPluginSettings() {
+  if (!fs.existsSync(PLUGINS_FILE)) return SettingsSchema.parse({});
+  return loadJsonConfig(PLUGINS_FILE, parsePluginSettings);
+}
+
+/**
+ * Validated plugin module from a file
+ */
+function readPlugin(file) {
+  const result = PluginSchema.safeParse(require(file));
+  if (!result.success) {
+    throw new Error(`Invalid plugin ${file}: ${describeIssues(result.error)}`);
+  }
+  return { ...result.data, file };
+}
+
+/**
+ * Enabled plugins from `dir` in file name order, each with its settings
+ * merged over its defaults
+ */
+function loadPlugins(dir = PLUGINS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const settings = loadPluginSettings().plugins;
+  const plugins = fs
+    .readdirSync(dir)
+    .filter((entry) => entry.endsWith(".js"))
+    .sort()
+    .map((entry) => readPlugin(path.join(dir, entry)));
+
+  const names = plugins.map((plugin) => plugin.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) {
+    throw new Error(`Plugin ${duplicate} is defined more than once in ${dir}`);
+  }
+  for (const name of Object.keys(settings)) {
+    if (!names.includes(name)) {
+      console.warn(
+        `⚠️  Settings for unknown plugin ${name} in ${PLUGINS_FILE}`,
+      );
+    }
+  }
+
+  return plugins
+    .filter((plugin) => settings[plugin.name]?.enabled !== false)
+    .map((plugin) => ({
+      ...plugin,
+      config: { ...plugin.config, ...settings[plugin.name]?.config },
+    }));
+}
+
+/**
+ * Check plugins against the graph: node names and new state fields
+ * must be unique, and nodes may only read and write known fields
+ */
+function checkPlugins(plugins, { nodes, fields }) {
+  const nodeNames = new Set([...nodes, ...fields]);
+  const known = new Set(fields);
+
+  for (const plugin of plugins) {
+    for (const field of Object.keys(plugin.state)) {
+      if (known.has(field)) {
+        throw new Error(
+          `Plugin ${plugin.name} declares state field ${field}, which already exists`,
+        );
+      }
+      known.add(field);
+    }
+  }
+
+  for (const plugin of plugins) {
+    for (const node of plugin.nodes) {
+      if (nodeNames.has(node.name)) {
+        throw new Error(
+          `Plugin ${plugin.name} node ${node.name} clashes with an existing node or state field`,
+        );
+      }
+      nodeNames.add(node.name);
+
+      const unknown = [...node.reads, ...node.writes].filter(
+        (field) => !known.has(field),
+      );
+      if (unknown.length > 0) {
+        throw new Error(
+          `Plugin ${plugin.name} node ${node.name} uses unknown state fields: ${[...new Set(unknown)].join(", ")}`,
+        );
+      }
+    }
+  }
+  return plugins;
+}
+
+// ===========================
+// 🔌 Graph Integration
+// ===========================
+
+/**
+ * Node names in running order: the built-in `order` with plugin nodes
+ * next to their anchors (plugins at the same spot run in load order)
+ */
+function placePluginNodes(order, plugins) {
+  const nodes = plugins.flatMap((plugin) => plugin.nodes);
+  const at = (position, name) =>
+    nodes.filter((node) => node[position] === name).map((node) => node.name);
+  return order.flatMap((name) => [
+    ...at("before", name),
+    name,
+    ...at("after", name),
+  ]);
+}
+
+/**
+ * Initial values of the state fields plugins add
+ */
+function pluginState(plugins) {
+  return Object.assign({}, ...plugins.map((plugin) => plugin.state));
+}
+
+/**
+ * A plugin node as a graph node: it gets copies of the fields it reads
+ * (initial values from `defaults` for fields older runs lack), so
+ * mutating them changes nothing, and returns the fields it changed.
+ * Changing a field it does not write is an error; fields passed back
+ * unchanged (e.g. `{ ...state, failures }`) are ignored.
+ */
+function pluginNode(plugin, node, defaults = plugin.state) {
+  return async (state, config) => {
+    console.log(`\n📍 [PLUGIN ${plugin.name}] Running ${node.name}...`);
+
+    const view = structuredClone(
+      Object.fromEntries(
+        node.reads.map((field) => [field, state[field] ?? defaults[field]]),
+      ),
+    );
+    const result =
+      (await node.run(view, {
+        config: plugin.config,
+        runId: runIdOf(config),
+      })) || {};
+
+    const update = {};
+    for (const [field, value] of Object.entries(result)) {
+      if (node.writes.includes(field)) {
+        update[field] = value;
+      } else if (value !== view[field]) {
+        throw new Error(
+          `Plugin ${plugin.name} node ${node.name} changed ${field}, which it does not declare in writes`,
+        );
+      }
+    }
+    return update;
+  };
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  loadPlugins,
+  checkPlugins,
+  placePluginNodes,
+  pluginState,
+  pluginNode,
+  ANCHORS,
+  PLUGINS_DIR,
+  PLUGINS_FILE,
+};
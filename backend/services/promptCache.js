@@ -0,0 +1,208 @@
+/**
+ * Prompt Response Cache
+ *
+ * Content-addressed, on-disk cache of model replies so identical
+ * prompts (the same failure re-classified on a retry round, a re-run on
+ * the same repo) are answered without calling the provider again.
+ *
+ * The key is a SHA-256 of provider, model, temperature, output cap,
+ * response schema and the full message list. Entries live in
+ * logs/prompt-cache/<ab>/<key>.json; reading an entry refreshes its
+ * mtime, so pruning drops the least recently used first.
+ *
+ * Settings (env):
+ * - HEALING_CACHE          "false" turns the cache off (default on)
+ * - HEALING_CACHE_DIR      cache directory (default logs/prompt-cache)
+ * - HEALING_CACHE_TTL_MS   entry lifetime in ms (default 86400000, 1 day)
+ * - HEALING_CACHE_MAX_MB   total size before pruning (default 50)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const CACHE_DIR = path.resolve(
+  process.env.HEALING_CACHE_DIR ||
+    path.join(__dirname, "..", "logs", "prompt-cache"),
+);
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const CACHE_ENABLED = process.env.HEALING_CACHE !== "false";
+const TTL_MS = envNumber("HEALING_CACHE_TTL_MS", 24 * 60 * 60 * 1000);
+const MAX_BYTES = envNumber("HEALING_CACHE_MAX_MB", 50) * 1024 * 1024;
+
+// Providers whose replies are already local and reproducible
+const UNCACHED_PROVIDERS = ["fixture"];
+
+/**
+ * Whether a call may use the cache. `overrides.cache: false` (per run)
+ * bypasses it; recording runs always call the model.
+ */
+function isCacheable(agentConfig, overrides = {}) {
+  return (
+    CACHE_ENABLED &&
+    overrides.cache !== false &&
+    !agentConfig.recordFile &&
+    !UNCACHED_PROVIDERS.includes(agentConfig.provider)
+  );
+}
+
+/**
+ * Cache key for one call
+ */
+function cacheKey(agentConfig, messages, responseSchema) {
+  const material = JSON.stringify({
+    provider: agentConfig.provider,
+    model: agentConfig.model,
+    baseUrl: agentConfig.baseUrl || null,
+    temperature: agentConfig.temperature,
+    maxOutputTokens: agentConfig.maxOutputTokens,
+    responseSchema: responseSchema || null,
+    messages: messages.map((m) => ({ role: m.role, content: m.content })),
+  });
+  return crypto.createHash("sha256").update(material).digest("hex");
+}
+
+function entryFile(key) {
+  return path.join(CACHE_DIR, key.slice(0, 2), `${key}.json`);
+}
+
+// ===========================
+// 📦 Read & Write
+// ===========================
+
+// Running total of the cache size, so writes only scan the directory
+// when it may be over the limit
+let cachedBytes = null;
+
+/**
+ * Cached reply ({ content, usage_metadata }) or null when missing or
+ * expired
+ */
+function getCachedResponse(key) {
+  const file = entryFile(key);
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    return null;
+  }
+
+  if (Date.now() - entry.storedAt > TTL_MS) {
+    fs.rmSync(file, { force: true });
+    return null;
+  }
+
+  const now = new Date();
+  fs.utimesSync(file, now, now);
+  return entry.response;
+}
+
+/**
+ * Store a reply; prunes the cache when it grows past its size limit.
+ * A failed write only logs a warning, it never fails the call.
+ */
+function storeResponse(key, response, meta = {}) {
+  const file = entryFile(key);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(
+      tmp,
+      JSON.stringify({
+        key,
+        ...meta,
+        storedAt: Date.now(),
+        response: {
+          content: response.content,
+          usage_metadata: response.usage_metadata,
+        },
+      }),
+    );
+    fs.renameSync(tmp, file);
+
+    if (cachedBytes === null) {
+      cachedBytes = listEntries().reduce((sum, e) => sum + e.size, 0);
+    } else {
+      cachedBytes += fs.statSync(file).size;
+    }
+    if (cachedBytes > MAX_BYTES) pruneCache();
+  } catch (error) {
+    console.warn(`   ⚠️  Prompt cache write failed: ${error.message}`);
+  }
+}
+
+// ===========================
+// 🧹 Pruning
+// ===========================
+
+function listEntries() {
+  if (!fs.existsSync(CACHE_DIR)) return [];
+  return fs.readdirSync(CACHE_DIR).flatMap((bucket) => {
+    const dir = path.join(CACHE_DIR, bucket);
+    if (!fs.statSync(dir).isDirectory()) return [];
+    return fs
+      .readdirSync(dir)
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => {
+        const file = path.join(dir, name);
+        const { size, mtimeMs } = fs.statSync(file);
+        return { file, size, mtimeMs };
+      });
+  });
+}
+
+/**
+ * Drop expired entries, then least recently used ones until the cache
+ * fits in HEALING_CACHE_MAX_MB
+ */
+function pruneCache() {
+  const now = Date.now();
+  const entries = listEntries().sort((a, b) => a.mtimeMs - b.mtimeMs);
+  let total = entries.reduce((sum, e) => sum + e.size, 0);
+
+  for (const entry of entries) {
+    if (total <= MAX_BYTES && now - entry.mtimeMs <= TTL_MS) break;
+    fs.rmSync(entry.file, { force: true });
+    total -= entry.size;
+  }
+  cachedBytes = total;
+}
+
+/**
+ * Entry count and size on disk
+ */
+function cacheStats() {
+  const entries = listEntries();
+  return {
+    enabled: CACHE_ENABLED,
+    entries: entries.length,
+    bytes: entries.reduce((sum, e) => sum + e.size, 0),
+    maxBytes: MAX_BYTES,
+    ttlMs: TTL_MS,
+  };
+}
+
+function clearCache() {
+  fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+  cachedBytes = 0;
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  isCacheable,
+  cacheKey,
+  getCachedResponse,
+  storeResponse,
+  pruneCache,
+  cacheStats,
+  clearCache,
+  CACHE_DIR,
+};
@@ -0,0 +1,198 @@
+/**
+ * Prompt Templates
+ *
+ * Agent prompts live in prompts/<version>/<name>.txt (HEALING_PROMPTS_DIR
+ * to move them), so they can be edited and A/B tested without code
+ * changes. `{{variable}}` placeholders are filled in by the nodes.
+ *
+ * A language directory overrides single templates for repos in that
+ * language, e.g. prompts/v1/python/patcher.txt; anything it does not
+ * define falls back to the version's base template. The version in use
+ * (HEALING_PROMPT_VERSION, or the run's `promptVersion`) is recorded
+ * with every run.
+ *
+ * Files are re-read when they change.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { LANGUAGES } = require("./ruleClassifier");
+
+const PROMPTS_DIR = path.resolve(
+  process.env.HEALING_PROMPTS_DIR || path.join(__dirname, "..", "prompts"),
+);
+
+const DEFAULT_PROMPT_VERSION = process.env.HEALING_PROMPT_VERSION || "v1";
+
+// A directory name in prompts/; starting with a letter or digit rules
+// out "." and ".."
+const VERSION_PATTERN = /^[A-Za-z0-9][\w.-]{0,63}$/;
+
+// Templates every version must define, with the variables each may use
+const TEMPLATE_VARIABLES = {
+  extractor: ["logs"],
+  classifier: ["categories", "hint", "error_message", "file", "line"],
+  "classifier-hint": ["bug_type", "rule"],
+  patcher: [
+    "file",
+    "line",
+    "error_message",
+    "bug_type",
+    "source",
+    "previous_attempt",
+  ],
+  "patcher-retry": ["attempt", "reasons", "previous_diff"],
+  verifier: ["error_message", "file", "source", "changes", "patch_diff"],
+};
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+function templateError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// ===========================
+// 📂 Loading
+// ===========================
+
+const fileCache = new Map();
+
+/**
+ * Template text (without the file's trailing newline), or null when
+ * the file does not exist
+ */
+function readTemplate(file) {
+  let mtimeMs;
+  try {
+    ({ mtimeMs } = fs.statSync(file));
+  } catch (error) {
+    return null;
+  }
+  const cached = fileCache.get(file);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.text;
+
+  const text = fs.readFileSync(file, "utf8").replace(/\r?\n$/, "");
+  fileCache.set(file, { mtimeMs, text });
+  return text;
+}
+
+function versionDir(version) {
+  if (!VERSION_PATTERN.test(version || "")) {
+    throw templateError(`Invalid prompt version: ${version}`);
+  }
+  return path.join(PROMPTS_DIR, version);
+}
+
+/**
+ * Prompt versions available on disk
+ */
+function listPromptVersions() {
+  if (!fs.existsSync(PROMPTS_DIR)) return [];
+  return fs
+    .readdirSync(PROMPTS_DIR)
+    .filter(
+      (name) =>
+        VERSION_PATTERN.test(name) &&
+        fs.statSync(path.join(PROMPTS_DIR, name)).isDirectory(),
+    )
+    .sort();
+}
+
+function checkPlaceholders(name, id, text) {
+  const allowed = TEMPLATE_VARIABLES[name];
+  for (const [, variable] of text.matchAll(PLACEHOLDER)) {
+    if (!allowed.includes(variable)) {
+      throw templateError(
+        `Prompt ${id} uses unknown variable {{${variable}}} (allowed: ${allowed.join(", ")})`,
+      );
+    }
+  }
+}
+
+/**
+ * Check a version before a run starts: every base template exists and
+ * every template (including language overrides) only uses known
+ * variables. Returns the version.
+ */
+function resolvePromptVersion(requested) {
+  const version = requested || DEFAULT_PROMPT_VERSION;
+  const dir = versionDir(version);
+  if (!fs.existsSync(dir)) {
+    throw templateError(
+      `Unknown prompt version "${version}" (available: ${listPromptVersions().join(", ") || "none"})`,
+    );
+  }
+
+  for (const name of Object.keys(TEMPLATE_VARIABLES)) {
+    const base = readTemplate(path.join(dir, `${name}.txt`));
+    if (base === null) {
+      throw templateError(`Prompt version ${version} is missing ${name}.txt`);
+    }
+    checkPlaceholders(name, `${version}/${name}`, base);
+
+    for (const language of LANGUAGES) {
+      const override = readTemplate(path.join(dir, language, `${name}.txt`));
+      if (override !== null) {
+        checkPlaceholders(name, `${version}/${language}/${name}`, override);
+      }
+    }
+  }
+  return version;
+}
+
+// ===========================
+// ✏️ Rendering
+// ===========================
+
+/**
+ * Render a template: { prompt, template } where `template` names the
+ * file used, e.g. "v1/python/patcher"
+ *
+ * Options:
+ * - version: prompt version (default HEALING_PROMPT_VERSION or v1)
+ * - language: repo language for overrides (see detectLanguage)
+ */
+function renderPrompt(name, variables, options = {}) {
+  if (!TEMPLATE_VARIABLES[name]) {
+    throw new Error(`Unknown prompt template: ${name}`);
+  }
+  const version = options.version || DEFAULT_PROMPT_VERSION;
+  const dir = versionDir(version);
+
+  let template = null;
+  let text = null;
+  if (options.language) {
+    text = readTemplate(path.join(dir, options.language, `${name}.txt`));
+    if (text !== null) template = `${version}/${options.language}/${name}`;
+  }
+  if (text === null) {
+    text = readTemplate(path.join(dir, `${name}.txt`));
+    template = `${version}/${name}`;
+  }
+  if (text === null) {
+    throw templateError(`Prompt template not found: ${version}/${name}.txt`);
+  }
+
+  const prompt = text.replace(PLACEHOLDER, (match, variable) => {
+    if (variables[variable] === undefined) {
+      throw new Error(`Prompt ${template} needs variable {{${variable}}}`);
+    }
+    return String(variables[variable]);
+  });
+  return { prompt, template };
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  renderPrompt,
+  resolvePromptVersion,
+  listPromptVersions,
+  TEMPLATE_VARIABLES,
+  DEFAULT_PROMPT_VERSION,
+  PROMPTS_DIR,
+};
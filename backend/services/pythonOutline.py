@@ -0,0 +1,75 @@
+"""Outline of a Python file for services/codeIntelligence.js.
+
+Run inside the sandbox as `python3 -c <this script> <file>`; prints
+{"symbols": [...], "references": [...], "imports": [...]} as JSON, or
+{"error": "..."} when the file does not parse.
+"""
+
+import ast
+import json
+import sys
+
+
+def outline(source):
+    tree = ast.parse(source)
+    symbols, references, imports = [], [], []
+
+    # parent: name of the enclosing class or function; in_class: whether
+    # that is a class (its functions are methods)
+    def visit(node, parent, in_class=False):
+        for child in ast.iter_child_nodes(node):
+            if isinstance(child, (ast.FunctionDef, ast.AsyncFunctionDef, ast.ClassDef)):
+                is_class = isinstance(child, ast.ClassDef)
+                kind = "class" if is_class else ("method" if in_class else "function")
+                start = min([child.lineno] + [d.lineno for d in child.decorator_list])
+                symbols.append({
+                    "name": child.name,
+                    "kind": kind,
+                    "startLine": start,
+                    "endLine": getattr(child, "end_lineno", child.lineno),
+                    "parent": parent,
+                })
+                visit(child, child.name, is_class)
+                continue
+            if isinstance(child, ast.Assign) and parent is None:
+                for target in child.targets:
+                    if isinstance(target, ast.Name):
+                        symbols.append({
+                            "name": target.id,
+                            "kind": "variable",
+                            "startLine": child.lineno,
+                            "endLine": getattr(child, "end_lineno", child.lineno),
+                            "parent": None,
+                        })
+            if isinstance(child, ast.Import):
+                for alias in child.names:
+                    imports.append({
+                        "name": alias.asname or alias.name.split(".")[0],
+                        "source": alias.name,
+                        "imported": None,
+                        "level": 0,
+                    })
+            if isinstance(child, ast.ImportFrom):
+                for alias in child.names:
+                    imports.append({
+                        "name": alias.asname or alias.name,
+                        "source": child.module or "",
+                        "imported": alias.name,
+                        "level": child.level,
+                    })
+            if isinstance(child, ast.Name) and isinstance(child.ctx, ast.Load):
+                references.append({"name": child.id, "line": child.lineno})
+            if isinstance(child, ast.Attribute):
+                references.append({"name": child.attr, "line": child.lineno})
+            visit(child, parent, in_class)
+
+    visit(tree, None)
+    return {"symbols": symbols, "references": references, "imports": imports}
+
+
+if __name__ == "__main__":
+    try:
+        with open(sys.argv[1], encoding="utf-8") as handle:
+            print(json.dumps(outline(handle.read())))
+    except (SyntaxError, ValueError, OSError) as error:
+        print(json.dumps({"error": str(error)}))
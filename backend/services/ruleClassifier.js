@@ -0,0 +1,197 @@
+/**
+ * Rule-Based Classifier
+ *
+ * Assigns a bug type to failures whose messages carry an unambiguous,
+ * language-specific signature (`IndentationError`, `Cannot find module`,
+ * `error[E0308]`, ...) so the classifier model is only asked about the
+ * rest. Every match has a confidence; the graph accepts rule results at
+ * or above HEALING_RULE_CONFIDENCE and asks the model otherwise.
+ *
+ * Patterns from the bug taxonomy count as rules too, with the
+ * taxonomy's `patternConfidence`.
+ */
+
+const path = require("path");
+const { categoryNames, preClassify } = require("./taxonomy");
+
+const DEFAULT_RULE_CONFIDENCE = parseFloat(
+  process.env.HEALING_RULE_CONFIDENCE || "0.85",
+);
+
+const LANGUAGE_EXTENSIONS = {
+  javascript: [".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".mts", ".cts"],
+  python: [".py"],
+  go: [".go"],
+  rust: [".rs"],
+  java: [".java"],
+  php: [".php"],
+};
+
+const LANGUAGES = Object.keys(LANGUAGE_EXTENSIONS);
+
+// ===========================
+// 🔏 Signatures
+// ===========================
+
+// Checked in order, most specific first; the first match decides. Low
+// confidences mark signatures that are known to be ambiguous.
+const SIGNATURES = {
+  javascript: [
+    ["js:json-parse", /SyntaxError: .*\bJSON\b/, "SYNTAX", 0.4],
+    ["js:syntax-error", /\bSyntaxError\b/, "SYNTAX", 0.95],
+    [
+      "js:missing-module",
+      /Cannot find module|ERR_MODULE_NOT_FOUND/,
+      "IMPORT",
+      0.95,
+    ],
+    ["ts:missing-module", /\berror TS2307\b/, "IMPORT", 0.95],
+    ["ts:type-error", /\berror TS\d+\b/, "TYPE_ERROR", 0.9],
+    [
+      "js:not-a-function",
+      /TypeError: .+ is not a (function|constructor)/,
+      "TYPE_ERROR",
+      0.9,
+    ],
+    ["js:not-defined", /ReferenceError: .+ is not defined/, "TYPE_ERROR", 0.9],
+    [
+      "js:nullish-access",
+      /TypeError: Cannot read propert(y|ies) of (undefined|null)/,
+      "TYPE_ERROR",
+      0.7,
+    ],
+    [
+      "js:stack-overflow",
+      /RangeError: Maximum call stack size exceeded/,
+      "RUNTIME",
+      0.85,
+    ],
+  ],
+  python: [
+    ["py:indentation", /\b(IndentationError|TabError)\b/, "INDENTATION", 0.98],
+    ["py:syntax-error", /\bSyntaxError\b/, "SYNTAX", 0.95],
+    [
+      "py:missing-module",
+      /\b(ModuleNotFoundError|ImportError)\b/,
+      "IMPORT",
+      0.95,
+    ],
+    ["py:name-error", /\bNameError\b/, "TYPE_ERROR", 0.9],
+    ["py:type-error", /\bTypeError\b/, "TYPE_ERROR", 0.85],
+    ["py:none-attribute", /AttributeError: 'NoneType'/, "TYPE_ERROR", 0.7],
+    ["py:zero-division", /\bZeroDivisionError\b/, "RUNTIME", 0.8],
+    ["py:key-error", /\bKeyError\b/, "RUNTIME", 0.6],
+  ],
+  go: [
+    ["go:syntax-error", /\bsyntax error:/, "SYNTAX", 0.95],
+    [
+      "go:missing-package",
+      /cannot find package|no required module provides package/,
+      "IMPORT",
+      0.95,
+    ],
+    ["go:undefined", /\bundefined: \w+/, "TYPE_ERROR", 0.9],
+    ["go:type-mismatch", /cannot use .+ as .+ value/, "TYPE_ERROR", 0.9],
+    ["go:panic", /panic: runtime error/, "RUNTIME", 0.8],
+  ],
+  rust: [
+    [
+      "rs:unresolved-import",
+      /error\[E0432\]|unresolved import/,
+      "IMPORT",
+      0.95,
+    ],
+    [
+      "rs:mismatched-types",
+      /error\[E0308\]|mismatched types/,
+      "TYPE_ERROR",
+      0.95,
+    ],
+    ["rs:syntax-error", /error: expected .+, found/, "SYNTAX", 0.9],
+    ["rs:assertion", /assertion `?.*`? failed|assertion failed/, "LOGIC", 0.5],
+    ["rs:panic", /panicked at/, "RUNTIME", 0.6],
+  ],
+  java: [
+    [
+      "java:syntax-error",
+      /'[;)}\]]' expected|illegal start of expression/,
+      "SYNTAX",
+      0.95,
+    ],
+    ["java:missing-package", /package [\w.]+ does not exist/, "IMPORT", 0.95],
+    ["java:incompatible-types", /incompatible types/, "TYPE_ERROR", 0.9],
+    ["java:missing-symbol", /cannot find symbol/, "TYPE_ERROR", 0.85],
+    ["java:null-pointer", /\bNullPointerException\b/, "RUNTIME", 0.75],
+  ],
+  php: [
+    ["php:parse-error", /\b(PHP Parse error|ParseError)\b/, "SYNTAX", 0.95],
+    ["php:missing-class", /Class ["']?[\w\\]+["']? not found/, "IMPORT", 0.85],
+    [
+      "php:undefined-call",
+      /Call to undefined (function|method)/,
+      "TYPE_ERROR",
+      0.85,
+    ],
+    ["php:type-error", /\bTypeError\b/, "TYPE_ERROR", 0.85],
+  ],
+};
+
+// ===========================
+// 🧮 Classification
+// ===========================
+
+/**
+ * Language of a failure from its file extension (null when unknown)
+ */
+function detectLanguage(file) {
+  const ext = path.extname(file || "").toLowerCase();
+  const entry = Object.entries(LANGUAGE_EXTENSIONS).find(([, exts]) =>
+    exts.includes(ext),
+  );
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Rule match for a failure: { bug_type, confidence, rule } or null
+ *
+ * Signatures for the failure's language are checked first (all
+ * languages when the extension is unknown); the taxonomy's patterns
+ * apply when none matches. Bug types the taxonomy does not define are
+ * ignored.
+ */
+function classifyByRules(failure, taxonomy) {
+  const message = String(failure.error_message || "");
+  const language = detectLanguage(failure.file);
+  const known = new Set(categoryNames(taxonomy));
+
+  const languages = language ? [language] : Object.keys(SIGNATURES);
+  for (const lang of languages) {
+    for (const [rule, pattern, bugType, confidence] of SIGNATURES[lang]) {
+      if (known.has(bugType) && pattern.test(message)) {
+        return { bug_type: bugType, confidence, rule };
+      }
+    }
+  }
+
+  const matched = preClassify(failure, taxonomy);
+  if (matched) {
+    return {
+      bug_type: matched,
+      confidence: taxonomy.patternConfidence,
+      rule: `taxonomy:${matched}`,
+    };
+  }
+  return null;
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  classifyByRules,
+  detectLanguage,
+  LANGUAGES,
+  SIGNATURES,
+  DEFAULT_RULE_CONFIDENCE,
+};
@@ -0,0 +1,119 @@
+/**
+ * Healing Run Events
+ *
+ * The agent graph reports its progress here as structured events:
+ * run started/paused/finished, node started/finished, failure
+ * extracted, patch generated, verdict. Each event is
+ * { runId, seq, type, timestamp, data }; `seq` counts up per run.
+ *
+ * `runEvents` emits every event as "event" and again under the run's
+ * id, so a CLI can watch all runs and the SSE endpoint a single one.
+ * The latest events of each run are kept in memory so a client that
+ * connects late (or reconnects) can catch up.
+ */
+
+const { EventEmitter } = require("events");
+
+// Events that end a run. A paused run (run_paused) goes on once it is
+// reviewed, so its stream stays open.
+const TERMINAL_EVENTS = ["run_finished", "run_failed"];
+
+const MAX_BUFFERED_EVENTS = 1000;
+
+// How long a finished or paused run's events stay replayable
+const BUFFER_TTL_MS = 10 * 60 * 1000;
+
+// How long the events of a run that stopped reporting without ending
+// (e.g. a node that threw past the graph) stay replayable
+const IDLE_TTL_MS = 60 * 60 * 1000;
+
+const runEvents = new EventEmitter();
+// One listener per open SSE connection
+runEvents.setMaxListeners(0);
+
+const buffers = new Map();
+
+// Last seq per run. Kept after its buffer expires, so a run resumed
+// later (e.g. reviewed after a pause) goes on counting and clients
+// reconnecting with Last-Event-ID still get its new events.
+const sequences = new Map();
+
+/**
+ * Publish an event for a run; no-op without a run id
+ */
+function emitRunEvent(runId, type, data = {}) {
+  if (!runId) return null;
+
+  let buffer = buffers.get(runId);
+  if (!buffer) {
+    buffer = { events: [], expiry: null };
+    buffers.set(runId, buffer);
+  }
+
+  const seq = (sequences.get(runId) || 0) + 1;
+  sequences.set(runId, seq);
+  const event = {
+    runId,
+    seq,
+    type,
+    timestamp: new Date().toISOString(),
+    data,
+  };
+  buffer.events.push(event);
+  if (buffer.events.length > MAX_BUFFERED_EVENTS) buffer.events.shift();
+
+  // Every buffer expires once its run goes quiet; each event restarts
+  // the clock
+  clearTimeout(buffer.expiry);
+  const ttl =
+    TERMINAL_EVENTS.includes(type) || type === "run_paused"
+      ? BUFFER_TTL_MS
+      : IDLE_TTL_MS;
+  buffer.expiry = setTimeout(() => buffers.delete(runId), ttl).unref();
+
+  runEvents.emit("event", event);
+  runEvents.emit(runId, event);
+  return event;
+}
+
+/**
+ * Run id of a graph invocation, from the node's config
+ */
+function runIdOf(config) {
+  return config?.configurable?.thread_id || null;
+}
+
+/**
+ * Buffered events of a run after `afterSeq`
+ */
+function getRunEvents(runId, afterSeq = 0) {
+  const buffer = buffers.get(runId);
+  return buffer ? buffer.events.filter((e) => e.seq > afterSeq) : [];
+}
+
+/**
+ * Call `listener` for each new event of a run; returns an unsubscribe
+ * function
+ */
+function subscribeToRun(runId, listener) {
+  runEvents.on(runId, listener);
+  return () => runEvents.off(runId, listener);
+}
+
+function isTerminalEvent(event) {
+  return TERMINAL_EVENTS.includes(event.type);
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  runEvents,
+  emitRunEvent,
+  runIdOf,
+  getRunEvents,
+  subscribeToRun,
+  isTerminalEvent,
+  TERMINAL_EVENTS,
+};
@@ -0,0 +1,264 @@
+/**
+ * Healing Run Store
+ *
+ * Persists healing runs under logs/runs/<runId>/ so a run survives a
+ * crash or a failing node and can be resumed or inspected later:
+ * - run.json          status, timestamps, error and the options needed
+ *                     to resume (API keys are never written)
+ * - checkpoints.json  LangGraph checkpoints and pending writes
+ *
+ * FileCheckpointSaver keeps LangGraph's MemorySaver bookkeeping and
+ * writes each run's part of it to disk after every checkpoint.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { MemorySaver } = require("@langchain/langgraph");
+
+const RUNS_DIR = path.resolve(
+  process.env.HEALING_RUNS_DIR || path.join(__dirname, "..", "logs", "runs"),
+);
+
+const RUN_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Options never persisted with a run: credential names such as apiKey,
+// clientSecret or authToken, not settings like maxOutputTokens
+const SECRET_KEYS =
+  /^(\w*api_?key|\w*secret|\w*password|\w*(auth|access)_?token)$/i;
+
+function runDir(runId) {
+  if (!RUN_ID_PATTERN.test(runId || "")) {
+    const error = new Error(`Invalid run id: ${runId}`);
+    error.status = 400;
+    throw error;
+  }
+  return path.join(RUNS_DIR, runId);
+}
+
+/**
+ * Write JSON via a temp file so a crash never leaves half a file
+ */
+function writeJsonAtomic(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value));
+  fs.renameSync(tmp, file);
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// ===========================
+// 💾 File Checkpointer
+// ===========================
+
+// MemorySaver stores serde output, which is always UTF-8 JSON
+const encode = (bytes) => Buffer.from(bytes).toString("utf8");
+const decode = (text) => new Uint8Array(Buffer.from(text, "utf8"));
+
+class FileCheckpointSaver extends MemorySaver {
+  constructor(dir = RUNS_DIR) {
+    super();
+    this.dir = dir;
+    this.loaded = new Set();
+  }
+
+  checkpointFile(threadId) {
+    runDir(threadId);
+    return path.join(this.dir, threadId, "checkpoints.json");
+  }
+
+  load(threadId) {
+    if (!threadId || this.loaded.has(threadId)) return;
+    this.loaded.add(threadId);
+
+    const file = this.checkpointFile(threadId);
+    if (!fs.existsSync(file)) return;
+
+    const saved = readJson(file);
+    this.storage[threadId] = {};
+    for (const [ns, checkpoints] of Object.entries(saved.storage)) {
+      this.storage[threadId][ns] = {};
+      for (const [id, [checkpoint, metadata, parentId]] of Object.entries(
+        checkpoints,
+      )) {
+        this.storage[threadId][ns][id] = [
+          decode(checkpoint),
+          decode(metadata),
+          parentId ?? undefined,
+        ];
+      }
+    }
+    for (const [key, writes] of Object.entries(saved.writes)) {
+      this.writes[key] = {};
+      for (const [inner, [taskId, channel, value]] of Object.entries(writes)) {
+        this.writes[key][inner] = [taskId, channel, decode(value)];
+      }
+    }
+  }
+
+  save(threadId) {
+    const storage = {};
+    for (const [ns, checkpoints] of Object.entries(
+      this.storage[threadId] || {},
+    )) {
+      storage[ns] = {};
+      for (const [id, [checkpoint, metadata, parentId]] of Object.entries(
+        checkpoints,
+      )) {
+        storage[ns][id] = [
+          encode(checkpoint),
+          encode(metadata),
+          parentId ?? null,
+        ];
+      }
+    }
+
+    const writes = {};
+    for (const [key, entries] of Object.entries(this.writes)) {
+      if (JSON.parse(key)[0] !== threadId) continue;
+      writes[key] = {};
+      for (const [inner, [taskId, channel, value]] of Object.entries(entries)) {
+        writes[key][inner] = [taskId, channel, encode(value)];
+      }
+    }
+
+    writeJsonAtomic(this.checkpointFile(threadId), { storage, writes });
+  }
+
+  async getTuple(config) {
+    this.load(config.configurable?.thread_id);
+    return super.getTuple(config);
+  }
+
+  async *list(config, options) {
+    const threadId = config.configurable?.thread_id;
+    if (threadId) {
+      this.load(threadId);
+    } else {
+      listRuns().forEach((run) => this.load(run.runId));
+    }
+    yield* super.list(config, options);
+  }
+
+  async put(config, checkpoint, metadata) {
+    const threadId = config.configurable?.thread_id;
+    this.load(threadId);
+    const result = await super.put(config, checkpoint, metadata);
+    this.save(threadId);
+    return result;
+  }
+
+  async putWrites(config, writes, taskId) {
+    const threadId = config.configurable?.thread_id;
+    this.load(threadId);
+    await super.putWrites(config, writes, taskId);
+    this.save(threadId);
+  }
+
+  /**
+   * Drop a finished run from memory (its files stay on disk)
+   */
+  release(threadId) {
+    delete this.storage[threadId];
+    for (const key of Object.keys(this.writes)) {
+      if (JSON.parse(key)[0] === threadId) delete this.writes[key];
+    }
+    this.loaded.delete(threadId);
+  }
+
+  async deleteThread(threadId) {
+    await super.deleteThread(threadId);
+    fs.rmSync(this.checkpointFile(threadId), { force: true });
+  }
+}
+
+// One saver per process so in-flight runs share its cache
+const checkpointer = new FileCheckpointSaver();
+
+// ===========================
+// 🗂️ Run Records
+// ===========================
+
+function stripSecrets(value) {
+  if (Array.isArray(value)) return value.map(stripSecrets);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !SECRET_KEYS.test(key))
+      .map(([key, entry]) => [key, stripSecrets(entry)]),
+  );
+}
+
+/**
+ * Create a run record; returns the run
+ */
+function createRun(options = {}) {
+  const runId = options.runId || crypto.randomUUID();
+  const now = new Date().toISOString();
+  const run = {
+    runId,
+    status: "running",
+    createdAt: now,
+    updatedAt: now,
+    error: null,
+    options: stripSecrets(options.options || {}),
+  };
+  writeJsonAtomic(path.join(runDir(runId), "run.json"), run);
+  return run;
+}
+
+/**
+ * Run record, or null when the run does not exist
+ */
+function getRun(runId) {
+  const file = path.join(runDir(runId), "run.json");
+  return fs.existsSync(file) ? readJson(file) : null;
+}
+
+function updateRun(runId, changes) {
+  const run = getRun(runId);
+  if (!run) throw new Error(`Run not found: ${runId}`);
+  const updated = {
+    ...run,
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+  writeJsonAtomic(path.join(runDir(runId), "run.json"), updated);
+  return updated;
+}
+
+/**
+ * All run records, newest first
+ */
+function listRuns() {
+  if (!fs.existsSync(RUNS_DIR)) return [];
+  return fs
+    .readdirSync(RUNS_DIR)
+    .filter((name) => RUN_ID_PATTERN.test(name))
+    .map((name) => {
+      try {
+        return getRun(name);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  checkpointer,
+  FileCheckpointSaver,
+  createRun,
+  getRun,
+  updateRun,
+  listRuns,
+  RUNS_DIR,
+};
@@ -0,0 +1,263 @@
+/**
+ * Source Context Service
+ *
+ * Fetches the failing file and the files referenced in its stack trace
+ * from the sandbox container, windows each around the reported line and
+ * trims the result to a token budget so the patch and verify prompts see
+ * the code they are reasoning about.
+ */
+
+const path = require("path");
+const {
+  readFileFromContainer,
+} = require("../controllers/testRunnerController");
+
+const DEFAULT_TOKEN_BUDGET = parseInt(
+  process.env.HEALING_CONTEXT_TOKENS || "3000",
+  10,
+);
+const DEFAULT_WINDOW_RADIUS = 40; // lines either side of the reported line
+const MIN_WINDOW_RADIUS = 5;
+const MAX_CONTEXT_FILES = 4;
+
+// ===========================
+// 🔎 Stack Frame Parsing
+// ===========================
+
+const FRAME_PATTERNS = [
+  // Python: File "app/models.py", line 42, in save
+  /File "([^"]+)", line (\d+)(?:, in (\S+))?/g,
+  // Node: at fn (src/file.js:42:10) / at src/file.js:42:10
+  /at (?:([\w$.<>\[\] ]+?) \()?((?:[A-Za-z]:)?[^\s():]+\.\w+):(\d+)(?::\d+)?\)?/g,
+  // Generic: path/to/file.ext:42
+  /(?<![\w./-])(\/?(?:[\w.-]+\/)*[\w.-]+\.(?:js|jsx|ts|tsx|mjs|cjs|py|go|rs|java|php|rb)):(\d+)/g,
+];
+
+// Frames that never point at repository code
+const IGNORED_FRAME =
+  /(^|\/)node_modules\/|^node:|^internal\/|site-packages\/|<anonymous>|^native$/;
+
+/**
+ * Extract { file, line, fn } frames from an error message / stack
+ */
+function extractStackFrames(text) {
+  if (!text) return [];
+  const frames = [];
+  const seen = new Set();
+
+  const add = (file, line, fn) => {
+    if (!file || IGNORED_FRAME.test(file)) return;
+    const key = `${file}:${line}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    frames.push({ file, line: parseInt(line, 10), fn: fn || null });
+  };
+
+  for (const match of text.matchAll(FRAME_PATTERNS[0])) {
+    add(match[1], match[2], match[3]);
+  }
+  for (const match of text.matchAll(FRAME_PATTERNS[1])) {
+    add(match[2], match[3], match[1]?.trim());
+  }
+  for (const match of text.matchAll(FRAME_PATTERNS[2])) {
+    add(match[1], match[2]);
+  }
+
+  return frames;
+}
+
+// ===========================
+// ✂️ Windowing & Budgeting
+// ===========================
+
+/**
+ * Rough token estimate (~4 characters per token)
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function contentLines(content) {
+  const lines = content.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * Line-numbered lines startLine..endLine (1-based, inclusive)
+ */
+function numberedSnippet(lines, startLine, endLine) {
+  const width = String(endLine).length;
+
+  const snippet = lines
+    .slice(startLine - 1, endLine)
+    .map((text, i) => `${String(startLine + i).padStart(width)} | ${text}`)
+    .join("\n");
+
+  return { startLine, endLine, totalLines: lines.length, snippet };
+}
+
+/**
+ * Cut a line-numbered window around `line` (1-based) out of file content
+ */
+function windowAround(content, line, radius) {
+  const lines = contentLines(content);
+  const center = line > 0 ? Math.min(line, lines.length) : 1;
+  return numberedSnippet(
+    lines,
+    Math.max(1, center - radius),
+    Math.min(lines.length, center + radius),
+  );
+}
+
+/**
+ * Cut the line-numbered range startLine..endLine out of file content
+ */
+function rangeSnippet(content, startLine, endLine) {
+  const lines = contentLines(content);
+  return numberedSnippet(
+    lines,
+    Math.max(1, startLine),
+    Math.min(lines.length, endLine),
+  );
+}
+
+/**
+ * Shrink the window until it fits the remaining budget
+ */
+function fitWindow(content, line, radius, remainingTokens) {
+  for (let r = radius; r >= MIN_WINDOW_RADIUS; r = Math.floor(r / 2)) {
+    const window = windowAround(content, line, r);
+    if (estimateTokens(window.snippet) <= remainingTokens) return window;
+  }
+  return null;
+}
+
+// ===========================
+// 📥 Fetch Context
+// ===========================
+
+/**
+ * Resolve a log path to a path inside the container
+ */
+function resolveContainerPath(workDir, file) {
+  if (path.posix.isAbsolute(file)) return file;
+  return path.posix.join(workDir, file.replace(/^\.\//, ""));
+}
+
+/**
+ * Build the list of { file, line } locations worth showing for a failure:
+ * the reported file first, then repository frames from the stack.
+ */
+function contextLocations(failure) {
+  const locations = [{ file: failure.file, line: failure.line }];
+  const frames = extractStackFrames(
+    [failure.error_message, failure.stack].filter(Boolean).join("\n"),
+  );
+  for (const frame of frames) {
+    if (
+      !locations.some((l) => l.file === frame.file && l.line === frame.line)
+    ) {
+      locations.push(frame);
+    }
+  }
+  return locations.slice(0, MAX_CONTEXT_FILES);
+}
+
+/**
+ * Collect windowed source snippets for one failure
+ *
+ * `readFile` is a memoized (fullPath) => Promise<string> so failures
+ * sharing a file only read it once per node run.
+ */
+async function collectSourceContext(failure, options) {
+  const {
+    workDir,
+    readFile,
+    tokenBudget = DEFAULT_TOKEN_BUDGET,
+    windowRadius = DEFAULT_WINDOW_RADIUS,
+  } = options;
+
+  const contexts = [];
+  let remaining = tokenBudget;
+
+  for (const location of contextLocations(failure)) {
+    if (remaining <= 0) break;
+    const fullPath = resolveContainerPath(workDir, location.file);
+
+    let content;
+    try {
+      content = await readFile(fullPath);
+    } catch (error) {
+      continue; // Not in the repo (or not readable) - skip silently
+    }
+
+    // First location gets the full radius, stack frames get half
+    const radius = contexts.length === 0 ? windowRadius : windowRadius / 2;
+    const window = fitWindow(
+      content,
+      location.line,
+      Math.floor(radius),
+      remaining,
+    );
+    if (!window) break;
+
+    remaining -= estimateTokens(window.snippet);
+    contexts.push({
+      file: location.file,
+      line: location.line,
+      startLine: window.startLine,
+      endLine: window.endLine,
+      totalLines: window.totalLines,
+      snippet: window.snippet,
+    });
+  }
+
+  return contexts;
+}
+
+/**
+ * Memoized container file reader for one node run
+ */
+function createFileReader(containerName) {
+  const cache = new Map();
+  return (fullPath) => {
+    if (!cache.has(fullPath)) {
+      cache.set(fullPath, readFileFromContainer(containerName, fullPath));
+    }
+    return cache.get(fullPath);
+  };
+}
+
+/**
+ * Render contexts for a prompt
+ */
+function formatSourceContext(contexts = []) {
+  if (contexts.length === 0) return "(source not available)";
+  return contexts
+    .map((c) => {
+      const lines = `lines ${c.startLine}-${c.endLine} of ${c.totalLines}`;
+      const heading = c.symbol
+        ? `${c.file}: ${c.symbol} (${lines}; ${c.reason})`
+        : `${c.file} (${lines})`;
+      return `### ${heading}\n${c.snippet}`;
+    })
+    .join("\n\n");
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  extractStackFrames,
+  estimateTokens,
+  windowAround,
+  rangeSnippet,
+  contextLocations,
+  collectSourceContext,
+  createFileReader,
+  formatSourceContext,
+  resolveContainerPath,
+  DEFAULT_TOKEN_BUDGET,
+};
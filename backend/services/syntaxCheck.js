@@ -0,0 +1,267 @@
+/**
+ * Syntax Check
+ *
+ * Checks that the files a patch wrote still parse, right after it is
+ * applied (see applyChangeSet in services/patchApplicator.js), so a
+ * patch that breaks parsing is reverted and goes back to the patch agent
+ * with the error instead of costing a full test run:
+ * - JavaScript / TypeScript: parsed with @babel/parser
+ * - Python: compiled by the sandbox's interpreter (the check
+ *   `python -m py_compile` makes, without writing .pyc files)
+ * - TypeScript types: a type-check command such as `npx tsc --noEmit`,
+ *   only when one is configured (run option `typeCheckCommand` or
+ *   HEALING_TYPECHECK_COMMAND)
+ *
+ * Only errors the patch introduced count: a file that did not parse
+ * before is not checked, and type errors that were already reported
+ * before the patch are ignored.
+ */
+
+const { execFile, spawn } = require("child_process");
+const path = require("path");
+const util = require("util");
+const { parse } = require("@babel/parser");
+const { detectLanguage } = require("./ruleClassifier");
+const { parserPlugins } = require("./codeIntelligence");
+const { sanitize } = require("../controllers/testRunnerController");
+
+const execFilePromise = util.promisify(execFile);
+
+const DEFAULT_TYPECHECK_COMMAND = process.env.HEALING_TYPECHECK_COMMAND || null;
+
+const TYPECHECK_TIMEOUT = parseInt(
+  process.env.HEALING_TYPECHECK_TIMEOUT || "120000",
+  10,
+);
+
+// Reads [{ file, source }] as JSON on stdin, prints one
+// { error, line } (or {}) per file
+const PYTHON_COMPILE_SCRIPT = `
+import json, sys
+results = []
+for entry in json.load(sys.stdin):
+    try:
+        compile(entry["source"], entry["file"], "exec", dont_inherit=True)
+        results.append({})
+    except SyntaxError as error:
+        results.append({"error": error.msg, "line": error.lineno})
+    except ValueError as error:
+        results.append({"error": str(error), "line": None})
+print(json.dumps(results))
+`;
+
+// tsc's "file(line,col): error TS1234: message" lines
+const TSC_ERROR = /^(.+?)\((\d+),\d+\): error (TS\d+): (.*)$/;
+
+const isTypeScript = (file) => /\.(ts|tsx|mts|cts)$/.test(file);
+
+// ===========================
+// 📝 Parsers
+// ===========================
+
+/**
+ * Parse error in JavaScript / TypeScript source: { line, message } or
+ * null when it parses
+ */
+function javaScriptError(file, source) {
+  try {
+    parse(source, {
+      sourceType: "unambiguous",
+      plugins: parserPlugins(file),
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+    });
+    return null;
+  } catch (error) {
+    return {
+      line: error.loc?.line ?? null,
+      message: error.message.replace(/\s*\(\d+:\d+\)$/, ""),
+    };
+  }
+}
+
+/**
+ * Run a command in the container with `input` on stdin
+ */
+function execWithInput(containerName, args, input, timeout) {
+  return new Promise((resolve, reject) => {
+    const child = spawn("docker", [
+      "exec",
+      "-i",
+      sanitize(containerName),
+      ...args,
+    ]);
+
+    let stdout = "";
+    let stderr = "";
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Timed out running ${args[0]}`));
+    }, timeout);
+
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr });
+    });
+
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Compile errors for Python sources ([{ file, source }]) with the
+ * sandbox's interpreter, one entry ({ line, message } or null) per
+ * source; null when there is no Python in the container
+ */
+async function pythonErrors(containerName, entries) {
+  const input = JSON.stringify(entries);
+  for (const python of ["python3", "python"]) {
+    const { code, stdout } = await execWithInput(
+      containerName,
+      [python, "-c", PYTHON_COMPILE_SCRIPT],
+      input,
+      30000,
+    );
+    if (code !== 0) continue; // No such interpreter in the image
+    return JSON.parse(stdout).map((result) =>
+      result.error ? { line: result.line, message: result.error } : null,
+    );
+  }
+  return null;
+}
+
+// ===========================
+// 🔍 Checks
+// ===========================
+
+/**
+ * Parse errors a patch introduced in the files it wrote ([{ file,
+ * content, previous }], `previous` null for new files):
+ * [{ file, line, message }]
+ */
+async function checkSyntax(containerName, files) {
+  const errors = [];
+  const python = [];
+
+  for (const entry of files) {
+    const language = detectLanguage(entry.file);
+    if (language === "python") {
+      python.push(entry);
+    } else if (language === "javascript") {
+      const error = javaScriptError(entry.file, entry.content);
+      if (
+        error &&
+        (entry.previous === null ||
+          !javaScriptError(entry.file, entry.previous))
+      ) {
+        errors.push({ file: entry.file, ...error });
+      }
+    }
+  }
+
+  if (python.length > 0) {
+    const sources = python.flatMap((entry) => [
+      { file: entry.file, source: entry.content },
+      { file: entry.file, source: entry.previous ?? "" },
+    ]);
+    const results = await pythonErrors(containerName, sources);
+    if (!results) {
+      console.warn("   ⚠️  No Python in the container, skipping syntax check");
+    } else {
+      python.forEach((entry, i) => {
+        const [after, before] = results.slice(i * 2, i * 2 + 2);
+        if (after && !before) errors.push({ file: entry.file, ...after });
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Type errors `command` (e.g. "npx tsc --noEmit") reports in `files`
+ * (paths relative to `dir`), run in `dir`: [{ file, line, message }];
+ * null when the command could not run
+ */
+async function typeCheckErrors(containerName, dir, command, files) {
+  let output;
+  try {
+    const { stdout, stderr } = await execFilePromise(
+      "docker",
+      ["exec", "-w", dir, sanitize(containerName), "sh", "-c", command],
+      { timeout: TYPECHECK_TIMEOUT, maxBuffer: 10 * 1024 * 1024 },
+    );
+    output = `${stdout}\n${stderr}`;
+  } catch (error) {
+    // Type errors make tsc exit with 1 or 2; anything else is a setup
+    // problem (command missing, timeout)
+    if (error.killed || ![1, 2].includes(error.code)) {
+      console.warn(`   ⚠️  Type check did not run: ${error.message}`);
+      return null;
+    }
+    output = `${error.stdout || ""}\n${error.stderr || ""}`;
+  }
+
+  return output
+    .split("\n")
+    .map((line) => line.trim().match(TSC_ERROR))
+    .filter(Boolean)
+    .map(([, file, line, code, message]) => ({
+      file: path.posix.normalize(file),
+      line: parseInt(line, 10),
+      message: `${code}: ${message}`,
+    }))
+    .filter((error) => files.includes(error.file));
+}
+
+/**
+ * Type errors in `after` that `before` did not have (line numbers
+ * aside, since the patch may move code)
+ */
+function newTypeErrors(before, after) {
+  const key = (error) => `${error.file}\n${error.message}`;
+  const counts = new Map();
+  for (const error of before) {
+    counts.set(key(error), (counts.get(key(error)) || 0) + 1);
+  }
+  return after.filter((error) => {
+    const left = counts.get(key(error)) || 0;
+    counts.set(key(error), left - 1);
+    return left <= 0;
+  });
+}
+
+/**
+ * "file:line: message" lines for the patch agent
+ */
+function formatSyntaxErrors(errors) {
+  return errors
+    .map(
+      (error) =>
+        `${error.file}${error.line ? `:${error.line}` : ""}: ${error.message}`,
+    )
+    .join("\n");
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  checkSyntax,
+  typeCheckErrors,
+  newTypeErrors,
+  formatSyntaxErrors,
+  isTypeScript,
+  DEFAULT_TYPECHECK_COMMAND,
+};
@@ -0,0 +1,233 @@
+/**
+ * Bug Taxonomy
+ *
+ * Loads the bug categories the classifier may assign (name,
+ * description, report priority, aliases and regex pre-classifiers)
+ * from config/taxonomy.json, or from HEALING_TAXONOMY_FILE. A request
+ * can pass its own taxonomy, either inline or as the name of a file in
+ * config/.
+ *
+ * The default file is read at startup and re-read when it changes, so
+ * edits apply to the next request without a restart.
+ */
+
+const path = require("path");
+const { z } = require("zod");
+const {
+  loadJsonConfig,
+  loadNamedConfig,
+  parseConfig,
+  configError,
+} = require("./jsonConfig");
+
+const DEFAULT_TAXONOMY_FILE = path.resolve(
+  process.env.HEALING_TAXONOMY_FILE ||
+    path.join(__dirname, "..", "config", "taxonomy.json"),
+);
+
+const PRIORITIES = ["CRITICAL", "HIGH", "MEDIUM", "LOW"];
+
+const TaxonomySchema = z.object({
+  defaultPriority: z.enum(PRIORITIES).default("MEDIUM"),
+  patternConfidence: z.number().min(0).max(1).default(0.9),
+  categories: z
+    .array(
+      z.object({
+        name: z.string().regex(/^[A-Z][A-Z0-9_]*$/, "must be UPPER_SNAKE_CASE"),
+        description: z.string().default(""),
+        priority: z.enum(PRIORITIES).optional(),
+        aliases: z.array(z.string()).default([]),
+        patterns: z.array(z.string()).default([]),
+      }),
+    )
+    .min(1),
+});
+
+// ===========================
+// 📂 Loading
+// ===========================
+
+/**
+ * Validate a taxonomy definition (throws on bad shape or regex)
+ */
+function parseTaxonomy(definition, source = "inline taxonomy") {
+  const taxonomy = parseConfig(
+    TaxonomySchema,
+    definition,
+    `taxonomy (${source})`,
+  );
+  const names = new Set();
+  for (const category of taxonomy.categories) {
+    if (names.has(category.name)) {
+      throw configError(
+        `Invalid taxonomy (${source}): duplicate category ${category.name}`,
+      );
+    }
+    names.add(category.name);
+    for (const pattern of category.patterns) {
+      try {
+        new RegExp(pattern, "i");
+      } catch (error) {
+        throw configError(
+          `Invalid taxonomy (${source}): ${category.name} pattern ${error.message}`,
+        );
+      }
+    }
+  }
+  return taxonomy;
+}
+
+function readTaxonomyFile(file) {
+  return loadJsonConfig(file, parseTaxonomy);
+}
+
+let loaded = null;
+
+/**
+ * The default taxonomy, re-read when the file's mtime changes
+ */
+function loadTaxonomy() {
+  const taxonomy = readTaxonomyFile(DEFAULT_TAXONOMY_FILE);
+  if (taxonomy !== loaded) {
+    loaded = taxonomy;
+    console.log(
+      `🏷️  Loaded bug taxonomy (${taxonomy.categories.length} categories) from ${DEFAULT_TAXONOMY_FILE}`,
+    );
+  }
+  return taxonomy;
+}
+
+/**
+ * Taxonomy for one run: an inline definition, the name of a file in
+ * config/, or the default
+ */
+function resolveTaxonomy(source) {
+  if (!source) return loadTaxonomy();
+  if (typeof source === "string") {
+    return loadNamedConfig(source, parseTaxonomy, "taxonomy");
+  }
+  return parseTaxonomy(source);
+}
+
+// ===========================
+// 🔍 Lookup
+// ===========================
+
+// Compiled patterns per taxonomy object (taxonomies in state stay plain JSON)
+const compiled = new WeakMap();
+
+function compiledCategories(taxonomy) {
+  if (!compiled.has(taxonomy)) {
+    compiled.set(
+      taxonomy,
+      taxonomy.categories.map((category) => ({
+        name: category.name,
+        patterns: category.patterns.map((p) => new RegExp(p, "i")),
+      })),
+    );
+  }
+  return compiled.get(taxonomy);
+}
+
+function categoryNames(taxonomy) {
+  return taxonomy.categories.map((category) => category.name);
+}
+
+/**
+ * Category list for the classifier prompt
+ */
+function formatCategories(taxonomy) {
+  return taxonomy.categories
+    .map((c) =>
+      c.description ? `- ${c.name} (${c.description})` : `- ${c.name}`,
+    )
+    .join("\n");
+}
+
+/**
+ * First category whose pattern matches the failure's message, or null
+ */
+function preClassify(failure, taxonomy) {
+  const text = String(failure.error_message || "");
+  const match = compiledCategories(taxonomy).find((category) =>
+    category.patterns.some((pattern) => pattern.test(text)),
+  );
+  return match ? match.name : null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Map a model answer onto a configured category
+ *
+ * Tries, in order: exact name, alias, a name or alias mentioned in the
+ * answer, then the name or alias with the smallest edit distance.
+ * Returns null only for an empty answer.
+ */
+function normalizeCategory(answer, taxonomy) {
+  const words = String(answer || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9_]+/g, " ")
+    .trim();
+  if (!words) return null;
+
+  const token = words.replace(/ /g, "_");
+  const candidates = taxonomy.categories.flatMap((category) =>
+    [category.name, ...category.aliases].map((label) => ({
+      name: category.name,
+      label: label.toUpperCase(),
+    })),
+  );
+
+  const exact = candidates.find((c) => c.label === token);
+  if (exact) return exact.name;
+
+  const padded = ` ${words} `;
+  const mentioned = candidates
+    .filter((c) => padded.includes(` ${c.label.replace(/_/g, " ")} `))
+    .sort((a, b) => b.label.length - a.label.length)[0];
+  if (mentioned) return mentioned.name;
+
+  return candidates
+    .map((c) => ({ ...c, distance: editDistance(token, c.label) }))
+    .sort((a, b) => a.distance - b.distance)[0].name;
+}
+
+/**
+ * Report priority for a bug type
+ */
+function priorityFor(bugType, taxonomy = loadTaxonomy()) {
+  const category = taxonomy.categories.find((c) => c.name === bugType);
+  return category?.priority || taxonomy.defaultPriority;
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  loadTaxonomy,
+  resolveTaxonomy,
+  parseTaxonomy,
+  categoryNames,
+  formatCategories,
+  preClassify,
+  normalizeCategory,
+  priorityFor,
+  PRIORITIES,
+  DEFAULT_TAXONOMY_FILE,
+};
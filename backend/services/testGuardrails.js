@@ -0,0 +1,390 @@
+/**
+ * Test Guardrails
+ *
+ * Static checks that stop a patch from "fixing" a failure by weakening
+ * the tests: removed assertions, changed expected values, new skip /
+ * xfail markers, rewritten snapshots, a weakened test command or test
+ * runner config and, more broadly, any edit to a test file. They run on every generated patch before it is verified
+ * or applied (the guard node in agentGraph.js).
+ *
+ * Each check either rejects the patch (it goes back to the patch agent
+ * with the finding as the reason), flags it (the finding is shown with
+ * the fix and the apply policy never applies it on its own) or is off.
+ * A patch that touches the repository's own guardrail settings is
+ * always rejected, so it cannot turn the checks off for later runs.
+ *
+ * Settings come from, in order: the run's `testGuardrails` option
+ * (inline or the name of a file in config/), the repository's own
+ * .healing/test-guardrails.json, or config/test-guardrails.json (or
+ * HEALING_TEST_GUARDRAILS_FILE), re-read when it changes.
+ */
+
+const path = require("path");
+const { z } = require("zod");
+const {
+  loadJsonConfig,
+  loadNamedConfig,
+  parseConfig,
+} = require("./jsonConfig");
+const { splitEdits, patchEdits } = require("./changeSet");
+const { actionFile, describeFixAction } = require("./fixActions");
+const { isTestFile } = require("./fixScoring");
+
+const DEFAULT_GUARDRAILS_FILE = path.resolve(
+  process.env.HEALING_TEST_GUARDRAILS_FILE ||
+    path.join(__dirname, "..", "config", "test-guardrails.json"),
+);
+
+// Per-repository settings, relative to the repository root
+const REPOSITORY_GUARDRAILS_FILE = ".healing/test-guardrails.json";
+
+const CHECK_ACTIONS = ["reject", "flag", "off"];
+const CheckActionSchema = z.enum(CHECK_ACTIONS);
+
+const GuardrailsSchema = z.object({
+  checks: z
+    .object({
+      removed_assertion: CheckActionSchema.default("reject"),
+      changed_expectation: CheckActionSchema.default("reject"),
+      skip_marker: CheckActionSchema.default("reject"),
+      snapshot_rewrite: CheckActionSchema.default("reject"),
+      test_config: CheckActionSchema.default("reject"),
+      test_file_edit: CheckActionSchema.default("flag"),
+    })
+    .prefault({}),
+  // Extra test file patterns (regular expressions on repository paths)
+  testFilePatterns: z
+    .array(
+      z.string().refine(
+        (pattern) => {
+          try {
+            new RegExp(pattern);
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+        { message: "not a valid regular expression" },
+      ),
+    )
+    .default([]),
+});
+
+// ===========================
+// 📂 Loading
+// ===========================
+
+/**
+ * Validate a guardrail definition
+ */
+function parseTestGuardrails(definition, source = "inline guardrails") {
+  return parseConfig(
+    GuardrailsSchema,
+    definition,
+    `test guardrails (${source})`,
+  );
+}
+
+function readGuardrailsFile(file) {
+  return loadJsonConfig(file, parseTestGuardrails);
+}
+
+/**
+ * The default guardrails, re-read when the file's mtime changes
+ */
+function loadTestGuardrails() {
+  return readGuardrailsFile(DEFAULT_GUARDRAILS_FILE);
+}
+
+/**
+ * Guardrails given for a run (inline or the name of a file in config/);
+ * null when none were given, so the repository's or the default ones
+ * apply
+ */
+function resolveTestGuardrails(source) {
+  if (!source) return null;
+  if (typeof source === "string") {
+    return loadNamedConfig(source, parseTestGuardrails, "test guardrails");
+  }
+  return parseTestGuardrails(source);
+}
+
+/**
+ * Guardrails a repository declares in REPOSITORY_GUARDRAILS_FILE, read
+ * with `readFile(fullPath)`; null when it has none
+ */
+async function loadRepositoryGuardrails(readFile, workDir) {
+  const file = path.posix.join(workDir, REPOSITORY_GUARDRAILS_FILE);
+  let content;
+  try {
+    content = await readFile(file);
+  } catch (error) {
+    return null;
+  }
+  let definition;
+  try {
+    definition = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+  return parseTestGuardrails(definition, file);
+}
+
+// ===========================
+// 🛡️ Checks
+// ===========================
+
+// Calls that assert something: expect(), assert / assertEqual(),
+// should, pytest.raises, t.is() (ava, tap) and Go's testify helpers
+const ASSERTION =
+  /\bexpect\s*\(|\bassert\w*\s*[.(\s]|\.should\b|\bshould\s*[.(]|\bpytest\.raises\b|\bt\.(is|not|deepEqual|true|false|throws)\s*\(|\b(require|assert)\.\w+\(t,/;
+
+// Markers that skip a test, expect it to fail or run only some tests
+const SKIP_MARKER =
+  /\b(describe|it|test|context|suite)\.(skip|todo|only)\b|\b(xit|xdescribe|xtest|xcontext|fit|fdescribe)\s*\(|@pytest\.mark\.(skip|skipif|xfail)\b|\bpytest\.(skip|xfail|importorskip)\s*\(|@unittest\.(skip|skipIf|skipUnless|expectedFailure)\b|\bself\.skipTest\s*\(|\bt\.Skip\w*\s*\(/;
+
+const SNAPSHOT_FILE = /(^|\/)__snapshots__\/|\.snap$/;
+
+// Files that only configure a test runner
+const TEST_CONFIG_FILE =
+  /(^|\/)((jest|vitest|karma|ava|playwright|cypress|wdio)\.config\.[cm]?[jt]s(on)?|\.mocharc(\.[\w]+)?|\.nycrc(\.[\w]+)?|pytest\.ini|tox\.ini|phpunit\.xml(\.dist)?|\.rspec)$/;
+
+// Lines of shared config files (package.json, pyproject.toml,
+// setup.cfg, ...) that set the test command or what the runner runs
+const TEST_SETTING =
+  /"test(:[\w:-]+)?"\s*:|"(jest|mocha|ava|vitest|nyc|c8)"\s*:|\b(addopts|testpaths|python_files|python_functions|testPathIgnorePatterns|testMatch|testRegex|modulePathIgnorePatterns)\b|\[tool[.:]pytest/;
+
+// set_config keys (dotted paths) that do the same
+const TEST_SETTING_KEY =
+  /^(scripts\.test(:[\w:-]+)?|(jest|mocha|ava|vitest|nyc|c8)(\..+)?)$|(^|\.)(addopts|testpaths|testPathIgnorePatterns|testMatch|testRegex|modulePathIgnorePatterns)(\.|$)/;
+
+// Environment variables test runners read their options from
+const TEST_ENV_VAR = /^(PYTEST|JEST|VITEST|MOCHA)_\w+$/;
+
+// Not configurable: the settings a patch could otherwise rewrite
+const GUARDRAIL_CONFIG_ACTION = "reject";
+
+const isGuardrailsFile = (file) =>
+  Boolean(file) &&
+  (file.replace(/^\.\//, "") === REPOSITORY_GUARDRAILS_FILE ||
+    file.endsWith(`/${REPOSITORY_GUARDRAILS_FILE}`));
+
+// Lines that are only a comment
+const COMMENT_LINE = /^\s*(\/\/|#|\/\*|\*)/;
+
+const isAssertion = (text) => !COMMENT_LINE.test(text) && ASSERTION.test(text);
+const isSkipMarker = (text) =>
+  !COMMENT_LINE.test(text) && SKIP_MARKER.test(text);
+
+const quote = (text) => `\`${text.trim()}\``;
+
+const VERBS = {
+  modify: "edits",
+  create: "creates",
+  delete: "deletes",
+  rename: "renames",
+};
+
+/**
+ * Findings for one file patch of a test file
+ */
+function checkTestFile(file) {
+  const filePath = file.newPath || file.oldPath;
+  const findings = [];
+  const add = (check, detail) =>
+    findings.push({ check, file: filePath, detail });
+
+  if (file.action === "delete") {
+    add("removed_assertion", `deletes test file ${filePath}`);
+    return findings;
+  }
+
+  for (const hunk of file.hunks) {
+    const removed = hunk.lines.filter((l) => l.type === "-");
+    const added = hunk.lines.filter((l) => l.type === "+");
+
+    // Removed assertions are paired, in order, with the assertions
+    // added in their place: a pair that differs changes what the test
+    // expects, a removal without one drops the assertion
+    const removedAssertions = removed.filter((l) => isAssertion(l.text));
+    const addedAssertions = added.filter((l) => isAssertion(l.text));
+    removedAssertions.forEach((line, i) => {
+      const replacement = addedAssertions[i];
+      if (!replacement) {
+        add(
+          "removed_assertion",
+          `removes assertion ${quote(line.text)} from ${filePath}`,
+        );
+      } else if (replacement.text.trim() !== line.text.trim()) {
+        add(
+          "changed_expectation",
+          `changes assertion ${quote(line.text)} to ${quote(replacement.text)} in ${filePath}`,
+        );
+      }
+    });
+
+    const existing = new Set(removed.map((l) => l.text.trim()));
+    added
+      .filter((l) => isSkipMarker(l.text) && !existing.has(l.text.trim()))
+      .forEach((line) => {
+        add(
+          "skip_marker",
+          `adds skip marker ${quote(line.text)} to ${filePath}`,
+        );
+      });
+  }
+
+  add("test_file_edit", `${VERBS[file.action]} test file ${filePath}`);
+  return findings;
+}
+
+/**
+ * Finding for a file patch of a file that is not a test file but may
+ * configure how the tests run, or null
+ */
+function checkTestConfig(file) {
+  const filePath = file.newPath || file.oldPath;
+  if (
+    TEST_CONFIG_FILE.test(file.oldPath || "") ||
+    TEST_CONFIG_FILE.test(filePath)
+  ) {
+    return {
+      check: "test_config",
+      file: filePath,
+      detail: `${VERBS[file.action]} test runner config ${filePath}`,
+    };
+  }
+  const setting = file.hunks
+    .flatMap((hunk) => hunk.lines)
+    .find(
+      (line) =>
+        line.type !== " " &&
+        !COMMENT_LINE.test(line.text) &&
+        TEST_SETTING.test(line.text),
+    );
+  return setting
+    ? {
+        check: "test_config",
+        file: filePath,
+        detail: `changes test setting ${quote(setting.text)} in ${filePath}`,
+      }
+    : null;
+}
+
+/**
+ * Finding for a fix action that changes the test command, the test
+ * runner's config or its options, or null
+ */
+function checkTestConfigAction(action) {
+  const file = actionFile(action);
+  const touches =
+    (action.action === "set_config" &&
+      (TEST_CONFIG_FILE.test(file) || TEST_SETTING_KEY.test(action.key))) ||
+    (action.action === "set_env" && TEST_ENV_VAR.test(action.name));
+  return touches
+    ? {
+        check: "test_config",
+        file,
+        detail: `${describeFixAction(action)} changes how the tests run`,
+      }
+    : null;
+}
+
+/**
+ * Guardrail findings for a patch: [{ check, action, file, detail }],
+ * only for checks that are not off. `reviewed` patches (reviewer
+ * edits) are only flagged, never rejected.
+ */
+function checkTestGuardrails(patch, guardrails, { reviewed = false } = {}) {
+  let filePatches = [];
+  let actions = [];
+  try {
+    ({ filePatches, actions } = splitEdits(patchEdits(patch)));
+  } catch (error) {
+    // No usable change set: nothing to check
+  }
+
+  const extraPatterns = guardrails.testFilePatterns.map((p) => new RegExp(p));
+  const isTest = (file) =>
+    Boolean(file) &&
+    (isTestFile(file) || extraPatterns.some((pattern) => pattern.test(file)));
+
+  const findings = filePatches.flatMap((file) => {
+    const filePath = file.newPath || file.oldPath;
+    if (isGuardrailsFile(file.oldPath) || isGuardrailsFile(file.newPath)) {
+      return [
+        {
+          check: "guardrail_config",
+          file: filePath,
+          detail: `${VERBS[file.action]} the test guardrail settings ${filePath}`,
+        },
+      ];
+    }
+    if (SNAPSHOT_FILE.test(filePath)) {
+      return [
+        {
+          check: "snapshot_rewrite",
+          file: filePath,
+          detail: `${file.action === "modify" ? "rewrites" : VERBS[file.action]} snapshot ${filePath}`,
+        },
+      ];
+    }
+    if (isTest(file.oldPath) || isTest(file.newPath)) {
+      return checkTestFile(file);
+    }
+    return [checkTestConfig(file)].filter(Boolean);
+  });
+  for (const action of actions) {
+    const file = actionFile(action);
+    if (isGuardrailsFile(file)) {
+      findings.push({
+        check: "guardrail_config",
+        file,
+        detail: `${describeFixAction(action)} changes the test guardrail settings`,
+      });
+      continue;
+    }
+    const finding = checkTestConfigAction(action);
+    if (finding) findings.push(finding);
+  }
+
+  return findings
+    .map((finding) => {
+      const action =
+        finding.check === "guardrail_config"
+          ? GUARDRAIL_CONFIG_ACTION
+          : guardrails.checks[finding.check];
+      return {
+        ...finding,
+        action: reviewed && action === "reject" ? "flag" : action,
+      };
+    })
+    .filter((finding) => finding.action !== "off");
+}
+
+/**
+ * Rejection reasons from a patch's findings, for the patch agent
+ */
+function guardrailRejections(patch) {
+  return (patch.guardrail_findings || [])
+    .filter((finding) => finding.action === "reject")
+    .map(
+      (finding) =>
+        `Test guardrail (${finding.check}): ${finding.detail}; fix the code under test, not the test`,
+    );
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  loadTestGuardrails,
+  resolveTestGuardrails,
+  parseTestGuardrails,
+  loadRepositoryGuardrails,
+  checkTestGuardrails,
+  guardrailRejections,
+  DEFAULT_GUARDRAILS_FILE,
+  REPOSITORY_GUARDRAILS_FILE,
+};
@@ -0,0 +1,244 @@
+/**
+ * Test Outcome Summaries
+ *
+ * Reduces raw test runner output to pass/fail counts and the set of
+ * failing test identifiers, so two runs of the same suite can be
+ * compared test by test.
+ */
+
+const { parseTestLog } = require("./logParsers");
+
+// ===========================
+// 🧪 Failing Test Identifiers
+// ===========================
+
+// Fallback when no framework parser recognizes the output.
+// Each pattern captures one failing test identifier per match.
+const FAILING_TEST_PATTERNS = [
+  // Jest / Vitest: ✕ renders title (5 ms) / × renders title
+  /^\s*[✕×✗]\s+(.+?)(?:\s+\(\d+(?:\.\d+)?\s*m?s\))?\s*$/gm,
+  // Jest detail header: ● Suite › test name
+  /^\s*●\s+(.+?›.+?)\s*$/gm,
+  // Mocha: 1) Suite test name
+  /^\s*\d+\)\s+(.+?)\s*:?\s*$/gm,
+  // pytest: FAILED tests/test_x.py::test_y - AssertionError
+  /^FAILED\s+(\S+::\S+)/gm,
+  // unittest: FAIL: test_y (tests.test_x.TestX)
+  /^(?:FAIL|ERROR):\s+(\S+\s+\([\w.]+\))/gm,
+  // Go: --- FAIL: TestY (0.00s)
+  /^\s*--- FAIL:\s+(\S+)/gm,
+  // cargo: test module::test_y ... FAILED
+  /^test\s+(\S+)\s+\.\.\.\s+FAILED/gm,
+];
+
+// Summary lines that carry pass/fail counts
+const COUNT_PATTERNS = [
+  // PHPUnit: Tests: 2, Assertions: 2, Failures: 1. / OK (2 tests, 2 assertions)
+  {
+    regex: /^(?:Tests: (\d+), Assertions: \d+(.*)$|OK \((\d+) tests?,)/m,
+    parse: (m) => {
+      if (m[3]) return { passed: parseInt(m[3], 10), failed: 0 };
+      const failed =
+        matchCount(m[2], /Failures: (\d+)/) + matchCount(m[2], /Errors: (\d+)/);
+      return { passed: parseInt(m[1], 10) - failed, failed };
+    },
+  },
+  // Jest: Tests:       1 failed, 2 skipped, 10 passed, 13 total
+  {
+    regex: /^Tests:\s+(.*)$/m,
+    parse: (m) => ({
+      failed: matchCount(m[1], /(\d+) failed/),
+      passed: matchCount(m[1], /(\d+) passed/),
+    }),
+  },
+  // Vitest: Tests  1 failed | 10 passed (11)
+  {
+    regex: /^\s*Tests\s+(.*\d+ (?:passed|failed).*)$/m,
+    parse: (m) => ({
+      failed: matchCount(m[1], /(\d+) failed/),
+      passed: matchCount(m[1], /(\d+) passed/),
+    }),
+  },
+  // Mocha: 10 passing / 1 failing
+  {
+    regex: /^\s*(\d+) passing/m,
+    parse: (m, text) => ({
+      passed: parseInt(m[1], 10),
+      failed: matchCount(text, /^\s*(\d+) failing/m),
+    }),
+  },
+  // pytest: ===== 1 failed, 10 passed in 0.12s =====
+  {
+    regex: /^=+ (.*(?:passed|failed).*) in [\d.]+s/m,
+    parse: (m) => ({
+      failed:
+        matchCount(m[1], /(\d+) failed/) + matchCount(m[1], /(\d+) error/),
+      passed: matchCount(m[1], /(\d+) passed/),
+    }),
+  },
+  // Maven Surefire totals: Tests run: 11, Failures: 1, Errors: 0, Skipped: 0
+  // (per-class lines carry "Time elapsed"; the last totals line wins)
+  {
+    regex: /Tests run: \d+, Failures: \d+, Errors: \d+, Skipped: \d+\s*$/m,
+    parse: (m, text) => {
+      const totals = [
+        ...text.matchAll(
+          /Tests run: (\d+), Failures: (\d+), Errors: (\d+), Skipped: (\d+)\s*$/gm,
+        ),
+      ].pop();
+      const [run, failures, errors, skipped] = totals
+        .slice(1)
+        .map((n) => parseInt(n, 10));
+      return {
+        passed: run - failures - errors - skipped,
+        failed: failures + errors,
+      };
+    },
+  },
+  // unittest: Ran 11 tests in 0.01s ... FAILED (failures=1, errors=1)
+  {
+    regex: /^Ran (\d+) tests? in [\d.]+s/m,
+    parse: (m, text) => {
+      const failed =
+        matchCount(text, /^FAILED \(.*failures=(\d+)/m) +
+        matchCount(text, /^FAILED \(.*errors=(\d+)/m);
+      const skipped = matchCount(text, /skipped=(\d+)/);
+      return { passed: parseInt(m[1], 10) - failed - skipped, failed };
+    },
+  },
+  // cargo: test result: FAILED. 10 passed; 1 failed;
+  {
+    regex: /test result: \w+\. (\d+) passed; (\d+) failed/,
+    parse: (m) => ({
+      passed: parseInt(m[1], 10),
+      failed: parseInt(m[2], 10),
+    }),
+  },
+];
+
+function matchCount(text, regex) {
+  const m = text.match(regex);
+  return m ? parseInt(m[1], 10) : 0;
+}
+
+/**
+ * Summarize one test run
+ *
+ * Returns { exitCode, passed, failed, countsKnown, failingTests: string[] }
+ */
+function summarizeTestRun({ stdout = "", stderr = "", exitCode = null }) {
+  const text = `${stdout}\n${stderr}`;
+
+  // Framework parsers give the same test_name the extract node
+  // attached to the failure, so compareRuns can look it up directly
+  const failingTests = new Set();
+  const parsed = parseTestLog(text);
+  if (parsed) {
+    parsed.failures
+      .filter((f) => f.test_name)
+      .forEach((f) => failingTests.add(f.test_name));
+  } else {
+    for (const pattern of FAILING_TEST_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        failingTests.add(match[1].trim());
+      }
+    }
+  }
+
+  let counts = null;
+  for (const { regex, parse } of COUNT_PATTERNS) {
+    const m = text.match(regex);
+    if (m) {
+      counts = parse(m, text);
+      break;
+    }
+  }
+
+  return {
+    exitCode,
+    passed: counts ? counts.passed : null,
+    failed: counts ? counts.failed : failingTests.size,
+    countsKnown: Boolean(counts),
+    failingTests: [...failingTests],
+  };
+}
+
+/**
+ * First line of an error message, used to spot a failure in later output
+ */
+function errorSignature(errorMessage = "") {
+  return errorMessage.split("\n")[0].trim();
+}
+
+/**
+ * Decide whether a candidate patch fixed `failure` without regressions
+ *
+ * Approval means: the failing test now passes and no test that passed
+ * before is failing now. A failed run that reported no results (the
+ * suite crashed or never started) resolves nothing.
+ */
+function compareRuns(failure, before, after, afterOutput) {
+  const reasons = [];
+  const beforeFailing = new Set(before.failingTests);
+  const newFailures = after.failingTests.filter((t) => !beforeFailing.has(t));
+
+  const crashed =
+    after.exitCode !== 0 &&
+    !after.countsKnown &&
+    after.failingTests.length === 0;
+
+  let resolved;
+  if (crashed) {
+    resolved = false;
+    reasons.push(
+      `Test run exited with code ${after.exitCode} without reporting results`,
+    );
+  } else if (after.exitCode === 0) {
+    resolved = true;
+  } else if (failure.test_name) {
+    resolved = !after.failingTests.includes(failure.test_name);
+  } else {
+    const signature = errorSignature(failure.error_message);
+    resolved =
+      signature.length > 0 &&
+      !afterOutput.includes(signature) &&
+      after.failed < before.failed;
+  }
+
+  if (!resolved && !crashed) {
+    reasons.push("Target failure still reproduces after the patch");
+  }
+
+  let regressed = newFailures.length > 0;
+  if (
+    !regressed &&
+    before.countsKnown &&
+    after.countsKnown &&
+    after.passed < before.passed
+  ) {
+    regressed = true;
+    reasons.push(
+      `Passing tests dropped from ${before.passed} to ${after.passed}`,
+    );
+  }
+  if (newFailures.length > 0) {
+    reasons.push(`Newly failing tests: ${newFailures.join(", ")}`);
+  }
+
+  return {
+    approved: resolved && !regressed,
+    resolved,
+    newFailures,
+    reasons,
+  };
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  summarizeTestRun,
+  compareRuns,
+  errorSignature,
+};
@@ -0,0 +1,418 @@
+/**
+ * Unified Diff Parser & Applier
+ *
+ * Parses unified diffs produced by the patch agent and applies them to
+ * file contents in memory, GNU-patch style: hunks are located by their
+ * context (with a search offset when line numbers drifted) and, if the
+ * exact context is not found, retried with up to `maxFuzz` outer context
+ * lines ignored. Every hunk reports where it landed or why it failed.
+ *
+ * Besides plain ---/+++ sections, git-style headers (diff --git, new
+ * file mode, deleted file mode, rename from/to) are understood, so one
+ * diff can create, delete and rename files as well as modify them.
+ */
+
+// ===========================
+// 📖 Parse
+// ===========================
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+const GIT_HEADER = /^diff --git a\/(.+?) b\/(.+)$/;
+
+/**
+ * Strip the conventional a/ b/ prefixes and any trailing timestamp
+ */
+function normalizeDiffPath(rawPath) {
+  const filePath = rawPath.split("\t")[0].trim();
+  if (filePath === "/dev/null") return null;
+  return filePath.replace(/^[ab]\//, "");
+}
+
+/**
+ * What a file patch does: create (no old path), delete (no new path),
+ * rename (paths differ) or modify
+ */
+function fileAction(filePatch) {
+  if (!filePatch.oldPath) return "create";
+  if (!filePatch.newPath) return "delete";
+  return filePatch.oldPath === filePatch.newPath ? "modify" : "rename";
+}
+
+/**
+ * Read git extended header lines (after "diff --git"); returns false
+ * for any other line
+ */
+function readGitHeader(file, line) {
+  if (line.startsWith("new file mode")) {
+    file.oldPath = null;
+  } else if (line.startsWith("deleted file mode")) {
+    file.newPath = null;
+  } else if (line.startsWith("rename from ")) {
+    file.oldPath = line.slice("rename from ".length).trim();
+  } else if (line.startsWith("rename to ")) {
+    file.newPath = line.slice("rename to ".length).trim();
+  } else {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Parse a unified diff into per-file patches
+ *
+ * Returns: [{ action, oldPath, newPath, hunks: [{ oldStart, oldLines,
+ *   newStart, newLines, header, lines: [{ type: " " | "-" | "+", text }]
+ *   }] }]. `action` is create, delete, rename or modify; created files
+ * have no oldPath, deleted ones no newPath. Deletes, renames and empty
+ * new files declared with git headers need no hunks.
+ */
+function parseUnifiedDiff(diffText) {
+  if (typeof diffText !== "string" || diffText.trim().length === 0) {
+    throw new Error("Diff is empty");
+  }
+
+  const lines = diffText.replace(/\r\n/g, "\n").split("\n");
+  const files = [];
+  let current = null;
+  let hunk = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const git = line.match(GIT_HEADER);
+    if (git) {
+      current = { oldPath: git[1], newPath: git[2], hunks: [], git: true };
+      files.push(current);
+      hunk = null;
+      continue;
+    }
+
+    if (current?.git && !hunk && readGitHeader(current, line)) continue;
+
+    if (line.startsWith("--- ") && lines[i + 1]?.startsWith("+++ ")) {
+      const paths = {
+        oldPath: normalizeDiffPath(line.slice(4)),
+        newPath: normalizeDiffPath(lines[i + 1].slice(4)),
+      };
+      const continuesGitHeader =
+        current?.git &&
+        !current.paths &&
+        current.hunks.length === 0 &&
+        (paths.oldPath === null || paths.oldPath === current.oldPath) &&
+        (paths.newPath === null || paths.newPath === current.newPath);
+      if (continuesGitHeader) {
+        // ---/+++ of the section a "diff --git" line opened
+        Object.assign(current, paths);
+        current.paths = true;
+      } else {
+        current = { ...paths, hunks: [] };
+        files.push(current);
+      }
+      hunk = null;
+      i++;
+      continue;
+    }
+
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      if (!current) {
+        throw new Error(`Hunk header before file header: ${line}`);
+      }
+      hunk = {
+        oldStart: parseInt(header[1], 10),
+        oldLines: header[2] === undefined ? 1 : parseInt(header[2], 10),
+        newStart: parseInt(header[3], 10),
+        newLines: header[4] === undefined ? 1 : parseInt(header[4], 10),
+        header: line,
+        lines: [],
+      };
+      current.hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk) continue; // diff --git / index / mode lines
+
+    if (line.startsWith("\\")) {
+      // "\ No newline at end of file" applies to the previous line
+      const previous = hunk.lines[hunk.lines.length - 1];
+      if (previous) previous.noNewline = true;
+      continue;
+    }
+
+    const type = line[0];
+    if (type === " " || type === "-" || type === "+") {
+      hunk.lines.push({ type, text: line.slice(1) });
+    } else if (line === "") {
+      // Blank context lines often lose their leading space in model output
+      const counted = countHunkLines(hunk);
+      if (counted.old < hunk.oldLines || counted.new < hunk.newLines) {
+        hunk.lines.push({ type: " ", text: "" });
+      }
+    } else {
+      hunk = null;
+    }
+  }
+
+  if (files.length === 0) {
+    throw new Error("No file headers (---/+++) found in diff");
+  }
+
+  for (const file of files) {
+    if (!file.oldPath && !file.newPath) {
+      throw new Error("File header has no path (both sides /dev/null)");
+    }
+    file.action = fileAction(file);
+    const headerOnly = file.git && file.action !== "modify";
+    if (file.hunks.length === 0 && !headerOnly) {
+      throw new Error(`No hunks for ${file.newPath || file.oldPath}`);
+    }
+    delete file.git;
+    delete file.paths;
+    for (const h of file.hunks) {
+      const counted = countHunkLines(h);
+      if (counted.old !== h.oldLines || counted.new !== h.newLines) {
+        throw new Error(
+          `Hunk ${h.header} declares -${h.oldLines}/+${h.newLines} lines but contains -${counted.old}/+${counted.new}`,
+        );
+      }
+    }
+  }
+
+  return files;
+}
+
+function countHunkLines(hunk) {
+  return hunk.lines.reduce(
+    (acc, l) => {
+      if (l.type !== "+") acc.old++;
+      if (l.type !== "-") acc.new++;
+      return acc;
+    },
+    { old: 0, new: 0 },
+  );
+}
+
+// ===========================
+// 🩹 Apply
+// ===========================
+
+function linesMatchAt(fileLines, expected, position) {
+  if (position < 0 || position + expected.length > fileLines.length) {
+    return false;
+  }
+  for (let i = 0; i < expected.length; i++) {
+    if (fileLines[position + i] !== expected[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Find `expected` nearest to `preferred`, scanning outwards
+ */
+function findNearest(fileLines, expected, preferred, minPosition) {
+  const maxDistance = Math.max(preferred, fileLines.length - preferred);
+  for (let distance = 0; distance <= maxDistance; distance++) {
+    for (const position of [preferred - distance, preferred + distance]) {
+      if (position < minPosition) continue;
+      if (linesMatchAt(fileLines, expected, position)) return position;
+      if (distance === 0) break;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Explain why a hunk did not match at its declared position
+ */
+function describeMismatch(fileLines, expected, position) {
+  for (let i = 0; i < expected.length; i++) {
+    const actual = fileLines[position + i];
+    if (actual === undefined) {
+      return `file ends at line ${fileLines.length}, hunk expects ${expected.length} lines from line ${position + 1}`;
+    }
+    if (actual !== expected[i]) {
+      return `line ${position + i + 1}: expected ${JSON.stringify(expected[i])}, found ${JSON.stringify(actual)}`;
+    }
+  }
+  return "context not found";
+}
+
+/**
+ * Count leading/trailing context lines of a hunk
+ */
+function contextEdges(hunkLines) {
+  let leading = 0;
+  while (leading < hunkLines.length && hunkLines[leading].type === " ") {
+    leading++;
+  }
+  let trailing = 0;
+  while (
+    trailing < hunkLines.length - leading &&
+    hunkLines[hunkLines.length - 1 - trailing].type === " "
+  ) {
+    trailing++;
+  }
+  return { leading, trailing };
+}
+
+/**
+ * Apply parsed hunks to file content
+ *
+ * Returns { success, content, hunks: [{ index, header, status, line,
+ * offset, fuzz, reason }] }. Content is only changed when every hunk
+ * applies; otherwise the original content is returned untouched.
+ */
+function applyHunks(content, hunks, options = {}) {
+  const { maxFuzz = 2 } = options;
+  const hadTrailingNewline = content.endsWith("\n");
+  const fileLines = content.length === 0 ? [] : content.split("\n");
+  if (hadTrailingNewline) fileLines.pop();
+
+  const results = [];
+  let delta = 0; // line shift introduced by previously applied hunks
+  let minPosition = 0; // hunks must not overlap earlier ones
+  let endsWithoutNewline = !hadTrailingNewline && fileLines.length > 0;
+
+  hunks.forEach((hunk, index) => {
+    const { leading, trailing } = contextEdges(hunk.lines);
+    const declared =
+      Math.max(hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1, 0) +
+      delta;
+
+    let applied = false;
+    for (let fuzz = 0; fuzz <= maxFuzz && !applied; fuzz++) {
+      const dropLeading = Math.min(fuzz, leading);
+      const dropTrailing = Math.min(fuzz, trailing);
+      if (fuzz > 0 && dropLeading === 0 && dropTrailing === 0) break;
+
+      const body = hunk.lines.slice(
+        dropLeading,
+        hunk.lines.length - dropTrailing,
+      );
+      const expected = body.filter((l) => l.type !== "+").map((l) => l.text);
+      const replacement = body.filter((l) => l.type !== "-").map((l) => l.text);
+
+      const position =
+        expected.length === 0
+          ? Math.min(declared + dropLeading, fileLines.length)
+          : findNearest(
+              fileLines,
+              expected,
+              declared + dropLeading,
+              minPosition,
+            );
+
+      if (position === -1) continue;
+
+      fileLines.splice(position, expected.length, ...replacement);
+      const lastLine = body[body.length - 1];
+      if (position + replacement.length === fileLines.length && lastLine) {
+        endsWithoutNewline =
+          Boolean(lastLine.noNewline) && lastLine.type !== "-";
+      }
+
+      results.push({
+        index,
+        header: hunk.header,
+        status: "APPLIED",
+        line: position + 1,
+        offset: position - (declared + dropLeading),
+        fuzz,
+      });
+
+      delta += replacement.length - expected.length;
+      minPosition = position + replacement.length;
+      applied = true;
+    }
+
+    if (!applied) {
+      const expected = hunk.lines
+        .filter((l) => l.type !== "+")
+        .map((l) => l.text);
+      results.push({
+        index,
+        header: hunk.header,
+        status: "FAILED",
+        reason: `Hunk #${index + 1} failed: ${describeMismatch(fileLines, expected, declared)}`,
+      });
+    }
+  });
+
+  const success = results.every((r) => r.status === "APPLIED");
+  let newContent = content;
+  if (success) {
+    newContent = fileLines.join("\n");
+    if (fileLines.length > 0 && !endsWithoutNewline) newContent += "\n";
+  }
+
+  return { success, content: newContent, hunks: results };
+}
+
+// ===========================
+// 🖨️ Format
+// ===========================
+
+/**
+ * Render parsed file patches back into diff text (git-style headers
+ * for create, delete and rename); parseUnifiedDiff reads it back
+ */
+function formatUnifiedDiff(filePatches) {
+  return filePatches
+    .map((file) => {
+      const action = file.action || fileAction(file);
+      const from = file.oldPath || file.newPath;
+      const to = file.newPath || file.oldPath;
+      const out = [];
+
+      if (action !== "modify") {
+        out.push(`diff --git a/${from} b/${to}`);
+        if (action === "create") out.push("new file mode 100644");
+        if (action === "delete") out.push("deleted file mode 100644");
+        if (action === "rename") {
+          out.push(`rename from ${from}`, `rename to ${to}`);
+        }
+      }
+
+      if (file.hunks.length > 0) {
+        out.push(`--- ${file.oldPath ? `a/${file.oldPath}` : "/dev/null"}`);
+        out.push(`+++ ${file.newPath ? `b/${file.newPath}` : "/dev/null"}`);
+      }
+      for (const hunk of file.hunks) {
+        const counted = countHunkLines(hunk);
+        out.push(
+          `@@ -${hunk.oldStart},${counted.old} +${hunk.newStart},${counted.new} @@`,
+        );
+        for (const line of hunk.lines) {
+          out.push(`${line.type}${line.text}`);
+          if (line.noNewline) out.push("\\ No newline at end of file");
+        }
+      }
+      return out.join("\n") + "\n";
+    })
+    .join("");
+}
+
+/**
+ * Check whether text parses as a unified diff (used by schema validation)
+ */
+function isValidUnifiedDiff(diffText) {
+  try {
+    parseUnifiedDiff(diffText);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// ===========================
+// 📤 Export Functions
+// ===========================
+
+module.exports = {
+  parseUnifiedDiff,
+  formatUnifiedDiff,
+  fileAction,
+  applyHunks,
+  isValidUnifiedDiff,
+  normalizeDiffPath,
+};
@@ -72,6 +72,33 @@ function App() {
     }
   }
 
+  // Live progress of a healing run, streamed by the backend as Server-Sent Events
+  const watchHealingRun = (runId) => {
+    const source = new EventSource(`/api/healing/runs/${runId}/events`)
+    const formatters = {
+      node_started: (data) => [`  ▶️  ${data.node}`, 'info'],
+      node_failed: (data) => [`  💥 ${data.node} failed: ${data.error}`, 'error'],
+      failure_extracted: (data) => [`  🔍 ${data.file}:${data.line} ${data.error_message}`, 'warning'],
+      patch_generated: (data) => [`  🩹 Patch for ${data.file}:${data.line} (${data.bug_type}, attempt ${data.attempt})`, 'info'],
+      verdict: (data) => [
+        `  ⚖️  ${data.file}:${data.line} ${data.status}${data.reasons.length > 0 ? ` - ${data.reasons.join('; ')}` : ''}`,
+        data.status === 'APPROVED' ? 'success' : 'warning'
+      ],
+      run_paused: (data) => [`  ⏸️  ${data.pendingReview} fixes waiting for review`, 'warning'],
+    }
+
+    Object.entries(formatters).forEach(([type, format]) => {
+      source.addEventListener(type, (message) => {
+        const event = JSON.parse(message.data)
+        addLog(...format(event.data))
+      })
+    })
+    // The stream ends with the run
+    source.addEventListener('run_finished', () => source.close())
+    source.addEventListener('run_failed', () => source.close())
+    return source
+  }
+
   const startHealingLoop = async (containerName, workDir, logFile) => {
     setIsHealing(true)
     const maxIterations = 5
@@ -89,22 +116,30 @@ function App() {
 
         // Call healing API
         addLog('🤖 Analyzing failures with AI agents...', 'info')
-        const healResponse = await fetch('/api/healing/heal', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            testLogs: logData.content,
-            options: {
-              reportFormat: 'json',
-              autoApply: true,
-              containerName,
-              workDir,
-              commitMessage: `AI Fix Iteration ${iteration} - Auto-healing test failures`
-            }
+        const runId = crypto.randomUUID()
+        const runEvents = watchHealingRun(runId)
+        let healData
+        try {
+          const healResponse = await fetch('/api/healing/heal', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              testLogs: logData.content,
+              options: {
+                reportFormat: 'json',
+                autoApply: true,
+                containerName,
+                workDir,
+                runId,
+                commitMessage: `AI Fix Iteration ${iteration} - Auto-healing test failures`
+              }
+            })
           })
-        })
 
-        const healData = await healResponse.json()
+          healData = await healResponse.json()
+        } finally {
+          runEvents.close()
+        }
         
         setHealingProgress(prev => [...prev, {
           iteration,